@@ -8,7 +8,7 @@ def parse_svg(svg_file):
     u = {s['SystemId']: s for s in json.load(open('./prun_universe_data.json'))}
     
     namespace = {'svg': 'http://www.w3.org/2000/svg', 'inkscape': 'http://www.inkscape.org/namespaces/inkscape'}
-    systems, edges = {}, []
+    systems, edges, sectors = {}, [], []
 
     for rect in root.findall('.//svg:rect', namespace):
         systems[rect.get('id')] = {'x': float(rect.get('x')), 'y': float(rect.get('y'))}
@@ -22,17 +22,22 @@ def parse_svg(svg_file):
             distance = ((u1['PositionX']-u2['PositionX'])**2 + (u1['PositionY']-u2['PositionY'])**2 + (u1['PositionZ']-u2['PositionZ'])**2)**0.5 / 12.0
             edges.append({'start': start_id, 'end': end_id, 'distance': distance})
 
-    return systems, edges
+    # Sector outlines, kept as SVG points strings ("x,y x,y ...")
+    for polygon in root.findall('.//svg:polygon', namespace):
+        if polygon.get('id', '').startswith('sector-'):
+            sectors.append({'id': polygon.get('id'), 'points': ' '.join(polygon.get('points').split())})
 
-def save_graph_data(systems, edges, output_file):
+    return systems, edges, sectors
+
+def save_graph_data(systems, edges, sectors, output_file):
     with open(output_file, 'w') as f:
-        json.dump({'systems': systems, 'edges': edges}, f, indent=2)
+        json.dump({'systems': systems, 'edges': edges, 'sectors': sectors}, f, indent=2)
 
 if __name__ == '__main__':
     svg_file = './PrUn_universe_map_normalized.svg'
     output_file = './graph_data.json'
 
-    systems, edges = parse_svg(svg_file)
-    save_graph_data(systems, edges, output_file)
+    systems, edges, sectors = parse_svg(svg_file)
+    save_graph_data(systems, edges, sectors, output_file)
 
     print(f"Graph data saved to {output_file}")
@@ -9,6 +9,13 @@ import { SearchProvider } from './contexts/SearchContext';
 import { CogcOverlayProvider } from './contexts/CogcOverlayContext';
 import { DataPointProvider } from './contexts/DataPointContext';
 import { MapModeProvider, useMapMode, MAP_MODES } from './contexts/MapModeContext';
+import { ShipProfileProvider } from './contexts/ShipProfileContext';
+import { SearchPresetProvider } from './contexts/SearchPresetContext';
+import { ScoringProvider } from './contexts/ScoringContext';
+import { ComparisonProvider } from './contexts/ComparisonContext';
+import { WorkforceOverlayProvider } from './contexts/WorkforceOverlayContext';
+import { MapSettingsProvider } from './contexts/MapSettingsContext';
+import { MapCameraProvider } from './contexts/MapCameraContext';
 import logo from './logo.png';
 import './App.css';
 import './components/FilterCategories.css';
@@ -16,17 +23,31 @@ import './components/FilterCategories.css';
 const App = () => {
   return (
     <GraphProvider>
-      <SelectionProvider>
-        <SearchProvider>
-          <CogcOverlayProvider>
-            <DataPointProvider>
+      <DataPointProvider>
+        <SelectionProvider>
+          <SearchProvider>
+            <CogcOverlayProvider>
               <MapModeProvider>
-                 <AppContent />
+                <ShipProfileProvider>
+                  <SearchPresetProvider>
+                    <ScoringProvider>
+                      <ComparisonProvider>
+                        <WorkforceOverlayProvider>
+                          <MapSettingsProvider>
+                            <MapCameraProvider>
+                              <AppContent />
+                            </MapCameraProvider>
+                          </MapSettingsProvider>
+                        </WorkforceOverlayProvider>
+                      </ComparisonProvider>
+                    </ScoringProvider>
+                  </SearchPresetProvider>
+                </ShipProfileProvider>
               </MapModeProvider>
-            </DataPointProvider>
-          </CogcOverlayProvider>
-        </SearchProvider>
-      </SelectionProvider>
+            </CogcOverlayProvider>
+          </SearchProvider>
+        </SelectionProvider>
+      </DataPointProvider>
     </GraphProvider>
   );
 };
@@ -0,0 +1,45 @@
+import React, { useContext, useMemo } from 'react';
+import { Scan, Route, LocateFixed, Home } from 'lucide-react';
+import { SearchContext } from '../contexts/SearchContext';
+import { SelectionContext } from '../contexts/SelectionContext';
+import { useMapCamera } from '../contexts/MapCameraContext';
+import { getResultSystemId } from '../utils/proximityUtils';
+
+// Systems of the emphasised route alternative, or the waypoints while no route is found
+const getRouteSystemIds = (route, activeAlternative, waypoints) => {
+  if (!route) return waypoints;
+  if (route.alternatives.length > 1) return route.alternatives[activeAlternative]?.path || route.waypoints;
+  return route.legs.flatMap(leg => leg.path);
+};
+
+// Camera buttons at the top left of the map
+const CameraControls = () => {
+  const { searchResults } = useContext(SearchContext);
+  const { selectedSystem, route, activeAlternative, pathfindingSelection, isPathfindingEnabled } = useContext(SelectionContext);
+  const { flyTo, fitBounds, resetView } = useMapCamera();
+
+  const resultSystemIds = useMemo(
+    () => (searchResults || []).map(getResultSystemId).filter(Boolean),
+    [searchResults]
+  );
+  const routeSystemIds = isPathfindingEnabled ? getRouteSystemIds(route, activeAlternative, pathfindingSelection) : [];
+
+  return (
+    <div className="map-camera-controls">
+      <button onClick={() => fitBounds(resultSystemIds)} disabled={resultSystemIds.length === 0} title="Zoom to fit search results">
+        <Scan size={16} />
+      </button>
+      <button onClick={() => fitBounds(routeSystemIds)} disabled={routeSystemIds.length === 0} title="Zoom to fit the route">
+        <Route size={16} />
+      </button>
+      <button onClick={() => flyTo(selectedSystem)} disabled={!selectedSystem} title="Center on the selected system">
+        <LocateFixed size={16} />
+      </button>
+      <button onClick={resetView} title="Reset view">
+        <Home size={16} />
+      </button>
+    </div>
+  );
+};
+
+export default CameraControls;
@@ -0,0 +1,106 @@
+import React, { useContext, useMemo } from 'react';
+import { Columns, PinOff, X } from 'lucide-react';
+import { GraphContext } from '../contexts/GraphContext';
+import { SearchContext } from '../contexts/SearchContext';
+import { SelectionContext } from '../contexts/SelectionContext';
+import { useComparison } from '../contexts/ComparisonContext';
+import { determinePlanetTier } from '../utils/svgUtils';
+import { buildComparisonRows } from '../utils/comparisonUtils';
+import { comparison as comparisonConfig } from '../config/config';
+
+// Pinned planets side by side, one column each, docked at the top right of the map.
+const ComparisonDrawer = () => {
+  const { planetData, universeData, materials, populationData } = useContext(GraphContext);
+  const { plotsData } = useContext(SearchContext);
+  const { highlightSelectedSystem } = useContext(SelectionContext);
+  const { pinnedIds, togglePin, clearPins, isDrawerOpen, setIsDrawerOpen } = useComparison();
+
+  // Pinned ids resolved to { planet, systemId }; ids missing from the data are skipped
+  const entries = useMemo(() => {
+    const byId = {};
+    Object.entries(planetData || {}).forEach(([systemId, planets]) => {
+      planets.forEach(planet => {
+        if (pinnedIds.includes(planet.PlanetNaturalId)) byId[planet.PlanetNaturalId] = { planet, systemId };
+      });
+    });
+    return pinnedIds.map(id => byId[id]).filter(Boolean);
+  }, [planetData, pinnedIds]);
+
+  const rows = useMemo(() => {
+    const materialsById = (Array.isArray(materials) ? materials : []).reduce((acc, material) => {
+      acc[material.MaterialId] = material;
+      return acc;
+    }, {});
+    return buildComparisonRows(entries.map(entry => entry.planet), {
+      getPlanetTier: planet => determinePlanetTier(planet.BuildRequirements),
+      materials: materialsById,
+      plotsData,
+      populationData
+    });
+  }, [entries, materials, plotsData, populationData]);
+
+  if (entries.length === 0) return null;
+
+  if (!isDrawerOpen) {
+    return (
+      <button className="comparison-tab" onClick={() => setIsDrawerOpen(true)} title="Compare pinned planets">
+        <Columns size={14} /> Compare ({entries.length}/{comparisonConfig.maxPlanets})
+      </button>
+    );
+  }
+
+  return (
+    <div className="comparison-drawer">
+      <div className="comparison-header">
+        <h4>Compare Planets</h4>
+        <button className="clear-button" onClick={clearPins}>Clear</button>
+        <button className="results-table-close" onClick={() => setIsDrawerOpen(false)} title="Hide comparison">
+          <X size={16} />
+        </button>
+      </div>
+      <div className="comparison-scroll">
+        <table className="comparison-table">
+          <thead>
+            <tr>
+              <th />
+              {entries.map(({ planet, systemId }) => (
+                <th key={planet.PlanetNaturalId}>
+                  <div className="comparison-planet">
+                    <span className="comparison-planet-name" onClick={() => highlightSelectedSystem(systemId)} title="Show on map">
+                      {planet.PlanetName}
+                      <small>{planet.PlanetNaturalId} · {universeData[systemId]?.[0]?.Name || systemId}</small>
+                    </span>
+                    <button className="comparison-unpin" onClick={() => togglePin(planet.PlanetNaturalId)} title="Unpin">
+                      <PinOff size={12} />
+                    </button>
+                  </div>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row, index) => (
+              <React.Fragment key={row.key}>
+                {row.section !== rows[index - 1]?.section && (
+                  <tr className="comparison-section">
+                    <td colSpan={entries.length + 1}>{row.section}</td>
+                  </tr>
+                )}
+                <tr>
+                  <td className="comparison-label">{row.label}</td>
+                  {row.display.map((value, column) => (
+                    <td key={entries[column].planet.PlanetNaturalId} className={row.best.includes(column) ? 'best' : ''}>
+                      {value}
+                    </td>
+                  ))}
+                </tr>
+              </React.Fragment>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default ComparisonDrawer;
@@ -1,11 +1,21 @@
-import React, { useContext, useState } from 'react';
+import React, { useContext, useMemo } from 'react';
 import { SearchContext } from '../contexts/SearchContext';
+import { GraphContext } from '../contexts/GraphContext';
 import { useCogcOverlay } from '../contexts/CogcOverlayContext';
 import { SelectionContext } from '../contexts/SelectionContext';
 import { useDataPoints } from '../contexts/DataPointContext';
 import { useMapMode, MAP_MODES } from '../contexts/MapModeContext';
+import { useScoring } from '../contexts/ScoringContext';
+import { useWorkforceOverlay } from '../contexts/WorkforceOverlayContext';
+import { useMapSettings, RENDERERS } from '../contexts/MapSettingsContext';
 import { cogcPrograms } from '../constants/cogcPrograms';
+import { ENVIRONMENT_RANGES } from '../constants/searchDefaults';
+import { FACILITIES } from '../constants/facilities';
+import { collectValues, getValueDomain } from '../utils/rangeUtils';
 import ResourceThresholdFilter from './ResourceThresholdFilter';
+import RangeSlider from './RangeSlider';
+import ProximityFilter from './ProximityFilter';
+import WorkforceFilter from './WorkforceFilter';
 
 const ToggleToken = ({ label, active, onClick, tooltip, className }) => (
   <button
@@ -91,10 +101,76 @@ const CogcFilter = ({ active, program, onToggle, onProgramChange }) => {
   );
 };
 
+const EnvironmentRangeFilter = ({ ranges, onChange }) => {
+  const { planetData } = useContext(GraphContext);
+
+  const sliders = useMemo(() => {
+    const planets = Object.values(planetData || {}).flat();
+    return Object.entries(ENVIRONMENT_RANGES).map(([key, config]) => {
+      const values = collectValues(planets, config.planetKey, config.minValue);
+      const markers = config.low === undefined ? [] : [
+        { value: config.low, label: `Low cutoff (${config.lowMaterial})` },
+        { value: config.high, label: `High cutoff (${config.highMaterial})` }
+      ];
+      return { key, config, values, domain: getValueDomain(values, config.step), markers };
+    });
+  }, [planetData]);
+
+  return (
+    <div className="filter-category environment-range-filter">
+      <h4>Environment Ranges</h4>
+      <div className="range-slider-group">
+        {sliders.filter(slider => slider.domain).map(({ key, config, values, domain, markers }) => (
+          <RangeSlider
+            key={key}
+            label={config.label}
+            unit={config.unit}
+            step={config.step}
+            domain={domain}
+            values={values}
+            markers={markers}
+            value={ranges[key] || null}
+            onChange={range => onChange(key, range)}
+          />
+        ))}
+      </div>
+    </div>
+  );
+};
+
+// Each click cycles a facility through any -> required -> excluded
+const nextFacilityMode = (mode) => {
+  if (!mode) return 'require';
+  return mode === 'require' ? 'exclude' : null;
+};
+
+const FacilityFilter = ({ facilities, onChange }) => (
+  <div className="filter-category facility-filter">
+    <h4>Facilities</h4>
+    <div className="toggle-group">
+      {FACILITIES.map((facility, index) => {
+        const mode = facilities[facility.key];
+        return (
+          <ToggleToken
+            key={facility.key}
+            label={mode === 'exclude' ? `¬${facility.short}` : facility.short}
+            active={mode === 'require'}
+            onClick={() => onChange(facility.key, nextFacilityMode(mode))}
+            tooltip={`${facility.label}: ${mode === 'require' ? 'required' : mode === 'exclude' ? 'excluded' : 'any'}`}
+            className={`${index === 0 ? 'toggle-token1' : index === FACILITIES.length - 1 ? 'toggle-token2' : 'toggle-token-mid'} ${mode === 'exclude' ? 'excluded' : ''}`}
+          />
+        );
+      })}
+    </div>
+  </div>
+);
+
 const MapModesFilter = () => {
-  const { isPathfindingEnabled, togglePathfinding } = useContext(SelectionContext);
+  const { isPathfindingEnabled, togglePathfinding, isJumpRangeVisible, toggleJumpRange } = useContext(SelectionContext);
   const { isOverlayVisible, toggleOverlayVisibility } = useDataPoints();
   const { activeMode, toggleMode } = useMapMode();
+  const { isRankingVisible, toggleRanking } = useScoring();
+  const { isWorkforceOverlayVisible, toggleWorkforceOverlay, isGraceOverlayVisible, toggleGraceOverlay } = useWorkforceOverlay();
 
   return (
     <div className="filter-category">
@@ -114,11 +190,72 @@ const MapModesFilter = () => {
           tooltip="Toggle Pathfinding Navigation"
           className="toggle-token-mid"
         />
+        <ToggleToken
+          label="Jump Range"
+          active={isJumpRangeVisible}
+          onClick={toggleJumpRange}
+          tooltip="Color systems by jump count from the selected system"
+          className="toggle-token-mid"
+        />
+        <ToggleToken
+          label="Site Ranking"
+          active={isRankingVisible}
+          onClick={toggleRanking}
+          tooltip="Rank planets by weighted criteria and color systems by score"
+          className="toggle-token-mid"
+        />
+        <ToggleToken
+          label="Workforce"
+          active={isWorkforceOverlayVisible}
+          onClick={toggleWorkforceOverlay}
+          tooltip="Color systems by unemployed workers or open jobs"
+          className="toggle-token-mid"
+        />
+        <ToggleToken
+          label="Grace"
+          active={isGraceOverlayVisible}
+          onClick={toggleGraceOverlay}
+          tooltip="Ring systems with Explorer's Grace planets"
+          className="toggle-token-mid"
+        />
         <ToggleToken
           label="Data Overlay"
           active={isOverlayVisible}
           onClick={toggleOverlayVisibility}
-          tooltip="Toggle Meteor Density & System Names"
+          tooltip="Toggle Meteor Density & Luminosity bars"
+          className="toggle-token2"
+        />
+      </div>
+    </div>
+  );
+};
+
+const MapSettingsFilter = () => {
+  const { renderer, setRenderer, settings, updateSettings } = useMapSettings();
+
+  return (
+    <div className="filter-category">
+      <h4>Map Display</h4>
+      <div className="toggle-group">
+        <ToggleToken
+          label="SVG"
+          active={renderer === RENDERERS.SVG}
+          onClick={() => setRenderer(RENDERERS.SVG)}
+          tooltip="Draw the map as SVG elements"
+          className="toggle-token1"
+        />
+        <ToggleToken
+          label="Canvas"
+          active={renderer === RENDERERS.CANVAS}
+          onClick={() => setRenderer(RENDERERS.CANVAS)}
+          tooltip="Paint the map onto a canvas for smoother panning with many overlays"
+          className="toggle-token-mid"
+        />
+        <ToggleToken
+          label="Minimap"
+          active={settings.showMinimap}
+          onClick={() => updateSettings({ showMinimap: !settings.showMinimap })}
+          tooltip="Show an overview map with the visible area"
           className="toggle-token2"
         />
       </div>
@@ -129,8 +266,12 @@ const MapModesFilter = () => {
 
 export const BasicFilters = () => {
   const { filters, updateFilters } = useContext(SearchContext);
-  const [cogcActive, setCogcActive] = useState(false);
   const { overlayProgram } = useCogcOverlay();
+  // Derived from the filters so state restored from a permalink shows up here too
+  const cogcActive = filters.cogcProgram.length > 0;
+  const cogcProgramDisplay = cogcActive
+    ? cogcPrograms.find(program => program.value === filters.cogcProgram[0])?.display
+    : overlayProgram;
 
   const handleChange = (category, option) => {
     const newFilters = {
@@ -147,7 +288,6 @@ export const BasicFilters = () => {
   };
 
   const handleCogcToggle = () => {
-    setCogcActive(!cogcActive);
     if (!cogcActive) {
       const programObject = cogcPrograms.find(program => program.display === overlayProgram);
       let programValue = programObject ? programObject.value : (overlayProgram == null ? 'ALL' : 'ALL');
@@ -184,6 +324,13 @@ export const BasicFilters = () => {
             active={filters.requireAvailablePlots}
             onClick={() => updateFilters({ ...filters, requireAvailablePlots: !filters.requireAvailablePlots })}
             tooltip="Filter for planets with strictly > 0 available plots"
+            className="toggle-token-mid"
+          />
+          <ToggleToken
+            label="Grace"
+            active={filters.explorersGrace}
+            onClick={() => updateFilters({ ...filters, explorersGrace: !filters.explorersGrace })}
+            tooltip="Explorer's Grace planets for new players"
             className="toggle-token2"
           />
         </div>
@@ -194,6 +341,7 @@ export const BasicFilters = () => {
       />
       <CogcFilter
         active={cogcActive}
+        program={cogcProgramDisplay || cogcPrograms[0].display}
         onToggle={handleCogcToggle}
         onProgramChange={handleCogcProgramChange}
       />
@@ -214,6 +362,16 @@ export const AdvancedFilters = () => {
     updateFilters(newFilters);
   };
 
+  const handleRangeChange = (key, range) => {
+    const { [key]: _previous, ...ranges } = filters.ranges || {};
+    updateFilters({ ...filters, ranges: range ? { ...ranges, [key]: range } : ranges });
+  };
+
+  const handleFacilityChange = (key, mode) => {
+    const { [key]: _previous, ...facilities } = filters.facilities || {};
+    updateFilters({ ...filters, facilities: mode ? { ...facilities, [key]: mode } : facilities });
+  };
+
   return (
     <div className="filter-categories advanced-filters-container" style={{ display: 'flex', width: '100%', justifyContent: 'flex-start', flexWrap: 'wrap', borderTop: '1px solid #444', paddingTop: '5px', marginTop: '2px' }}>
       <FilterCategory
@@ -244,8 +402,13 @@ export const AdvancedFilters = () => {
         selectedOptions={filters.pressure}
         onChange={option => handleChange('pressure', option)}
       />
+      <EnvironmentRangeFilter ranges={filters.ranges || {}} onChange={handleRangeChange} />
+      <FacilityFilter facilities={filters.facilities || {}} onChange={handleFacilityChange} />
+      <ProximityFilter />
+      <WorkforceFilter />
       <ResourceThresholdFilter />
       <MapModesFilter />
+      <MapSettingsFilter />
     </div>
   );
 };
\ No newline at end of file
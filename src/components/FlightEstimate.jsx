@@ -0,0 +1,53 @@
+import React, { useContext, useMemo, useState } from 'react';
+import { Settings } from 'lucide-react';
+import { GraphContext } from '../contexts/GraphContext';
+import { useShipProfiles } from '../contexts/ShipProfileContext';
+import { estimateFlight, formatFlightTime } from '../utils/flightUtils';
+import ShipProfileEditor from './ShipProfileEditor';
+
+// Flight time and fuel for the given route legs, using the active ship profile.
+const FlightEstimate = ({ legs }) => {
+  const { graphService } = useContext(GraphContext);
+  const { profiles, activeProfile, setActiveProfileId } = useShipProfiles();
+  const [isEditing, setIsEditing] = useState(false);
+
+  const estimate = useMemo(
+    () => estimateFlight(legs, graphService.adjacency, activeProfile),
+    [legs, graphService, activeProfile]
+  );
+  const isReachable = legs.every(leg => leg.path.length > 0);
+
+  return (
+    <div className="flight-estimate">
+      <div className="flight-estimate-header">
+        <select value={activeProfile.id} onChange={(e) => setActiveProfileId(e.target.value)}>
+          {profiles.map(profile => (
+            <option key={profile.id} value={profile.id}>{profile.name}</option>
+          ))}
+        </select>
+        <button
+          className={`flight-profile-edit-btn ${isEditing ? 'active' : ''}`}
+          title="Edit ship profile"
+          onClick={() => setIsEditing(!isEditing)}
+        >
+          <Settings size={14} />
+        </button>
+      </div>
+
+      {isEditing && <ShipProfileEditor />}
+
+      {!isReachable ? (
+        <p className="placeholder-text">No estimate while a leg has no route.</p>
+      ) : (
+        <div className="flight-estimate-values">
+          <span>Flight time</span><strong>{formatFlightTime(estimate.totalHours)}</strong>
+          <span>FTL / STL</span><span>{formatFlightTime(estimate.ftlHours)} / {formatFlightTime(estimate.stlHours)}</span>
+          <span>FTL fuel</span><strong>{Math.ceil(estimate.ftlFuel)} FF</strong>
+          <span>STL fuel</span><strong>{Math.ceil(estimate.stlFuel)} SF</strong>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FlightEstimate;
@@ -1,8 +1,9 @@
 import React from 'react';
 import { useMapMode, GATEWAY_STRATEGIES, MAP_MODES } from '../contexts/MapModeContext';
+import ShareLinkButton from './ShareLinkButton';
 
 const GatewayControls = () => {
-  const { gatewayData, setGatewayStrategy, clearAllGateways, toggleMode } = useMapMode();
+  const { gatewayData, setGatewayStrategy, clearAllGateways, toggleMode, isSimulating, toggleSimulation } = useMapMode();
 
   // EXCESSIVE COMMENTING: When Gateway Mode activates, `StandardControls` is unmounted. Because the mode-toggle is now inside the Advanced menu of `StandardControls`, users need a manual escape hatch. We've appended a bold red exit button here.
   return (
@@ -24,10 +25,21 @@ const GatewayControls = () => {
         </button>
       </div>
       
+      <button
+        className={`toggle-token ${isSimulating ? 'active' : ''}`}
+        onClick={toggleSimulation}
+        data-tooltip="Pick two systems to compare routes with and without the planned gateways"
+        style={{ margin: 0 }}
+      >
+        Simulate
+      </button>
+
       <button className="clear-button" onClick={clearAllGateways}>
         Clear Selection
       </button>
 
+      <ShareLinkButton />
+
       <button className="clear-button" onClick={toggleMode} style={{ backgroundColor: '#f54c4c', marginLeft: 'auto' }}>
         Exit Gateway Mode
       </button>
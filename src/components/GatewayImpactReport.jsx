@@ -0,0 +1,75 @@
+import React, { useContext, useMemo, useState } from 'react';
+import { ChevronDown, ChevronRight } from 'lucide-react';
+import { GraphContext } from '../contexts/GraphContext';
+import { useMapMode } from '../contexts/MapModeContext';
+import { getPlannedGatewayEdges } from '../utils/routeUtils';
+import { analyzeGatewayImpact } from '../utils/jumpUtils';
+import { CX_SYSTEMS } from '../constants/cxSystems';
+
+const ImpactStats = ({ impact, getSystemName }) => (
+  <>
+    <div className="impact-stats">
+      <span><strong>{impact.pairsImproved.toLocaleString()}</strong> pairs shorter</span>
+      <span>avg −{impact.averageReduction.toFixed(1)}</span>
+      <span>max −{impact.maxReduction}</span>
+    </div>
+    {impact.newlyConnected > 0 && (
+      <div className="impact-newly-connected">{impact.newlyConnected.toLocaleString()} pairs newly connected</div>
+    )}
+    {impact.keyPairs.length > 0 && (
+      <ul className="impact-cx-list">
+        {impact.keyPairs.map(pair => (
+          <li key={`${pair.sourceId}-${pair.targetId}`}>
+            CX {getSystemName(pair.sourceId)} ↔ {getSystemName(pair.targetId)}:{' '}
+            <span className="impact-cx-jumps">{pair.before === Infinity ? '∞' : pair.before} → {pair.after} jumps</span>
+          </li>
+        ))}
+      </ul>
+    )}
+  </>
+);
+
+const GatewayImpactReport = () => {
+  const { graph, universeData, gatewayEdges } = useContext(GraphContext);
+  const { gatewayData } = useMapMode();
+  const [isOpen, setIsOpen] = useState(false);
+
+  const getSystemName = (systemId) => universeData[systemId] ? universeData[systemId][0].Name : systemId;
+
+  // All-pairs analysis is only run while the report is expanded
+  const report = useMemo(() => {
+    if (!isOpen || !graph?.edges || gatewayData.plannedGateways.length === 0) return null;
+    return analyzeGatewayImpact(graph, gatewayEdges, getPlannedGatewayEdges(gatewayData.plannedGateways), CX_SYSTEMS);
+  }, [isOpen, graph, gatewayEdges, gatewayData.plannedGateways]);
+
+  return (
+    <div className="gateway-impact-report">
+      <h4 className="impact-header" onClick={() => setIsOpen(!isOpen)}>
+        {isOpen ? <ChevronDown size={16} /> : <ChevronRight size={16} />} Network Impact
+      </h4>
+
+      {isOpen && (
+        !report ? (
+          <p className="placeholder-text">Plan a gateway to see its effect on the network.</p>
+        ) : (
+          <ul className="planned-list" style={{listStyle:'none', padding:0}}>
+            {report.perGateway.map(({ edge, ...impact }) => (
+              <li key={edge.id} className="planned-gateway-item" style={{flexDirection: 'column', alignItems: 'flex-start', gap: '4px'}}>
+                <span style={{fontWeight: 'bold', color: '#f7a600'}}>{getSystemName(edge.start)} ↔ {getSystemName(edge.end)}</span>
+                <ImpactStats impact={impact} getSystemName={getSystemName} />
+              </li>
+            ))}
+            {report.combined && (
+              <li className="planned-gateway-item impact-combined" style={{flexDirection: 'column', alignItems: 'flex-start', gap: '4px'}}>
+                <span style={{fontWeight: 'bold', color: '#66ff66'}}>All planned gateways</span>
+                <ImpactStats impact={report.combined} getSystemName={getSystemName} />
+              </li>
+            )}
+          </ul>
+        )
+      )}
+    </div>
+  );
+};
+
+export default GatewayImpactReport;
@@ -2,33 +2,24 @@ import React, { useEffect } from 'react';
 import * as d3 from 'd3';
 import { useMapMode } from '../contexts/MapModeContext';
 import { colors } from '../config/config';
+import { getSystemCenter } from '../utils/mapGeometry';
 
 const GatewayLayer = ({ mapRef, mapRenderKey }) => {
-    const { existingGateways, gatewayData } = useMapMode();
+    const { existingGateways, gatewayData, simulationResult } = useMapMode();
 
     useEffect(() => {
         if (!mapRef.current || mapRenderKey === 0) return;
-        const { g } = mapRef.current;
+        const { g, geometry } = mapRef.current;
 
         const getCoords = (systemId) => {
             if (!systemId) return null;
-            const node = g.select(`#${CSS.escape(systemId.toLowerCase())}`);
-            if (node.empty()) return null;
-            return {
-                x: parseFloat(node.attr('x')) + parseFloat(node.attr('width')) / 2,
-                y: parseFloat(node.attr('y')) + parseFloat(node.attr('height')) / 2
-            };
+            return getSystemCenter(geometry, systemId.toLowerCase());
         };
 
         // --- 1. Sandwiched Background Layer (Existing Gateways) ---
         let bgGroup = g.select('.gateway-bg-layer');
         if (bgGroup.empty()) {
-            const firstSystemNode = g.select('rect:not(#rect1)').node();
-            if (firstSystemNode) {
-                bgGroup = g.insert('g', () => firstSystemNode).attr('class', 'gateway-bg-layer');
-            } else {
-                bgGroup = g.append('g').attr('class', 'gateway-bg-layer');
-            }
+            bgGroup = g.insert('g', '.system-layer').attr('class', 'gateway-bg-layer');
         }
         bgGroup.selectAll('*').remove();
 
@@ -128,7 +119,31 @@ const GatewayLayer = ({ mapRef, mapRenderKey }) => {
             });
         }
 
-    }, [existingGateways, gatewayData.plannedGateways, mapRenderKey, mapRef]);
+        // --- 5. Render Simulated Routes (before/after planned gateways) ---
+        if (simulationResult) {
+            const drawRoute = (path, color, dashArray) => {
+                const simItem = fgGroup.append('g').attr('class', 'simulation-route-layer');
+                for (let i = 0; i < path.length - 1; i++) {
+                    const start = getCoords(path[i]);
+                    const end = getCoords(path[i + 1]);
+                    if (!start || !end) continue;
+
+                    simItem.append('line')
+                        .attr('x1', start.x).attr('y1', start.y)
+                        .attr('x2', end.x).attr('y2', end.y)
+                        .attr('stroke', color)
+                        .attr('stroke-width', 3)
+                        .attr('stroke-dasharray', dashArray)
+                        .attr('stroke-linecap', 'round')
+                        .style('pointer-events', 'none');
+                }
+            };
+
+            drawRoute(simulationResult.before.path, colors.simulation.before, '2,4');
+            drawRoute(simulationResult.after.path, colors.simulation.after, null);
+        }
+
+    }, [existingGateways, gatewayData.plannedGateways, simulationResult, mapRenderKey, mapRef]);
 
     return null;
 };
@@ -0,0 +1,69 @@
+import React, { useContext } from 'react';
+import { GraphContext } from '../contexts/GraphContext';
+import { useMapMode } from '../contexts/MapModeContext';
+import { colors } from '../config/config';
+
+const formatJumps = (jumps) => (jumps === Infinity ? 'No route' : `${jumps} jump${jumps !== 1 ? 's' : ''}`);
+
+const RouteColumn = ({ title, route, color, getSystemName }) => {
+  const gatewayHopKeys = new Set(route.legs.flatMap(leg => leg.gatewayHops.map(([a, b]) => `${a}-${b}`)));
+
+  return (
+    <div className="simulation-column">
+      <div className="simulation-column-title" style={{ borderColor: color }}>{title}</div>
+      <div className="simulation-jumps">{formatJumps(route.totalJumps)}</div>
+      {route.gatewayJumps > 0 && (
+        <div className="simulation-gateway-count">{route.gatewayJumps} via gateway</div>
+      )}
+      <ol className="simulation-path">
+        {route.path.map((systemId, i) => (
+          <li key={systemId}>
+            {i > 0 && gatewayHopKeys.has(`${route.path[i - 1]}-${systemId}`) && <span className="simulation-gateway-hop">⇢ </span>}
+            {getSystemName(systemId)}
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+};
+
+const GatewaySimulationPanel = () => {
+  const { universeData } = useContext(GraphContext);
+  const { simulation, simulationResult, gatewayData } = useMapMode();
+
+  const getSystemName = (systemId) => universeData[systemId] ? universeData[systemId][0].Name : systemId;
+
+  const jumpsSaved = simulationResult && simulationResult.before.totalJumps !== Infinity && simulationResult.after.totalJumps !== Infinity
+    ? simulationResult.before.totalJumps - simulationResult.after.totalJumps
+    : 0;
+
+  return (
+    <div className="gateway-simulation">
+      <h4>Simulation</h4>
+      <div className="simulation-endpoints">
+        <span>A: {simulation.fromId ? getSystemName(simulation.fromId) : 'None'}</span>
+        <span>B: {simulation.toId ? getSystemName(simulation.toId) : 'None'}</span>
+      </div>
+
+      {!simulationResult ? (
+        <p className="placeholder-text">Click two systems on the map to compare routes.</p>
+      ) : (
+        <>
+          <div className={`simulation-summary ${jumpsSaved > 0 ? 'improved' : ''}`}>
+            {gatewayData.plannedGateways.length === 0
+              ? 'No gateways planned yet.'
+              : jumpsSaved > 0
+                ? `Planned gateways save ${formatJumps(jumpsSaved)}`
+                : 'Planned gateways do not shorten this route'}
+          </div>
+          <div className="simulation-columns">
+            <RouteColumn title="Current" route={simulationResult.before} color={colors.simulation.before} getSystemName={getSystemName} />
+            <RouteColumn title="With Planned" route={simulationResult.after} color={colors.simulation.after} getSystemName={getSystemName} />
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default GatewaySimulationPanel;
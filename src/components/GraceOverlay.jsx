@@ -0,0 +1,32 @@
+import React, { useContext, useMemo } from 'react';
+import { GraphContext } from '../contexts/GraphContext';
+import { useWorkforceOverlay } from '../contexts/WorkforceOverlayContext';
+import { useMapMode, MAP_MODES } from '../contexts/MapModeContext';
+import useSystemMarkers from '../hooks/useSystemMarkers';
+import { getGraceSystemIds } from '../utils/workforceUtils';
+import { colors } from '../config/config';
+
+const MARKER_STYLE = {
+  radius: (marker, system) => system.size,
+  stroke: colors.explorersGrace,
+  strokeWidth: '2px'
+};
+
+// Rings systems that contain Explorer's Grace planets. Unfilled, so it combines with the
+// search highlighting and the other overlays.
+const GraceOverlay = ({ mapRef, mapRenderKey }) => {
+  const { planetData, populationData } = useContext(GraphContext);
+  const { isGraceOverlayVisible } = useWorkforceOverlay();
+  const { activeMode } = useMapMode();
+
+  const markers = useMemo(() => {
+    if (!isGraceOverlayVisible || activeMode !== MAP_MODES.STANDARD) return null;
+    return getGraceSystemIds(planetData, populationData).map(systemId => ({ systemId }));
+  }, [isGraceOverlayVisible, activeMode, planetData, populationData]);
+
+  useSystemMarkers(mapRef, mapRenderKey, 'grace-layer', markers, MARKER_STYLE);
+
+  return null;
+};
+
+export default React.memo(GraceOverlay);
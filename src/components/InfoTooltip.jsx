@@ -69,6 +69,15 @@ const InfoTooltip = () => {
             <br/>• <code>TSH+HSE</code>: 3 − (2+1) = <strong>0★</strong>
             <br/>• <code>SEA</code> or <code>MCG</code> only: <strong>3★</strong>
           </p>
+
+          <h5 style={{ margin: '10px 0 5px 0' }}>Search Queries:</h5>
+          <ul style={{ padding: 0, margin: 0, listStyle: 'none' }}>
+            <li>Combine resources with <code>AND</code>, <code>OR</code>, <code>NOT</code> and parentheses.</li>
+            <li>Fields: <code>grav</code>, <code>temp</code>, <code>pres</code>, <code>fert</code>, <code>tier</code>, <code>plots</code> with <code>&lt; &lt;= &gt; &gt;= = !=</code>; <code>type:rocky|gaseous</code>, <code>cogc:METALLURGY</code>.</li>
+            <li><code>near:Moria</code> with <code>jumps</code> or <code>pc</code> limits and sorts by distance from a system.</li>
+            <li><code>has:SHY</code>, <code>has:LM</code>, <code>has:WAR</code>, <code>has:ADM</code>, <code>has:COGC</code> require a local facility; <code>NOT has:LM</code> excludes it.</li>
+            <li>e.g. <code>FEO AND (H2O OR LST) grav&lt;1.2 tier&gt;=2</code>, <code>FEO plots&gt;0 near:Moria jumps&lt;=3</code></li>
+          </ul>
         </div>
       )}
     </div>
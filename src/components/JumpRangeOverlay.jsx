@@ -0,0 +1,36 @@
+import React, { useContext, useMemo } from 'react';
+import { GraphContext } from '../contexts/GraphContext';
+import { SelectionContext } from '../contexts/SelectionContext';
+import { useMapMode, MAP_MODES } from '../contexts/MapModeContext';
+import useSystemMarkers from '../hooks/useSystemMarkers';
+import { getJumpRangeBucket } from '../utils/jumpUtils';
+import { colors } from '../config/config';
+
+const MARKER_STYLE = {
+  radius: (marker, system) => system.size / 2,
+  fill: marker => colors.jumpRange[marker.bucket],
+  fillOpacity: 0.9,
+  stroke: marker => (marker.isSelected ? '#ffffff' : colors.systemStroke),
+  strokeWidth: marker => (marker.isSelected ? '2px' : '1px')
+};
+
+// Colors every system by its jump count from the selected system.
+const JumpRangeOverlay = ({ mapRef, mapRenderKey }) => {
+  const { graphService } = useContext(GraphContext);
+  const { selectedSystem, isJumpRangeVisible } = useContext(SelectionContext);
+  const { activeMode } = useMapMode();
+
+  const markers = useMemo(() => {
+    if (!isJumpRangeVisible || !selectedSystem || activeMode !== MAP_MODES.STANDARD) return null;
+    const jumps = graphService.getJumpsFrom(selectedSystem);
+    return graphService.jumpIndex.ids
+      .map((systemId, i) => ({ systemId, bucket: getJumpRangeBucket(jumps[i]), isSelected: systemId === selectedSystem }))
+      .filter(marker => marker.bucket);
+  }, [graphService, selectedSystem, isJumpRangeVisible, activeMode]);
+
+  useSystemMarkers(mapRef, mapRenderKey, 'jump-range-layer', markers, MARKER_STYLE);
+
+  return null;
+};
+
+export default React.memo(JumpRangeOverlay);
@@ -0,0 +1,118 @@
+import React, { useEffect, useContext, useMemo, useCallback } from 'react';
+import * as d3 from 'd3';
+import { GraphContext } from '../contexts/GraphContext';
+import { SearchContext } from '../contexts/SearchContext';
+import { useDataPoints } from '../contexts/DataPointContext';
+import { buildLabelCandidates, placeLabels, LABEL_KINDS } from '../utils/labelUtils';
+import { getViewBoxTransform } from '../utils/mapGeometry';
+import { CX_SYSTEMS } from '../constants/cxSystems';
+import { colors } from '../config/config';
+
+const CX_IDS = new Set(CX_SYSTEMS);
+
+// System and planet names over the map. CX and important systems (search hits, Chamber of
+// Commerce systems) are named at every zoom, the rest fade in as k grows and search-hit planets
+// appear last. Labels are re-placed only when the zoom scale or the window size changes;
+// panning keeps them as is.
+const LabelLayer = ({ mapRef, mapRenderKey }) => {
+  const { planetData } = useContext(GraphContext);
+  const { searchResults } = useContext(SearchContext);
+  const { systemNames } = useDataPoints();
+
+  // Search-hit planet names per system, and the systems they (or system hits) sit in
+  const { planetLabels, importantIds } = useMemo(() => {
+    const labels = {};
+    const ids = new Set();
+
+    Object.entries(planetData || {}).forEach(([systemId, planets]) => {
+      if (planets.some(planet => planet.HasChamberOfCommerce)) ids.add(systemId);
+    });
+
+    (searchResults || []).forEach(result => {
+      const systemId = result.type === 'system' ? result.id : result.systemId;
+      if (!systemId) return;
+      ids.add(systemId);
+
+      const planetId = result.planetId || (result.type === 'planet' ? result.id : null);
+      const planet = planetId && (planetData[systemId] || []).find(p => p.PlanetNaturalId === planetId);
+      const name = planet ? planet.PlanetName || planetId : planetId;
+      if (!name) return;
+      labels[systemId] = labels[systemId] || [];
+      if (!labels[systemId].includes(name)) labels[systemId].push(name);
+    });
+
+    return { planetLabels: labels, importantIds: ids };
+  }, [planetData, searchResults]);
+
+  const renderLabels = useCallback((k) => {
+    const { svg, g, geometry } = mapRef.current;
+    // Font sizes are screen pixels, so the viewBox fit counts as much as the zoom
+    const { width, height } = svg.node().getBoundingClientRect();
+    const scale = getViewBoxTransform(svg.attr('viewBox'), width, height).k * k;
+
+    let layer = g.select('.label-layer');
+    if (layer.empty()) {
+      layer = g.append('g').attr('class', 'label-layer').style('pointer-events', 'none');
+    }
+    layer.raise();
+
+    const candidates = buildLabelCandidates({
+      systems: geometry?.systems || [],
+      systemNames,
+      cxIds: CX_IDS,
+      importantIds,
+      planetLabels,
+      k
+    });
+
+    layer.selectAll('text.map-label')
+      .data(placeLabels(candidates, scale), label => label.id)
+      .join('text')
+      .attr('class', label => `map-label map-label-${label.kind}`)
+      .attr('x', label => label.x)
+      .attr('y', label => label.y)
+      .attr('font-size', label => label.fontSize)
+      .attr('font-weight', label => (label.kind === LABEL_KINDS.CX ? 'bold' : 'normal'))
+      .attr('text-anchor', label => label.anchor)
+      .attr('dominant-baseline', 'middle')
+      .attr('fill', label => colors.labels[label.kind])
+      .attr('opacity', label => label.opacity)
+      .attr('stroke', '#000000')
+      .attr('stroke-width', 2 / scale)
+      .attr('paint-order', 'stroke')
+      .text(label => label.text);
+  }, [mapRef, systemNames, importantIds, planetLabels]);
+
+  useEffect(() => {
+    if (!mapRef.current || mapRenderKey === 0) return;
+    const { svg, zoom } = mapRef.current;
+
+    let k = d3.zoomTransform(svg.node()).k;
+    let frame = null;
+    renderLabels(k);
+
+    const handleResize = () => renderLabels(k);
+    window.addEventListener('resize', handleResize);
+
+    zoom.on('zoom.labels', (event) => {
+      if (event.transform.k === k) return;
+      k = event.transform.k;
+      if (frame === null) {
+        frame = requestAnimationFrame(() => {
+          frame = null;
+          renderLabels(k);
+        });
+      }
+    });
+
+    return () => {
+      zoom.on('zoom.labels', null);
+      window.removeEventListener('resize', handleResize);
+      if (frame !== null) cancelAnimationFrame(frame);
+    };
+  }, [mapRef, mapRenderKey, renderLabels]);
+
+  return null;
+};
+
+export default React.memo(LabelLayer);
@@ -0,0 +1,126 @@
+import React, { useContext, useEffect, useMemo, useRef, useState } from 'react';
+import * as d3 from 'd3';
+import { GraphContext } from '../contexts/GraphContext';
+import { SearchContext } from '../contexts/SearchContext';
+import { useMapSettings } from '../contexts/MapSettingsContext';
+import { useMapCamera } from '../contexts/MapCameraContext';
+import { getVisibleBounds } from '../utils/cameraUtils';
+import { getResultSystemId } from '../utils/proximityUtils';
+import { colors } from '../config/config';
+
+// Overview of the whole universe at the bottom right of the map: systems, search hits and the
+// area the main map shows. Clicking pans the main map there; dragging the rectangle moves it.
+const Minimap = ({ mapRef, mapRenderKey }) => {
+  const { mapGeometry } = useContext(GraphContext);
+  const { searchResults } = useContext(SearchContext);
+  const { settings } = useMapSettings();
+  const { panTo } = useMapCamera();
+  const [viewport, setViewport] = useState(null);
+  const svgRef = useRef(null);
+  // Offset from the pointer to the viewport center while dragging
+  const dragRef = useRef(null);
+
+  useEffect(() => {
+    if (!mapRef.current || mapRenderKey === 0) return;
+    const { svg, zoom } = mapRef.current;
+
+    const update = () => {
+      const { width, height } = svg.node().getBoundingClientRect();
+      setViewport(getVisibleBounds(svg.attr('viewBox'), width, height, d3.zoomTransform(svg.node())));
+    };
+    update();
+
+    zoom.on('zoom.minimap', update);
+    window.addEventListener('resize', update);
+    return () => {
+      zoom.on('zoom.minimap', null);
+      window.removeEventListener('resize', update);
+    };
+  }, [mapRef, mapRenderKey]);
+
+  const hitIds = useMemo(
+    () => new Set((searchResults || []).map(getResultSystemId).filter(Boolean)),
+    [searchResults]
+  );
+
+  // Systems and lanes only change with the data, so they are not redrawn while panning
+  const background = useMemo(() => {
+    if (!mapGeometry) return null;
+    return (
+      <>
+        {mapGeometry.edges.map(edge => (
+          <line key={edge.key} x1={edge.x1} y1={edge.y1} x2={edge.x2} y2={edge.y2} className="minimap-lane" />
+        ))}
+        {mapGeometry.systems.map(system => (
+          <circle
+            key={system.id}
+            cx={system.cx}
+            cy={system.cy}
+            r={hitIds.has(system.id) ? system.size * 1.5 : system.size}
+            fill={hitIds.has(system.id) ? colors.searchSystemFill : colors.resetSystemFill}
+          />
+        ))}
+      </>
+    );
+  }, [mapGeometry, hitIds]);
+
+  if (!settings.showMinimap || !mapGeometry) return null;
+  const { bounds } = mapGeometry;
+
+  const toMapPoint = (event) => {
+    const point = svgRef.current.createSVGPoint();
+    point.x = event.clientX;
+    point.y = event.clientY;
+    return point.matrixTransform(svgRef.current.getScreenCTM().inverse());
+  };
+
+  const handlePointerDown = (event) => {
+    const { x, y } = toMapPoint(event);
+    const isOnViewport = viewport
+      && x >= viewport.x && x <= viewport.x + viewport.width
+      && y >= viewport.y && y <= viewport.y + viewport.height;
+    // Grabbing the rectangle keeps it under the pointer; anywhere else jumps there first
+    dragRef.current = isOnViewport
+      ? { dx: viewport.x + viewport.width / 2 - x, dy: viewport.y + viewport.height / 2 - y }
+      : { dx: 0, dy: 0 };
+    event.currentTarget.setPointerCapture(event.pointerId);
+    panTo({ x: x + dragRef.current.dx, y: y + dragRef.current.dy });
+  };
+
+  const handlePointerMove = (event) => {
+    if (!dragRef.current) return;
+    const { x, y } = toMapPoint(event);
+    panTo({ x: x + dragRef.current.dx, y: y + dragRef.current.dy });
+  };
+
+  const handlePointerUp = (event) => {
+    dragRef.current = null;
+    event.currentTarget.releasePointerCapture(event.pointerId);
+  };
+
+  return (
+    <div className="minimap">
+      <svg
+        ref={svgRef}
+        viewBox={`${bounds.x} ${bounds.y} ${bounds.width} ${bounds.height}`}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerUp}
+      >
+        {background}
+        {viewport && (
+          <rect
+            className="minimap-viewport"
+            x={viewport.x}
+            y={viewport.y}
+            width={viewport.width}
+            height={viewport.height}
+          />
+        )}
+      </svg>
+    </div>
+  );
+};
+
+export default Minimap;
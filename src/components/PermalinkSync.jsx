@@ -0,0 +1,78 @@
+import { useEffect, useContext, useRef } from 'react';
+import { GraphContext } from '../contexts/GraphContext';
+import { SearchContext } from '../contexts/SearchContext';
+import { SelectionContext } from '../contexts/SelectionContext';
+import { useCogcOverlay } from '../contexts/CogcOverlayContext';
+import { useMapMode, MAP_MODES } from '../contexts/MapModeContext';
+import { encodeMapState, decodeMapState } from '../utils/permalinkUtils';
+
+// Restores map state from the URL once the map and its data are loaded, then keeps the
+// URL in sync so it can be shared as-is.
+const PermalinkSync = ({ mapRenderKey }) => {
+  const { planetData, universeData, materials } = useContext(GraphContext);
+  const {
+    activeQuery,
+    searchResults,
+    filters,
+    resourceThreshold,
+    isRelativeThreshold,
+    resourceTypeFilter,
+    restoreSearch
+  } = useContext(SearchContext);
+  const { selectedSystem, pathfindingSelection, restoreSelection } = useContext(SelectionContext);
+  const { overlayProgram, setOverlayProgram } = useCogcOverlay();
+  const { activeMode, gatewayData, restoreGatewayPlan } = useMapMode();
+
+  const isRestoredRef = useRef(false);
+  // Selection waits for the restored search, which would otherwise clear its highlight
+  const pendingSelectionRef = useRef(null);
+
+  const isDataReady = mapRenderKey > 0
+    && Object.keys(planetData).length > 0
+    && Object.keys(universeData).length > 0
+    && Object.keys(materials).length > 0;
+
+  useEffect(() => {
+    if (isRestoredRef.current || !isDataReady) return;
+    isRestoredRef.current = true;
+
+    const state = decodeMapState(window.location.search);
+    if (restoreSearch(state)) {
+      pendingSelectionRef.current = state;
+    } else {
+      restoreSelection(state);
+    }
+    if (state.overlayProgram) setOverlayProgram(state.overlayProgram);
+    restoreGatewayPlan(state);
+  }, [isDataReady, restoreSearch, restoreSelection, setOverlayProgram, restoreGatewayPlan]);
+
+  useEffect(() => {
+    if (!pendingSelectionRef.current) return;
+    restoreSelection(pendingSelectionRef.current);
+    pendingSelectionRef.current = null;
+  }, [searchResults, restoreSelection]);
+
+  useEffect(() => {
+    if (!isRestoredRef.current) return;
+
+    const search = encodeMapState({
+      query: activeQuery,
+      filters,
+      resourceThreshold,
+      isRelativeThreshold,
+      resourceTypeFilter,
+      selectedSystem,
+      pathfindingSelection,
+      overlayProgram,
+      isGatewayMode: activeMode === MAP_MODES.GATEWAY,
+      plannedGateways: gatewayData.plannedGateways
+    });
+    const url = `${window.location.pathname}${search ? `?${search}` : ''}${window.location.hash}`;
+    window.history.replaceState(null, '', url);
+  }, [activeQuery, filters, resourceThreshold, isRelativeThreshold, resourceTypeFilter, selectedSystem,
+      pathfindingSelection, overlayProgram, activeMode, gatewayData.plannedGateways, isDataReady]);
+
+  return null;
+};
+
+export default PermalinkSync;
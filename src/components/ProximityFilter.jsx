@@ -0,0 +1,133 @@
+import React, { useContext, useEffect, useMemo, useState } from 'react';
+import { Crosshair } from 'lucide-react';
+import { SearchContext } from '../contexts/SearchContext';
+import { GraphContext } from '../contexts/GraphContext';
+import { SelectionContext } from '../contexts/SelectionContext';
+import { PROXIMITY_METRICS, resolveSystemTerm } from '../utils/proximityUtils';
+
+const DEFAULT_LIMITS = { jumps: 3, parsecs: 30 };
+
+// Keeps search results within N jumps or parsecs of an anchor system, nearest first.
+const ProximityFilter = () => {
+  const { filters, updateFilters } = useContext(SearchContext);
+  const { universeData } = useContext(GraphContext);
+  const { selectedSystem } = useContext(SelectionContext);
+  const near = filters.near;
+
+  const systemLabel = (systemId) => {
+    const system = universeData?.[systemId]?.[0];
+    return system ? system.Name : '';
+  };
+
+  const [systemText, setSystemText] = useState(near ? systemLabel(near.systemId) : '');
+  const [metric, setMetric] = useState(near?.metric || 'jumps');
+  const [max, setMax] = useState(near?.max ?? DEFAULT_LIMITS.jumps);
+
+  // Follow changes made elsewhere (permalinks, clearing)
+  useEffect(() => {
+    if (!near) {
+      setSystemText('');
+      setMetric('jumps');
+      setMax(DEFAULT_LIMITS.jumps);
+      return;
+    }
+    setSystemText(universeData?.[near.systemId]?.[0]?.Name || '');
+    setMetric(near.metric);
+    setMax(near.max);
+  }, [near, universeData]);
+
+  const systemOptions = useMemo(() => Object.values(universeData || {})
+    .map(([system]) => system)
+    .filter(Boolean)
+    .sort((a, b) => a.Name.localeCompare(b.Name)), [universeData]);
+
+  const apply = (next) => {
+    const systemId = resolveSystemTerm(universeData, next.systemText);
+    if (!systemId) return;
+    updateFilters({ ...filters, near: { systemId, metric: next.metric, max: next.max } });
+  };
+
+  const handleSystemChange = (event) => {
+    setSystemText(event.target.value);
+    if (!event.target.value.trim()) {
+      if (near) updateFilters({ ...filters, near: null });
+      return;
+    }
+    apply({ systemText: event.target.value, metric, max });
+  };
+
+  const handleMetricChange = (event) => {
+    const nextMetric = event.target.value;
+    setMetric(nextMetric);
+    setMax(DEFAULT_LIMITS[nextMetric]);
+    apply({ systemText, metric: nextMetric, max: DEFAULT_LIMITS[nextMetric] });
+  };
+
+  const handleMaxChange = (event) => {
+    const value = parseFloat(event.target.value);
+    const nextMax = isNaN(value) || value < 0 ? 0 : value;
+    setMax(nextMax);
+    apply({ systemText, metric, max: nextMax });
+  };
+
+  const handleUseSelected = () => {
+    const name = systemLabel(selectedSystem);
+    setSystemText(name);
+    apply({ systemText: name, metric, max });
+  };
+
+  const clear = () => {
+    setSystemText('');
+    updateFilters({ ...filters, near: null });
+  };
+
+  const isUnresolved = systemText && !resolveSystemTerm(universeData, systemText);
+
+  return (
+    <div className="filter-category">
+      <h4>Near System</h4>
+      <div className="proximity-filter-controls">
+        <input
+          type="text"
+          list="proximity-system-options"
+          className={`proximity-system-input ${near ? 'active' : ''} ${isUnresolved ? 'has-error' : ''}`}
+          placeholder="System name or ID"
+          value={systemText}
+          onChange={handleSystemChange}
+        />
+        <datalist id="proximity-system-options">
+          {systemOptions.map(system => (
+            <option key={system.SystemId} value={system.Name}>{system.NaturalId}</option>
+          ))}
+        </datalist>
+        <button
+          className="proximity-use-selected"
+          disabled={!selectedSystem}
+          onClick={handleUseSelected}
+          data-tooltip="Use the selected system"
+        >
+          <Crosshair size={14} />
+        </button>
+        <span className="proximity-label">within</span>
+        <input
+          type="number"
+          min="0"
+          step={PROXIMITY_METRICS[metric].step}
+          className="proximity-max-input"
+          value={max}
+          onChange={handleMaxChange}
+        />
+        <select className="proximity-metric-select" value={metric} onChange={handleMetricChange}>
+          {Object.entries(PROXIMITY_METRICS).map(([key, config]) => (
+            <option key={key} value={key}>{config.label}</option>
+          ))}
+        </select>
+        {near && (
+          <button className="clear-button proximity-clear" onClick={clear}>Clear</button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ProximityFilter;
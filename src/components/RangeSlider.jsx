@@ -0,0 +1,106 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { buildHistogram, normalizeRange } from '../utils/rangeUtils';
+
+const formatValue = (value, step) => {
+  const decimals = step >= 1 ? 0 : Math.min(3, String(step).split('.')[1]?.length || 2);
+  return Number(value).toFixed(decimals);
+};
+
+/**
+ * Dual-handle slider over `domain` with a histogram of `values` behind it. `value` is a
+ * [min, max] pair or null for the full domain; `onChange` only fires when a handle is
+ * released, so dragging does not re-run the search on every step. `markers` draws
+ * reference lines (e.g. the Low/High cutoffs).
+ */
+const RangeSlider = ({ label, unit, domain, step, values, value, markers = [], onChange }) => {
+  const [draft, setDraft] = useState(value || domain);
+
+  useEffect(() => {
+    setDraft(value || domain);
+  }, [value, domain]);
+
+  const bins = useMemo(() => buildHistogram(values, domain), [values, domain]);
+  const maxCount = Math.max(1, ...bins.map(bin => bin.count));
+  const selectedCount = useMemo(
+    () => values.filter(v => v >= draft[0] && v <= draft[1]).length,
+    [values, draft]
+  );
+
+  const span = domain[1] - domain[0] || 1;
+  const toPercent = (v) => ((v - domain[0]) / span) * 100;
+
+  const handleInput = (index) => (event) => {
+    const next = [...draft];
+    next[index] = parseFloat(event.target.value);
+    // Handles may not cross
+    if (index === 0) next[0] = Math.min(next[0], draft[1]);
+    else next[1] = Math.max(next[1], draft[0]);
+    setDraft(next);
+  };
+
+  const commit = () => {
+    const next = normalizeRange(draft, domain);
+    if (JSON.stringify(next) !== JSON.stringify(value || null)) onChange(next);
+  };
+
+  const isActive = !!value;
+
+  return (
+    <div className={`range-slider ${isActive ? 'active' : ''}`}>
+      <div className="range-slider-header">
+        <span className="range-slider-label">{label}</span>
+        <span className="range-slider-values">
+          {formatValue(draft[0], step)} – {formatValue(draft[1], step)}{unit && ` ${unit}`}
+        </span>
+        <span className="range-slider-count" title="Planets in the selected range">{selectedCount}/{values.length}</span>
+        {isActive && (
+          <button className="range-slider-reset" title={`Reset ${label.toLowerCase()} range`} onClick={() => onChange(null)}>
+            ×
+          </button>
+        )}
+      </div>
+      <div className="range-slider-histogram">
+        {bins.map((bin, i) => (
+          <div
+            key={i}
+            className={`range-slider-bin ${bin.end >= draft[0] && bin.start <= draft[1] ? 'in-range' : ''}`}
+            style={{ height: `${(bin.count / maxCount) * 100}%` }}
+            title={`${formatValue(bin.start, step)} – ${formatValue(bin.end, step)}: ${bin.count} planets`}
+          />
+        ))}
+        {markers.filter(marker => marker.value > domain[0] && marker.value < domain[1]).map(marker => (
+          <div
+            key={marker.label}
+            className="range-slider-marker"
+            style={{ left: `${toPercent(marker.value)}%` }}
+            title={marker.label}
+          />
+        ))}
+      </div>
+      <div className="range-slider-track">
+        <div
+          className="range-slider-fill"
+          style={{ left: `${toPercent(draft[0])}%`, width: `${toPercent(draft[1]) - toPercent(draft[0])}%` }}
+        />
+        {[0, 1].map(index => (
+          <input
+            key={index}
+            type="range"
+            min={domain[0]}
+            max={domain[1]}
+            step={step}
+            value={draft[index]}
+            aria-label={`${label} ${index === 0 ? 'minimum' : 'maximum'}`}
+            // Keep the lower handle reachable once both are pushed to the top end
+            style={index === 0 && toPercent(draft[0]) > 50 ? { zIndex: 3 } : undefined}
+            onChange={handleInput(index)}
+            onPointerUp={commit}
+            onKeyUp={commit}
+          />
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default RangeSlider;
@@ -0,0 +1,138 @@
+import React, { useContext, useEffect, useMemo, useState } from 'react';
+import { ChevronUp, ChevronDown, Download, Table, X } from 'lucide-react';
+import { GraphContext } from '../contexts/GraphContext';
+import { SearchContext } from '../contexts/SearchContext';
+import { SelectionContext } from '../contexts/SelectionContext';
+import { CX_SYSTEMS } from '../constants/cxSystems';
+import { determinePlanetTier } from '../utils/svgUtils';
+import { createNearestLookup } from '../utils/proximityUtils';
+import { downloadFile } from '../utils/downloadUtils';
+import { buildResultRows, sortRows, rowsToCsv, rowsToJson, RESULT_COLUMNS } from '../utils/resultsTableUtils';
+
+// Rows rendered before "Show all"; exports write the rows the table is showing
+const ROW_LIMIT = 250;
+
+const formatCell = (column, value) => {
+  if (value === null || value === undefined || value === Infinity) return '–';
+  if (column.key === 'factor') return `${(value * 100).toFixed(2)}%`;
+  if (column.key === 'anchorParsecs') return value.toFixed(1);
+  if (column.key === 'planetTier') return `${value}★`;
+  return value;
+};
+
+// Collapsible table of the current search results, docked at the bottom of the map.
+const ResultsTable = () => {
+  const { universeData, planetData, materials, graphService } = useContext(GraphContext);
+  const { searchResults, plotsData } = useContext(SearchContext);
+  const { selectedSystem, highlightSelectedSystem } = useContext(SelectionContext);
+  const [isOpen, setIsOpen] = useState(false);
+  const [showAll, setShowAll] = useState(false);
+  // Empty sort key keeps the search order (nearest first for proximity searches)
+  const [sort, setSort] = useState({ key: '', direction: 'asc' });
+
+  // A new search starts back at the row limit
+  useEffect(() => {
+    setShowAll(false);
+  }, [searchResults]);
+
+  const getNearestCx = useMemo(() => createNearestLookup(graphService, CX_SYSTEMS), [graphService]);
+
+  const rows = useMemo(() => buildResultRows(searchResults, {
+    planetData,
+    universeData,
+    materials: Array.isArray(materials) ? materials : [],
+    plotsData,
+    getPlanetTier: planet => determinePlanetTier(planet.BuildRequirements),
+    getNearestCx
+  }), [searchResults, planetData, universeData, materials, plotsData, getNearestCx]);
+
+  const columns = useMemo(() => {
+    const hasProximity = rows.some(row => row.anchorJumps !== null);
+    return RESULT_COLUMNS.filter(column => !column.proximity || hasProximity);
+  }, [rows]);
+
+  const sortedRows = useMemo(
+    () => (sort.key ? sortRows(rows, sort.key, sort.direction) : rows),
+    [rows, sort]
+  );
+  const visibleRows = showAll ? sortedRows : sortedRows.slice(0, ROW_LIMIT);
+
+  if (rows.length === 0) return null;
+
+  const handleSort = (key) => {
+    setSort(prev => (prev.key === key
+      ? { key, direction: prev.direction === 'asc' ? 'desc' : 'asc' }
+      : { key, direction: 'asc' }));
+  };
+
+  const exportAs = (format) => {
+    if (format === 'csv') {
+      downloadFile(rowsToCsv(visibleRows, columns), 'prun-search-results.csv', 'text/csv');
+    } else {
+      downloadFile(rowsToJson(visibleRows, columns), 'prun-search-results.json', 'application/json');
+    }
+  };
+
+  if (!isOpen) {
+    return (
+      <button className="results-table-tab" onClick={() => setIsOpen(true)} title="Show search results as a table">
+        <Table size={14} /> Results ({rows.length})
+      </button>
+    );
+  }
+
+  return (
+    <div className="results-table-panel">
+      <div className="results-table-header">
+        <h4>Search Results ({rows.length})</h4>
+        <button className="clear-button" onClick={() => exportAs('csv')} title="Export the shown rows as CSV">
+          <Download size={14} /> CSV
+        </button>
+        <button className="clear-button" onClick={() => exportAs('json')} title="Export the shown rows as JSON">
+          <Download size={14} /> JSON
+        </button>
+        <button className="results-table-close" onClick={() => setIsOpen(false)} title="Hide results">
+          <X size={16} />
+        </button>
+      </div>
+      <div className="results-table-scroll">
+        <table className="results-table">
+          <thead>
+            <tr>
+              {columns.map(column => (
+                <th
+                  key={column.key}
+                  className={`${column.numeric ? 'numeric' : ''} ${sort.key === column.key ? 'sorted' : ''}`}
+                  onClick={() => handleSort(column.key)}
+                >
+                  {column.label}
+                  {sort.key === column.key && (sort.direction === 'asc' ? <ChevronUp size={12} /> : <ChevronDown size={12} />)}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {visibleRows.map(row => (
+              <tr
+                key={row.key}
+                className={row.systemId === selectedSystem ? 'selected' : ''}
+                onClick={() => highlightSelectedSystem(row.systemId)}
+              >
+                {columns.map(column => (
+                  <td key={column.key} className={column.numeric ? 'numeric' : ''}>{formatCell(column, row[column.key])}</td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {sortedRows.length > visibleRows.length && (
+          <button className="clear-button results-table-more" onClick={() => setShowAll(true)}>
+            Show all {sortedRows.length} rows
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ResultsTable;
@@ -0,0 +1,190 @@
+import React, { useContext, useMemo } from 'react';
+import { ChevronUp, ChevronDown, X } from 'lucide-react';
+import { GraphContext } from '../contexts/GraphContext';
+import { SelectionContext } from '../contexts/SelectionContext';
+import { colors, routing } from '../config/config';
+import FlightEstimate from './FlightEstimate';
+
+const formatJumps = (jumps) => (jumps === Infinity ? 'No route' : `${jumps} jump${jumps !== 1 ? 's' : ''}`);
+const formatDistance = (distance) => (distance === Infinity ? '-' : `${distance.toFixed(2)} pc`);
+
+const RoutePlanner = () => {
+  const { universeData } = useContext(GraphContext);
+  const {
+    pathfindingSelection,
+    route,
+    removeWaypoint,
+    moveWaypoint,
+    clearWaypoints,
+    useGateways,
+    toggleGatewayRouting,
+    avoidedSystems,
+    isMarkingAvoided,
+    toggleMarkingAvoided,
+    removeAvoidedSystem,
+    clearAvoidedSystems,
+    avoidHighDensity,
+    toggleAvoidHighDensity,
+    densityThreshold,
+    setDensityThreshold,
+    alternativeCount,
+    setAlternativeCount,
+    activeAlternative,
+    setActiveAlternative
+  } = useContext(SelectionContext);
+
+  // The estimate follows the emphasised alternative when alternatives are listed
+  const estimateLegs = useMemo(() => {
+    if (!route) return null;
+    const alternative = route.alternatives.length > 1 ? route.alternatives[activeAlternative] : null;
+    return alternative ? [alternative] : route.legs;
+  }, [route, activeAlternative]);
+
+  const handleDensityChange = (event) => {
+    const value = parseFloat(event.target.value);
+    setDensityThreshold(isNaN(value) ? 0 : value);
+  };
+
+  const jumpsSaved = route && route.baseline && route.baseline.totalJumps !== Infinity && route.totalJumps !== Infinity
+    ? route.baseline.totalJumps - route.totalJumps
+    : 0;
+
+  const getSystemName = (systemId) => universeData[systemId] ? universeData[systemId][0].Name : systemId;
+
+  return (
+    <div className="route-planner">
+      <div className="route-planner-header">
+        <h4>Route ({pathfindingSelection.length} stops)</h4>
+        <button className="clear-button" onClick={clearWaypoints}>Clear</button>
+      </div>
+
+      <div className="route-options">
+        <button
+          className={`toggle-token ${useGateways ? 'active' : ''}`}
+          onClick={toggleGatewayRouting}
+          data-tooltip="Route through operational gateways"
+        >
+          Use Gateways
+        </button>
+        <button
+          className={`toggle-token ${isMarkingAvoided ? 'active' : ''}`}
+          onClick={toggleMarkingAvoided}
+          data-tooltip="Click systems on the map to avoid them"
+        >
+          Mark Avoided
+        </button>
+        <button
+          className={`toggle-token ${avoidHighDensity ? 'active' : ''}`}
+          onClick={toggleAvoidHighDensity}
+          data-tooltip="Avoid systems with high meteoroid density"
+        >
+          Avoid Meteoroids
+        </button>
+        {avoidHighDensity && (
+          <label className="route-option-input">
+            Density ≥
+            <input type="number" min="0" step="0.1" value={densityThreshold} onChange={handleDensityChange} />
+          </label>
+        )}
+        <label className="route-option-input">
+          Alternatives
+          <select value={alternativeCount} onChange={(e) => setAlternativeCount(parseInt(e.target.value, 10))}>
+            {Array.from({ length: routing.maxAlternatives }, (_, i) => i + 1).map(count => (
+              <option key={count} value={count}>{count}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {avoidedSystems.length > 0 && (
+        <div className="route-avoided">
+          <div className="route-avoided-header">
+            <span>Avoiding {avoidedSystems.length} system{avoidedSystems.length !== 1 ? 's' : ''}</span>
+            <button className="clear-button" onClick={clearAvoidedSystems}>Clear</button>
+          </div>
+          <ul className="route-avoided-list">
+            {avoidedSystems.map(systemId => (
+              <li key={systemId}>
+                {getSystemName(systemId)}
+                <button className="delete-gw-btn" title="Stop avoiding" onClick={() => removeAvoidedSystem(systemId)}>
+                  <X size={12} />
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {pathfindingSelection.length === 0 ? (
+        <p className="placeholder-text">Click systems on the map to add stops.</p>
+      ) : (
+        <ol className="route-stop-list">
+          {pathfindingSelection.map((systemId, index) => {
+            const leg = route && route.legs[index];
+            return (
+              <li key={`${systemId}-${index}`}>
+                <div className="planned-gateway-item route-stop">
+                  <span className="route-stop-index">{index + 1}</span>
+                  <span className="route-stop-name">{getSystemName(systemId)}</span>
+                  <button className="delete-gw-btn" title="Move up" disabled={index === 0} onClick={() => moveWaypoint(index, -1)}>
+                    <ChevronUp size={14} />
+                  </button>
+                  <button className="delete-gw-btn" title="Move down" disabled={index === pathfindingSelection.length - 1} onClick={() => moveWaypoint(index, 1)}>
+                    <ChevronDown size={14} />
+                  </button>
+                  <button className="delete-gw-btn" title="Remove stop" onClick={() => removeWaypoint(index)}>
+                    <X size={14} />
+                  </button>
+                </div>
+                {leg && (
+                  <div className={`route-leg ${leg.jumps === Infinity ? 'unreachable' : ''}`}>
+                    ↓ {formatJumps(leg.jumps)} · {formatDistance(leg.distance)}
+                    {leg.gatewayHops.length > 0 && (
+                      <span className="route-gateway-count"> · {leg.gatewayHops.length} via gateway</span>
+                    )}
+                  </div>
+                )}
+              </li>
+            );
+          })}
+        </ol>
+      )}
+
+      {route && route.alternatives.length > 1 && (
+        <ol className="route-alternatives">
+          {route.alternatives.map((alternative, index) => (
+            <li
+              key={alternative.path.join('-')}
+              className={`route-alternative ${index === activeAlternative ? 'active' : ''}`}
+              onClick={() => setActiveAlternative(index)}
+            >
+              <span className="color-box" style={{ background: colors.routeAlternatives[index % colors.routeAlternatives.length] }}></span>
+              Route {index + 1}: {formatJumps(alternative.jumps)} · {formatDistance(alternative.distance)}
+              {alternative.gatewayHops.length > 0 && (
+                <span className="route-gateway-count"> · {alternative.gatewayHops.length} via gateway</span>
+              )}
+            </li>
+          ))}
+        </ol>
+      )}
+
+      {route && (
+        <div className="route-total">
+          Total: <strong>{formatJumps(route.totalJumps)}</strong> · <strong>{formatDistance(route.totalDistance)}</strong>
+          {route.baseline && (
+            <div className="route-baseline">
+              FTL only: {formatJumps(route.baseline.totalJumps)} · {formatDistance(route.baseline.totalDistance)}
+              {jumpsSaved > 0 && (
+                <div className="route-savings">Gateways save {formatJumps(jumpsSaved)}</div>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+
+      {estimateLegs && <FlightEstimate legs={estimateLegs} />}
+    </div>
+  );
+};
+
+export default RoutePlanner;
@@ -0,0 +1,33 @@
+import React, { useMemo } from 'react';
+import * as d3 from 'd3';
+import { useScoring } from '../contexts/ScoringContext';
+import { useMapMode, MAP_MODES } from '../contexts/MapModeContext';
+import useSystemMarkers from '../hooks/useSystemMarkers';
+import { colors } from '../config/config';
+
+const scoreColor = d3.interpolateRgbBasis(colors.scoreScale);
+
+const MARKER_STYLE = {
+  radius: (marker, system) => system.size / 2,
+  fill: marker => scoreColor(marker.score),
+  fillOpacity: 0.9,
+  stroke: colors.systemStroke,
+  strokeWidth: '1px'
+};
+
+// Colors each ranked system by its best planet score.
+const ScoreOverlay = ({ mapRef, mapRenderKey }) => {
+  const { isRankingVisible, systemScores } = useScoring();
+  const { activeMode } = useMapMode();
+
+  const markers = useMemo(() => {
+    if (!isRankingVisible || activeMode !== MAP_MODES.STANDARD) return null;
+    return Object.entries(systemScores).map(([systemId, score]) => ({ systemId, score }));
+  }, [isRankingVisible, systemScores, activeMode]);
+
+  useSystemMarkers(mapRef, mapRenderKey, 'score-layer', markers, MARKER_STYLE);
+
+  return null;
+};
+
+export default React.memo(ScoreOverlay);
@@ -0,0 +1,179 @@
+import React, { useContext, useState } from 'react';
+import { GraphContext } from '../contexts/GraphContext';
+import { SelectionContext } from '../contexts/SelectionContext';
+import { useScoring, NEAREST_CX } from '../contexts/ScoringContext';
+import { CX_SYSTEMS } from '../constants/cxSystems';
+import { FACILITIES } from '../constants/facilities';
+import { cogcPrograms } from '../constants/cogcPrograms';
+import { SCORING_CRITERIA } from '../utils/scoringUtils';
+import { colors, scoring as scoringConfig } from '../config/config';
+
+// Programs that can be matched; "All"/"No Program" make no sense as a target
+const TARGET_PROGRAMS = cogcPrograms.filter(program => program.value && program.value !== 'ALL');
+
+const formatRaw = (key, raw) => {
+  if (raw === null || raw === undefined) return 'no data';
+  switch (key) {
+    case 'concentration': return `${(raw * 100).toFixed(1)}% of best`;
+    case 'tier': return `${raw}★`;
+    case 'plots': return `${raw} plots`;
+    case 'cxJumps': return raw === Infinity ? 'unreachable' : `${raw} jumps`;
+    case 'cogc': return raw ? raw.replace(/^ADVERTISING_/, '').replace(/_/g, ' ').toLowerCase() : 'none';
+    case 'facilities': return `${raw} present`;
+    case 'workforce': return `${raw} net workers`;
+    default: return String(raw);
+  }
+};
+
+const criterionLabel = (key) => SCORING_CRITERIA.find(criterion => criterion.key === key)?.label || key;
+
+const ScoreBar = ({ breakdown }) => (
+  <div className="score-bar">
+    {breakdown.map(item => (
+      <div
+        key={item.key}
+        className="score-bar-segment"
+        style={{ width: `${item.contribution * 100}%`, backgroundColor: colors.scoreCriteria[item.key] }}
+        title={`${criterionLabel(item.key)}: +${(item.contribution * 100).toFixed(1)}`}
+      />
+    ))}
+  </div>
+);
+
+// Weights, options and the top-N ranking of the weighted site score.
+const ScoringPanel = () => {
+  const { universeData } = useContext(GraphContext);
+  const { highlightSelectedSystem } = useContext(SelectionContext);
+  const {
+    weights, setWeight, cxTarget, cogcProgram, facilityKeys, updateSettings, resetSettings,
+    ranking, isRankingAllPlanets
+  } = useScoring();
+  const [expandedId, setExpandedId] = useState(null);
+  const [showSettings, setShowSettings] = useState(true);
+
+  const systemName = (systemId) => universeData[systemId]?.[0]?.Name || systemId;
+
+  const toggleFacility = (key) => {
+    updateSettings({
+      facilityKeys: facilityKeys.includes(key) ? facilityKeys.filter(k => k !== key) : [...facilityKeys, key]
+    });
+  };
+
+  const topEntries = ranking.slice(0, scoringConfig.topN);
+
+  return (
+    <div className="scoring-panel">
+      <div className="scoring-panel-header">
+        <h4>Site Ranking</h4>
+        <button className="clear-button" onClick={() => setShowSettings(!showSettings)}>
+          {showSettings ? 'Hide Weights' : 'Weights'}
+        </button>
+      </div>
+
+      {showSettings && (
+        <div className="scoring-settings">
+          {SCORING_CRITERIA.map(criterion => (
+            <label key={criterion.key} className="scoring-weight" title={criterion.description}>
+              <span className="color-box" style={{ background: colors.scoreCriteria[criterion.key] }}></span>
+              <span className="scoring-weight-label">{criterion.label}</span>
+              <input
+                type="range"
+                min="0"
+                max={scoringConfig.maxWeight}
+                step="1"
+                value={weights[criterion.key]}
+                onChange={(e) => setWeight(criterion.key, parseInt(e.target.value, 10))}
+              />
+              <span className="scoring-weight-value">{weights[criterion.key]}</span>
+            </label>
+          ))}
+
+          <label className="scoring-option">
+            <span>CX</span>
+            <select value={cxTarget} onChange={(e) => updateSettings({ cxTarget: e.target.value })}>
+              <option value={NEAREST_CX}>Nearest CX</option>
+              {CX_SYSTEMS.map(systemId => (
+                <option key={systemId} value={systemId}>{systemName(systemId)}</option>
+              ))}
+            </select>
+          </label>
+          <label className="scoring-option">
+            <span>CoGC</span>
+            <select value={cogcProgram || ''} onChange={(e) => updateSettings({ cogcProgram: e.target.value || null })}>
+              <option value="">Any program</option>
+              {TARGET_PROGRAMS.map(program => (
+                <option key={program.value} value={program.value}>{program.display}</option>
+              ))}
+            </select>
+          </label>
+          <div className="scoring-option">
+            <span>Facilities</span>
+            <div className="scoring-facilities">
+              {FACILITIES.map(facility => (
+                <button
+                  key={facility.key}
+                  className={`scoring-facility ${facilityKeys.includes(facility.key) ? 'active' : ''}`}
+                  title={facility.label}
+                  onClick={() => toggleFacility(facility.key)}
+                >
+                  {facility.short}
+                </button>
+              ))}
+            </div>
+          </div>
+          <button className="clear-button" onClick={resetSettings}>Reset</button>
+        </div>
+      )}
+
+      <p className="scoring-scope">
+        {isRankingAllPlanets ? 'Ranking all planets. Search to rank only the matches.' : `Ranking ${ranking.length} search matches.`}
+      </p>
+
+      <div className="score-legend">
+        <span>0</span>
+        <div className="score-legend-gradient" style={{ background: `linear-gradient(to right, ${colors.scoreScale.join(', ')})` }} />
+        <span>100</span>
+      </div>
+
+      <ol className="scoring-ranking">
+        {topEntries.map(entry => {
+          const id = entry.planet.PlanetNaturalId;
+          const isExpanded = expandedId === id;
+          return (
+            <li key={id} className="scoring-entry">
+              <div className="scoring-entry-row" onClick={() => highlightSelectedSystem(entry.systemId)}>
+                <span className="scoring-entry-name">{entry.planet.PlanetName} <small>{systemName(entry.systemId)}</small></span>
+                <span className="scoring-entry-score">{(entry.score * 100).toFixed(0)}</span>
+                <button
+                  className="scoring-entry-expand"
+                  title="Score breakdown"
+                  onClick={(e) => { e.stopPropagation(); setExpandedId(isExpanded ? null : id); }}
+                >
+                  {isExpanded ? '−' : '+'}
+                </button>
+              </div>
+              <ScoreBar breakdown={entry.breakdown} />
+              {isExpanded && (
+                <table className="scoring-breakdown">
+                  <tbody>
+                    {entry.breakdown.map(item => (
+                      <tr key={item.key}>
+                        <td>{criterionLabel(item.key)}</td>
+                        <td>{formatRaw(item.key, item.raw)}</td>
+                        <td className="numeric">{(item.normalized * 100).toFixed(0)}%</td>
+                        <td className="numeric">+{(item.contribution * 100).toFixed(1)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </li>
+          );
+        })}
+      </ol>
+      {topEntries.length === 0 && <p className="placeholder-text">No planets to rank.</p>}
+    </div>
+  );
+};
+
+export default ScoringPanel;
@@ -0,0 +1,116 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Bookmark, Download, Upload, X } from 'lucide-react';
+import { useSearchPresets } from '../contexts/SearchPresetContext';
+import { downloadFile } from '../utils/downloadUtils';
+
+const describeQuery = (query) => {
+  if (!query.text) return query.category === 'General' ? 'All planets' : query.category;
+  return query.category === 'General' || query.category === 'Query' ? query.text : `${query.text} (${query.category})`;
+};
+
+// Dropdown next to the search field for saving, applying and sharing search presets.
+const SearchPresetMenu = () => {
+  const { presets, savePreset, applyPreset, deletePreset, exportPresets, importPresets } = useSearchPresets();
+  const [isOpen, setIsOpen] = useState(false);
+  const [newName, setNewName] = useState('');
+  const [message, setMessage] = useState('');
+  const wrapperRef = useRef(null);
+  const fileInputRef = useRef(null);
+
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (wrapperRef.current && !wrapperRef.current.contains(event.target)) {
+        setIsOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, []);
+
+  const handleSave = (event) => {
+    event.preventDefault();
+    const preset = savePreset(newName);
+    if (!preset) return;
+    setNewName('');
+    setMessage(`Saved "${preset.name}"`);
+  };
+
+  const handleApply = (id) => {
+    applyPreset(id);
+    setIsOpen(false);
+  };
+
+  const handleExport = () => {
+    downloadFile(exportPresets(), 'prun-search-presets.json', 'application/json');
+  };
+
+  const handleImport = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    try {
+      const count = importPresets(await file.text());
+      setMessage(`Imported ${count} preset${count !== 1 ? 's' : ''}`);
+    } catch (error) {
+      setMessage(error.message);
+    }
+  };
+
+  return (
+    <div className="search-preset-menu" ref={wrapperRef}>
+      <button
+        className={`clear-button search-preset-toggle ${isOpen ? 'active' : ''}`}
+        onClick={() => { setIsOpen(!isOpen); setMessage(''); }}
+        title="Saved searches"
+      >
+        <Bookmark size={14} /> Presets
+      </button>
+
+      {isOpen && (
+        <div className="search-preset-dropdown">
+          {presets.length === 0 ? (
+            <p className="placeholder-text">No saved searches yet.</p>
+          ) : (
+            <ul className="search-preset-list">
+              {presets.map(preset => (
+                <li key={preset.id}>
+                  <button className="search-preset-apply" onClick={() => handleApply(preset.id)} title={describeQuery(preset.query)}>
+                    <span className="search-preset-name">{preset.name}</span>
+                    <span className="search-preset-query">{describeQuery(preset.query)}</span>
+                  </button>
+                  <button className="search-preset-delete" onClick={() => deletePreset(preset.id)} title={`Delete "${preset.name}"`}>
+                    <X size={12} />
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <form className="search-preset-save" onSubmit={handleSave}>
+            <input
+              type="text"
+              placeholder="Name the current search"
+              value={newName}
+              onChange={(e) => setNewName(e.target.value)}
+            />
+            <button type="submit" className="clear-button" disabled={!newName.trim()}>Save</button>
+          </form>
+
+          <div className="search-preset-actions">
+            <button className="clear-button" onClick={handleExport} disabled={presets.length === 0}>
+              <Download size={12} /> Export
+            </button>
+            <button className="clear-button" onClick={() => fileInputRef.current.click()}>
+              <Upload size={12} /> Import
+            </button>
+            <input ref={fileInputRef} type="file" accept="application/json,.json" hidden onChange={handleImport} />
+          </div>
+
+          {message && <p className="search-preset-message">{message}</p>}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SearchPresetMenu;
@@ -0,0 +1,29 @@
+import React, { useState } from 'react';
+import { Link } from 'lucide-react';
+
+// Copies the current permalink (kept up to date by PermalinkSync) to the clipboard.
+const ShareLinkButton = () => {
+  const [isCopied, setIsCopied] = useState(false);
+
+  const handleClick = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setIsCopied(true);
+      setTimeout(() => setIsCopied(false), 2000);
+    } catch (error) {
+      console.error('Could not copy link:', error);
+    }
+  };
+
+  return (
+    <button
+      className="clear-button share-link-button"
+      onClick={handleClick}
+      title="Copy a link to the current map state"
+    >
+      <Link size={14} /> {isCopied ? 'Copied!' : 'Share'}
+    </button>
+  );
+};
+
+export default ShareLinkButton;
@@ -0,0 +1,46 @@
+import React from 'react';
+import { useShipProfiles } from '../contexts/ShipProfileContext';
+
+const PROFILE_FIELDS = [
+  { key: 'ftlSpeed', label: 'FTL speed', unit: 'pc/h', step: 0.1 },
+  { key: 'ftlJumpHours', label: 'Jump time', unit: 'h', step: 0.1 },
+  { key: 'ftlFuelPerParsec', label: 'FTL fuel', unit: 'FF/pc', step: 0.1 },
+  { key: 'stlLegHours', label: 'STL leg time', unit: 'h', step: 0.1 },
+  { key: 'stlFuelPerLeg', label: 'STL fuel', unit: 'SF/leg', step: 1 }
+];
+
+const ShipProfileEditor = () => {
+  const { profiles, activeProfile, updateProfile, duplicateProfile, deleteProfile, resetProfiles } = useShipProfiles();
+
+  const handleNumberChange = (key) => (event) => {
+    const value = parseFloat(event.target.value);
+    updateProfile(activeProfile.id, { [key]: isNaN(value) || value < 0 ? 0 : value });
+  };
+
+  return (
+    <div className="ship-profile-editor">
+      <label className="ship-profile-field">
+        <span>Name</span>
+        <input
+          type="text"
+          value={activeProfile.name}
+          onChange={(e) => updateProfile(activeProfile.id, { name: e.target.value })}
+        />
+      </label>
+      {PROFILE_FIELDS.map(field => (
+        <label key={field.key} className="ship-profile-field">
+          <span>{field.label}</span>
+          <input type="number" min="0" step={field.step} value={activeProfile[field.key]} onChange={handleNumberChange(field.key)} />
+          <span className="ship-profile-unit">{field.unit}</span>
+        </label>
+      ))}
+      <div className="ship-profile-actions">
+        <button className="clear-button" onClick={() => duplicateProfile(activeProfile.id)}>Duplicate</button>
+        <button className="clear-button" disabled={profiles.length <= 1} onClick={() => deleteProfile(activeProfile.id)}>Delete</button>
+        <button className="clear-button" onClick={resetProfiles}>Reset</button>
+      </div>
+    </div>
+  );
+};
+
+export default ShipProfileEditor;
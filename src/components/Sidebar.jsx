@@ -1,6 +1,6 @@
 import React, { useState, useContext, useMemo, useRef } from 'react';
 import ReactDOM from 'react-dom';
-import { ChevronRight, ChevronLeft, Earth, Cloud, Thermometer, Gauge, Weight, Users, X, Plus } from 'lucide-react';
+import { ChevronRight, ChevronLeft, Earth, Cloud, Thermometer, Gauge, Weight, Users, X, Plus, Pin, PinOff, Sparkles } from 'lucide-react';
 import { GraphContext } from '../contexts/GraphContext';
 import { SearchContext } from '../contexts/SearchContext';
 import { SelectionContext } from '../contexts/SelectionContext';
@@ -9,6 +9,17 @@ import { useMapMode, MAP_MODES, GATEWAY_STRATEGIES } from '../contexts/MapModeCo
 import { cogcPrograms } from '../constants/cogcPrograms';
 import { phaseMultiplier } from '../constants/phaseMultiplier';
 import { colors } from '../config/config';
+import RoutePlanner from './RoutePlanner';
+import ScoringPanel from './ScoringPanel';
+import { useScoring } from '../contexts/ScoringContext';
+import { useComparison } from '../contexts/ComparisonContext';
+import { useWorkforceOverlay } from '../contexts/WorkforceOverlayContext';
+import GatewaySimulationPanel from './GatewaySimulationPanel';
+import GatewayImpactReport from './GatewayImpactReport';
+import { JUMP_RANGE_BUCKETS } from '../utils/jumpUtils';
+import { WORKFORCE_BUCKETS, WORKFORCE_TIERS, WORKFORCE_METRICS, ALL_TIERS, hasExplorersGrace } from '../utils/workforceUtils';
+import { estimateDailyYield, formatDailyYield, RESOURCE_EXTRACTION_PROGRAM } from '../utils/yieldUtils';
+import YieldControls from './YieldControls';
 
 // --- Reusing Existing Helper Components (ResourceIcon, etc.) ---
 const ResourceIcon = ({ type }) => {
@@ -281,6 +292,20 @@ const WorkforceIcon = ({ planetId, populationData }) => {
   );
 };
 
+const PinButton = ({ isPinned, isFull, onClick }) => {
+  const disabled = !isPinned && isFull;
+  return (
+    <button
+      className={`planet-pin-button ${isPinned ? 'active' : ''}`}
+      onClick={onClick}
+      disabled={disabled}
+      title={isPinned ? 'Remove from comparison' : disabled ? 'Comparison is full' : 'Pin to compare'}
+    >
+      {isPinned ? <PinOff size={14} /> : <Pin size={14} />}
+    </button>
+  );
+};
+
 const GatewayLegend = () => (
     <div className="gateway-legend">
       <h4>Distance Legend (pc)</h4>
@@ -294,13 +319,57 @@ const GatewayLegend = () => (
     </div>
 );
 
+const JumpRangeLegend = () => (
+    <div className="gateway-legend jump-range-legend">
+      <h4>Jump Range Legend (jumps)</h4>
+      <div className="legend-items">
+        {JUMP_RANGE_BUCKETS.map(bucket => (
+          <div key={bucket.key} className="legend-item"><span className="color-box" style={{background: colors.jumpRange[bucket.key]}}></span> {bucket.label}</div>
+        ))}
+      </div>
+    </div>
+);
+
+const WorkforceLegend = () => {
+  const { overlayTier, setOverlayTier, overlayMetric, setOverlayMetric } = useWorkforceOverlay();
+
+  return (
+    <div className="gateway-legend workforce-legend">
+      <h4>Workforce Legend (system total)</h4>
+      <div className="workforce-legend-controls">
+        <select value={overlayMetric} onChange={(e) => setOverlayMetric(e.target.value)}>
+          {Object.entries(WORKFORCE_METRICS).map(([key, config]) => (
+            <option key={key} value={key}>{config.label}</option>
+          ))}
+        </select>
+        <select value={overlayTier} onChange={(e) => setOverlayTier(e.target.value)}>
+          <option value={ALL_TIERS}>All tiers</option>
+          {WORKFORCE_TIERS.map(tier => (
+            <option key={tier} value={tier}>{tier}s</option>
+          ))}
+        </select>
+      </div>
+      <div className="legend-items">
+        {WORKFORCE_BUCKETS.map(bucket => (
+          <div key={bucket.key} className="legend-item"><span className="color-box" style={{background: colors.workforce[bucket.key]}}></span> {bucket.label}</div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
 const Sidebar = () => {
   const [isCollapsed, setIsCollapsed] = useState(window.innerWidth < 768);
+  // Extraction buildings per resource and CoGC bonus for the daily yield estimates
+  const [yieldSettings, setYieldSettings] = useState({ buildings: 1, bonusPercent: 0, cogcOnly: true });
   const { universeData, planetData, materials, populationData } = useContext(GraphContext);
-  const { selectedSystem } = useContext(SelectionContext);
+  const { selectedSystem, isPathfindingEnabled, isJumpRangeVisible } = useContext(SelectionContext);
   const { searchMaterial, searchResults, isRelativeThreshold, isCompanySearch } = useContext(SearchContext);
-  const { activeMode, gatewayData, removePlannedGateway, candidateList, addPlannedGateway, addDualRoute, setHoveredSystemId } = useMapMode();
+  const { activeMode, gatewayData, removePlannedGateway, candidateList, addPlannedGateway, addDualRoute, setHoveredSystemId, isSimulating } = useMapMode();
   const { overlayProgram } = useCogcOverlay();
+  const { isRankingVisible } = useScoring();
+  const { isPinned, isFull, togglePin } = useComparison();
+  const { isWorkforceOverlayVisible } = useWorkforceOverlay();
   
   const selectedProgramValue = cogcPrograms.find(program => program.display === overlayProgram)?.value;
 
@@ -399,16 +468,36 @@ const Sidebar = () => {
     const planets = selectedSystem ? planetData[selectedSystem] : null;
     const sortedPlanets = planets ? [...planets].sort((a, b) => a.PlanetNaturalId.localeCompare(b.PlanetNaturalId)) : null;
 
+    const routePlanner = isPathfindingEnabled ? <RoutePlanner /> : null;
+    const jumpRangeLegend = isJumpRangeVisible ? <JumpRangeLegend /> : null;
+    const workforceLegend = isWorkforceOverlayVisible ? <WorkforceLegend /> : null;
+    const scoringPanel = isRankingVisible ? <ScoringPanel /> : null;
+
     if (!selectedSystem) {
-        return <div className="placeholder-text" style={{marginTop:'50px'}}>Select a system to view details.</div>;
+        return (
+          <>
+            {jumpRangeLegend}
+            {workforceLegend}
+            {scoringPanel}
+            {routePlanner}
+            <div className="placeholder-text" style={{marginTop:'50px'}}>Select a system to view details.</div>
+          </>
+        );
     }
 
     return (
       <>
+        {jumpRangeLegend}
+        {workforceLegend}
+        {scoringPanel}
+        {routePlanner}
         <h2>{universeData[selectedSystem] ? universeData[selectedSystem][0].Name : 'No System Selected'}</h2>
+        <YieldControls settings={yieldSettings} onChange={setYieldSettings} />
         {sortedPlanets && sortedPlanets.map((planet) => {
           const activeCogc = getActiveCogc(planet);
           const shouldHighlightCard = isCardHighlighted(planet.PlanetNaturalId, planet);
+          const hasExtractionProgram = activeCogc?.ProgramType === RESOURCE_EXTRACTION_PROGRAM;
+          const yieldBonus = !yieldSettings.cogcOnly || hasExtractionProgram ? yieldSettings.bonusPercent : 0;
 
           return (
             <div key={planet.PlanetNaturalId} className={`planet-info-sb ${shouldHighlightCard ? 'highlighted' : ''}`}>
@@ -430,10 +519,21 @@ const Sidebar = () => {
                 {populationData && (
                   <WorkforceIcon planetId={planet.PlanetNaturalId} populationData={populationData} />
                 )}
+                {hasExplorersGrace(populationData, planet.PlanetNaturalId) && (
+                  <span className="explorers-grace-badge" title="Explorer's Grace planet">
+                    <Sparkles size={12} /> Grace
+                  </span>
+                )}
+                <PinButton
+                  isPinned={isPinned(planet.PlanetNaturalId)}
+                  isFull={isFull}
+                  onClick={() => togglePin(planet.PlanetNaturalId)}
+                />
               </h3>
               <ul>
                 {planet.Resources.map((resource, idx) => {
                   const shouldHighlightResource = isResourceHighlighted(resource.MaterialId, planet.PlanetNaturalId);
+                  const dailyYield = estimateDailyYield(resource.Factor, resource.ResourceType, yieldSettings.buildings, yieldBonus);
                   
                   return (
                     <li
@@ -455,6 +555,14 @@ const Sidebar = () => {
                           ? (resource.Factor * phaseMultiplier[resource.ResourceType] / maxConcentrations[resource.MaterialId] * 100).toFixed(2)
                           : (resource.Factor * 100).toFixed(2)}%
                       </span>
+                      {dailyYield && (
+                        <span
+                          className="resource-yield"
+                          title={`${yieldSettings.buildings} ${dailyYield.building} at ${formatDailyYield(dailyYield.perBuilding)}/day each${yieldBonus ? ` (+${yieldBonus}% bonus)` : ''}`}
+                        >
+                          {formatDailyYield(dailyYield.total)}/d
+                        </span>
+                      )}
                     </li>
                   );
                 })}
@@ -470,6 +578,8 @@ const Sidebar = () => {
   const renderGatewayContent = () => (
     <div className="gateway-sidebar-content">
       <GatewayLegend />
+
+      {isSimulating && <GatewaySimulationPanel />}
       
       <div className="gateway-selection-info">
           {gatewayData.strategy === GATEWAY_STRATEGIES.SINGLE && (
@@ -581,6 +691,8 @@ const Sidebar = () => {
             </ul>
           )}
       </div>
+
+      <GatewayImpactReport />
     </div>
   );
 
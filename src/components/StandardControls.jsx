@@ -2,6 +2,8 @@ import React, { useContext } from 'react';
 import { BasicFilters, AdvancedFilters } from './FilterCategories';
 import UnifiedSearchField from './UnifiedSearchField';
 import InfoTooltip from './InfoTooltip';
+import ShareLinkButton from './ShareLinkButton';
+import SearchPresetMenu from './SearchPresetMenu';
 import { SearchContext } from '../contexts/SearchContext';
 
 const StandardControls = () => {
@@ -25,7 +27,9 @@ const StandardControls = () => {
 
         <div className="std-right-group" style={{ display: 'flex', flexDirection: 'row', alignItems: 'flex-end', flexWrap: 'wrap', gap: '8px', marginBottom: '2px', marginLeft: '10px' }}>
           <UnifiedSearchField />
+          <SearchPresetMenu />
           <button className="clear-button" style={{ margin: 0, padding: '5px 10px' }} onClick={clearSearch}>Clear</button>
+          <ShareLinkButton />
           
           {/* EXCESSIVE COMMENTING: Stripped out the 3px padding-bottom that was artificially hoisting the SVG icon out of horizontal alignment with the Search and Clear buttons, assigning a subtle 1px margin-bottom instead to rest the graphic geometrically flush on the UI baseline. */}
           <div style={{ display: 'flex', alignItems: 'center', marginBottom: '1px' }}>
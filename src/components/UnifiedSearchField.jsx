@@ -1,5 +1,8 @@
 import React, { useState, useContext, useEffect, useRef, useMemo } from 'react';
 import { SearchContext } from '../contexts/SearchContext';
+import { useMapCamera } from '../contexts/MapCameraContext';
+import { isQueryExpression } from '../utils/queryUtils';
+import { getResultSystemId } from '../utils/proximityUtils';
 
 const UnifiedSearchField = () => {
   const {
@@ -8,8 +11,17 @@ const UnifiedSearchField = () => {
     generateLocalSuggestions,
     hasExactLocalMatch,
     fetchFioCompany,
-    executeUnifiedSearch
+    executeUnifiedSearch,
+    validateQuery
   } = useContext(SearchContext);
+  const { flyTo } = useMapCamera();
+
+  // Query-language input is validated as it is typed so syntax errors show up inline
+  const isQuery = isQueryExpression(inputValue);
+  const queryError = useMemo(
+    () => (isQuery ? validateQuery(inputValue) : null),
+    [isQuery, inputValue, validateQuery]
+  );
 
   const [localSuggestions, setLocalSuggestions] = useState([]);
   const [fioSuggestion, setFioSuggestion] = useState(null);
@@ -40,7 +52,7 @@ const UnifiedSearchField = () => {
     let isCurrent = true;
 
     const timer = setTimeout(() => {
-      if (inputValue.trim().length > 0 && !inputValue.includes('(')) {
+      if (inputValue.trim().length > 0 && !inputValue.includes('(') && !isQueryExpression(inputValue)) {
         const results = generateLocalSuggestions(inputValue);
         if (isCurrent) {
           setLocalSuggestions(results);
@@ -64,7 +76,7 @@ const UnifiedSearchField = () => {
   useEffect(() => {
     setFioSuggestion(null);
 
-    if (!inputValue.trim() || inputValue.includes('(') || hasExactLocalMatch(inputValue)) {
+    if (!inputValue.trim() || inputValue.includes('(') || isQueryExpression(inputValue) || hasExactLocalMatch(inputValue)) {
       return;
     }
 
@@ -93,6 +105,10 @@ const UnifiedSearchField = () => {
       setTimeout(() => setNotification(''), 3000);
     } else {
       setNotification('');
+      // A picked system or planet is centered on the map
+      if (option.category === 'System' || option.category === 'Planet') {
+        flyTo(getResultSystemId(results[0]));
+      }
     }
   };
 
@@ -105,6 +121,19 @@ const UnifiedSearchField = () => {
       return;
     }
 
+    if (isQuery) {
+      if (queryError) return;
+      setShowDropdown(false);
+      const results = await executeUnifiedSearch({ text: inputValue.trim(), category: 'Query' });
+      if (!results || results.length === 0) {
+        setNotification('No matches found');
+        setTimeout(() => setNotification(''), 3000);
+      } else {
+        setNotification('');
+      }
+      return;
+    }
+
     let parsedText = inputValue;
     let parsedCategory = null;
 
@@ -163,7 +192,7 @@ const UnifiedSearchField = () => {
       <form onSubmit={handleSubmit} style={{ display: 'flex', width: '100%' }}>
         <input
           type="text"
-          className="unified-search-input"
+          className={`unified-search-input ${queryError ? 'has-error' : ''}`}
           value={inputValue}
           onChange={(e) => setInputValue(e.target.value)}
           placeholder="Search universe, resources, or companies..."
@@ -172,6 +201,12 @@ const UnifiedSearchField = () => {
         <button type="submit" className="search-button">Search</button>
       </form>
 
+      {queryError && (
+        <div className="query-error">
+          <span className="query-error-position">Col {queryError.position + 1}:</span> {queryError.message}
+        </div>
+      )}
+
       {showDropdown && suggestions.length > 0 && (
         <ul className="search-dropdown">
           {suggestions.map((opt, idx) => (
@@ -1,37 +1,45 @@
 import React, { useEffect, useContext, useRef, useCallback, useState } from 'react';
 import DataPointOverlay from './DataPointOverlay';
 import GatewayLayer from './GatewayLayer';
+import JumpRangeOverlay from './JumpRangeOverlay';
+import ScoreOverlay from './ScoreOverlay';
+import WorkforceOverlay from './WorkforceOverlay';
+import GraceOverlay from './GraceOverlay';
+import LabelLayer from './LabelLayer';
+import CameraControls from './CameraControls';
+import Minimap from './Minimap';
+import PermalinkSync from './PermalinkSync';
+import ResultsTable from './ResultsTable';
+import ComparisonDrawer from './ComparisonDrawer';
 import * as d3 from 'd3';
 import { GraphContext } from '../contexts/GraphContext';
 import { SelectionContext } from '../contexts/SelectionContext';
 import { useCogcOverlay } from '../contexts/CogcOverlayContext';
 import { useMapMode, MAP_MODES, GATEWAY_STRATEGIES } from '../contexts/MapModeContext';
 import { addMouseEvents, drawGatewayHover } from '../utils/svgUtils'; 
+import { createMapSvg, renderMap, selectSystems, createMapCamera } from '../utils/mapRenderer';
+import { attachCanvasBackend } from '../utils/canvasRenderer';
+import { useMapSettings, RENDERERS } from '../contexts/MapSettingsContext';
+import { useMapCamera } from '../contexts/MapCameraContext';
 import { resetGraphState, renderGatewayVisuals } from '../utils/graphUtils';
 import { calculate3DDistance } from '../utils/distanceUtils';
 import { cogcPrograms } from '../constants/cogcPrograms';
+import { CX_SYSTEMS } from '../constants/cxSystems';
 import { SearchContext } from '../contexts/SearchContext';
 import './UniverseMap.css';
 
 
-const CX_SYSTEMS = [
-  '8ecf9670ba070d78cfb5537e8d9f1b6c', // Antares
-  '92029ff27c1abe932bd2c61ee4c492c7', // Benten
-  'f2f57766ebaca9d69efae41ccf4d8853', // Hortus
-  '49b6615d39ccba05752b3be77b2ebf36', // Moria
-  'a4ba8b12739da65efc2b518703652ee1', // Arclight
-  'afda9bea7f948f4a066a8882cdfa9055'  // Hubur
-];
-
 const UniverseMap = React.memo(() => {
-  const { graph, planetData, materials, universeData } = useContext(GraphContext);
+  const { mapGeometry, planetData, materials, universeData, populationData } = useContext(GraphContext);
   const { highlightSelectedSystem } = useContext(SelectionContext);
   const { overlayProgram } = useCogcOverlay();
+  const { renderer } = useMapSettings();
+  const { registerCamera } = useMapCamera();
   
   // EXCESSIVE COMMENTING: Inject `filters` array to determine if the CoGC logical toggle is actively narrowing the dataset.
   const { searchResults, isRelativeThreshold, filters, resourceTypeFilter } = useContext(SearchContext);
   
-  const { activeMode, gatewayData, setOriginById, addPlannedGateway, resetSelection, hoveredSystemId, getFtlDistance } = useMapMode();
+  const { activeMode, gatewayData, setOriginById, addPlannedGateway, resetSelection, hoveredSystemId, getFtlDistance, isSimulating, selectSimulationSystem } = useMapMode();
 
   const svgRef = useRef(null);
   const graphRef = useRef(null);
@@ -45,6 +53,9 @@ const UniverseMap = React.memo(() => {
     if (activeMode === MAP_MODES.STANDARD) {
         highlightSelectedSystem(systemId);
     } 
+    else if (activeMode === MAP_MODES.GATEWAY && isSimulating) {
+        selectSimulationSystem(systemId);
+    }
     else if (activeMode === MAP_MODES.GATEWAY) {
         if (gatewayData.strategy === GATEWAY_STRATEGIES.SINGLE) {
             if (!gatewayData.originA) {
@@ -84,40 +95,19 @@ const UniverseMap = React.memo(() => {
             }
         }
     }
-  }, [activeMode, gatewayData, highlightSelectedSystem, setOriginById, addPlannedGateway, resetSelection, universeData, getFtlDistance]);
+  }, [activeMode, gatewayData, highlightSelectedSystem, setOriginById, addPlannedGateway, resetSelection, universeData, getFtlDistance, isSimulating, selectSimulationSystem]);
 
   const attachClickEvents = useCallback((g) => {
-    g.selectAll('rect').on('click', function() {
-      const systemId = d3.select(this).attr('id').replace('#', '');
-      handleSystemClick(systemId);
-    });
+    selectSystems(g).on('click', (event, system) => handleSystemClick(system.id));
   }, [handleSystemClick]);
 
+  // Draws the map from graph_data.json. A data refresh re-joins the new geometry into the same
+  // svg, so zoom, highlighting and overlays carry over.
   useEffect(() => {
-    if (!graph || !graph.edges) return;
-
-    d3.xml(`${process.env.PUBLIC_URL}/PrUn_universe_map_normalized.svg`).then(data => {
-      const svgNode = data.documentElement;
-      const container = document.getElementById('map-container');
+    if (!mapGeometry) return;
 
-      while (container.firstChild) container.removeChild(container.firstChild);
-      container.appendChild(svgNode);
-
-      const svg = d3.select(svgNode);
-      const g = svg.append('g');
-
-      while (svgNode.firstChild && svgNode.firstChild !== g.node()) {
-        g.node().appendChild(svgNode.firstChild);
-      }
-
-      g.selectAll('rect').each(function() {
-        const systemId = d3.select(this).attr('id');
-        if (CX_SYSTEMS.includes(systemId)) {
-          d3.select(this).attr('rx', '2').attr('ry', '2');
-        }
-      });
-
-      graphRef.current = { svg, g };
+    if (!graphRef.current) {
+      const { svg, g } = createMapSvg(document.getElementById('map-container'));
 
       const zoom = d3.zoom()
         .scaleExtent([1, 20])
@@ -127,26 +117,34 @@ const UniverseMap = React.memo(() => {
 
       svg.call(zoom);
 
-      addMouseEvents(g, searchResults, materials, isRelativeThreshold, selectedProgramValue, activeMode, gatewayData, universeData, resourceTypeFilter);
+      svgRef.current = svg.node();
+      graphRef.current = { svg, g, zoom };
+      registerCamera(createMapCamera({ svg, zoom }, () => graphRef.current?.geometry));
+    }
 
-      svgRef.current = svgNode;
-      graphRef.current = { svg, g };
+    graphRef.current = { ...graphRef.current, geometry: mapGeometry };
+    renderMap(graphRef.current, mapGeometry);
 
-      attachClickEvents(g);
-      
-      setMapRenderKey(prev => prev + 1);
-    });
+    const { g } = graphRef.current;
+    addMouseEvents(g, searchResults, materials, isRelativeThreshold, selectedProgramValue, activeMode, gatewayData, universeData, resourceTypeFilter, populationData);
+    attachClickEvents(g);
 
-    return () => {
-      if (svgRef.current) {
-        const container = document.getElementById('map-container');
-        if (container && container.contains(svgRef.current)) {
-          container.removeChild(svgRef.current);
-        }
-      }
-    };
+    setMapRenderKey(prev => prev + 1);
   // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [graph]); 
+  }, [mapGeometry]);
+
+  // Canvas mode hides the SVG and paints it onto a canvas; re-attached after every map render
+  useEffect(() => {
+    if (renderer !== RENDERERS.CANVAS || !graphRef.current) return;
+    return attachCanvasBackend(graphRef.current);
+  }, [renderer, mapRenderKey]);
+
+  useEffect(() => () => {
+    registerCamera(null);
+    if (svgRef.current) svgRef.current.remove();
+    svgRef.current = null;
+    graphRef.current = null;
+  }, [registerCamera]);
 
   useEffect(() => {
     if (graphRef.current) {
@@ -159,11 +157,12 @@ const UniverseMap = React.memo(() => {
           activeMode,
           gatewayData,
           universeData,
-          resourceTypeFilter
+          resourceTypeFilter,
+          populationData
       );
       attachClickEvents(graphRef.current.g);
     }
-  }, [searchResults, materials, isRelativeThreshold, selectedProgramValue, activeMode, gatewayData, attachClickEvents, universeData, resourceTypeFilter]);
+  }, [searchResults, materials, isRelativeThreshold, selectedProgramValue, activeMode, gatewayData, attachClickEvents, universeData, resourceTypeFilter, populationData]);
 
   useEffect(() => {
     if (!graphRef.current || !universeData) return;
@@ -190,65 +189,68 @@ const UniverseMap = React.memo(() => {
   // EXCESSIVE COMMENTING: Extracted boolean to explicitly verify if the logic-filter array contains restrictive bounds.
   const isCogcFilterActive = filters && filters.cogcProgram && filters.cogcProgram.length > 0;
 
+  // Outlines systems running the chosen CoGC program, as a data join over the map geometry
   const applyCogcOverlay = useCallback(() => {
     if (!graphRef.current) return;
-    const { g } = graphRef.current;
-    
-    g.selectAll('.cogc-overlay-rect').remove();
+    const { g, geometry } = graphRef.current;
 
-    // EXCESSIVE COMMENTING: Exclusivity trap. If the visual dropdown is completely clear OR the restrictive search toggle is actively running logic filtering, bypass the SVG styling entirely to prevent double-saturation visual noise!
-    if (!overlayProgram || isCogcFilterActive) {
-      g.selectAll('rect').classed('cogc-overlay', false).property('cogcOverlayRect', null);
-      return;
-    }
-
-    g.selectAll('rect').each(function() {
-      const rect = d3.select(this);
-      const systemId = d3.select(this).attr('id');
-      const planets = planetData[systemId];
-
-      if (planets && planets.some(planet => {
-        if (!planet.COGCPrograms || planet.COGCPrograms.length === 0) return false;
-        const sortedPrograms = planet.COGCPrograms.sort((a, b) => b.StartEpochMs - a.StartEpochMs);
-        const relevantProgram = sortedPrograms[1] || sortedPrograms[0];
-        return relevantProgram && relevantProgram.ProgramType === selectedProgramValue;
-      })) {
-        rect.classed('cogc-overlay', true);
-        const x = parseFloat(rect.attr('x'));
-        const y = parseFloat(rect.attr('y'));
-        const width = parseFloat(rect.attr('width'));
-        const height = parseFloat(rect.attr('height'));
-        const scaleUp = 4;
-        const isCX = CX_SYSTEMS.includes(systemId);
-        const borderRadius = isCX ? '4' : '50%';
+    const hasProgram = (planets) => planets && planets.some(planet => {
+      if (!planet.COGCPrograms || planet.COGCPrograms.length === 0) return false;
+      const sortedPrograms = planet.COGCPrograms.sort((a, b) => b.StartEpochMs - a.StartEpochMs);
+      const relevantProgram = sortedPrograms[1] || sortedPrograms[0];
+      return relevantProgram && relevantProgram.ProgramType === selectedProgramValue;
+    });
 
-        const overlayRect = g.append('rect')
-          .attr('class', 'cogc-overlay-rect')
-          .attr('x', x - scaleUp/2)
-          .attr('y', y - scaleUp/2)
-          .attr('width', width + scaleUp)
-          .attr('height', height + scaleUp)
-          .attr('fill', 'none')
-          .attr('stroke', '#56c7f7')
-          .attr('stroke-width', '3px')
-          .attr('rx', borderRadius)
-          .attr('ry', borderRadius);
-        rect.property('cogcOverlayRect', overlayRect);
-      } else {
-        rect.classed('cogc-overlay', false);
-        rect.property('cogcOverlayRect', null);
-      }
+    // EXCESSIVE COMMENTING: Exclusivity trap. If the visual dropdown is completely clear OR the restrictive search toggle is actively running logic filtering, bypass the SVG styling entirely to prevent double-saturation visual noise!
+    const overlaySystems = !overlayProgram || isCogcFilterActive
+      ? []
+      : geometry.systems.filter(system => hasProgram(planetData[system.id]));
+
+    const scaleUp = 4;
+    const overlayRects = g.selectAll('rect.cogc-overlay-rect')
+      .data(overlaySystems, system => system.id)
+      .join('rect')
+      .attr('class', 'cogc-overlay-rect')
+      .attr('x', system => system.x - scaleUp / 2)
+      .attr('y', system => system.y - scaleUp / 2)
+      .attr('width', system => system.size + scaleUp)
+      .attr('height', system => system.size + scaleUp)
+      .attr('fill', 'none')
+      .attr('stroke', '#56c7f7')
+      .attr('stroke-width', '3px')
+      .attr('rx', system => (CX_SYSTEMS.includes(system.id) ? '4' : '50%'))
+      .attr('ry', system => (CX_SYSTEMS.includes(system.id) ? '4' : '50%'))
+      .style('pointer-events', 'none');
+
+    // The hover effect in svgUtils grows the outline together with its system
+    const overlayById = {};
+    overlayRects.each(function(system) { overlayById[system.id] = d3.select(this); });
+    selectSystems(g).each(function(system) {
+      d3.select(this)
+        .classed('cogc-overlay', !!overlayById[system.id])
+        .property('cogcOverlayRect', overlayById[system.id] || null);
     });
   }, [overlayProgram, planetData, selectedProgramValue, isCogcFilterActive]); // EXCESSIVE COMMENTING: Bound the exclusivity boolean into the dependency array.
 
   useEffect(() => {
     applyCogcOverlay();
-  }, [applyCogcOverlay]);
+  // mapRenderKey re-applies the overlay after the map is (re)drawn
+  }, [applyCogcOverlay, mapRenderKey]);
 
   return (
     <div id="map-container">
       <DataPointOverlay mapRef={graphRef} mapRenderKey={mapRenderKey} />
       <GatewayLayer mapRef={graphRef} mapRenderKey={mapRenderKey} /> 
+      <JumpRangeOverlay mapRef={graphRef} mapRenderKey={mapRenderKey} />
+      <ScoreOverlay mapRef={graphRef} mapRenderKey={mapRenderKey} />
+      <WorkforceOverlay mapRef={graphRef} mapRenderKey={mapRenderKey} />
+      <GraceOverlay mapRef={graphRef} mapRenderKey={mapRenderKey} />
+      <LabelLayer mapRef={graphRef} mapRenderKey={mapRenderKey} />
+      <CameraControls />
+      <Minimap mapRef={graphRef} mapRenderKey={mapRenderKey} />
+      <PermalinkSync mapRenderKey={mapRenderKey} />
+      <ResultsTable />
+      <ComparisonDrawer />
     </div>
   );
 });
@@ -0,0 +1,101 @@
+import React, { useContext, useEffect, useState } from 'react';
+import { SearchContext } from '../contexts/SearchContext';
+import { WORKFORCE_TIERS, WORKFORCE_METRICS, ALL_TIERS } from '../utils/workforceUtils';
+
+// Keeps planets with at least N unemployed workers or open jobs in a tier (or all tiers).
+const WorkforceFilter = () => {
+  const { filters, updateFilters } = useContext(SearchContext);
+  const workforce = filters.workforce;
+
+  const [tier, setTier] = useState(workforce?.tier || ALL_TIERS);
+  const [metric, setMetric] = useState(workforce?.metric || 'unemployed');
+  const [minText, setMinText] = useState(workforce ? String(workforce.min) : '');
+
+  // Follow changes made elsewhere (permalinks, presets, clearing)
+  useEffect(() => {
+    if (!workforce) {
+      setTier(ALL_TIERS);
+      setMetric('unemployed');
+      setMinText('');
+      return;
+    }
+    setTier(workforce.tier);
+    setMetric(workforce.metric);
+    setMinText(String(workforce.min));
+  }, [workforce]);
+
+  // An empty minimum turns the filter off
+  const apply = (next) => {
+    const min = parseFloat(next.minText);
+    updateFilters({
+      ...filters,
+      workforce: isNaN(min) ? null : { tier: next.tier, metric: next.metric, min: Math.max(0, min) }
+    });
+  };
+
+  const handleTierChange = (event) => {
+    setTier(event.target.value);
+    apply({ tier: event.target.value, metric, minText });
+  };
+
+  const handleMetricChange = (event) => {
+    setMetric(event.target.value);
+    apply({ tier, metric: event.target.value, minText });
+  };
+
+  const handleMinChange = (event) => {
+    setMinText(event.target.value);
+  };
+
+  // The minimum is committed on blur or Enter rather than on every keystroke
+  const commitMin = () => {
+    const min = parseFloat(minText);
+    if (isNaN(min) ? !workforce : workforce && Math.max(0, min) === workforce.min) return;
+    apply({ tier, metric, minText });
+  };
+
+  const handleMinKeyDown = (event) => {
+    if (event.key === 'Enter') commitMin();
+  };
+
+  const clear = () => {
+    setMinText('');
+    updateFilters({ ...filters, workforce: null });
+  };
+
+  return (
+    <div className="filter-category">
+      <h4>Workforce</h4>
+      <div className="proximity-filter-controls">
+        <span className="proximity-label">at least</span>
+        <input
+          type="number"
+          min="0"
+          step="10"
+          className={`proximity-max-input workforce-min-input ${workforce ? 'active' : ''}`}
+          placeholder="N"
+          value={minText}
+          onChange={handleMinChange}
+          onBlur={commitMin}
+          onKeyDown={handleMinKeyDown}
+        />
+        <select className="proximity-metric-select" value={metric} onChange={handleMetricChange}>
+          {Object.entries(WORKFORCE_METRICS).map(([key, config]) => (
+            <option key={key} value={key}>{config.label}</option>
+          ))}
+        </select>
+        <select className="proximity-metric-select" value={tier} onChange={handleTierChange}>
+          <option value={ALL_TIERS}>All tiers</option>
+          {WORKFORCE_TIERS.map(name => (
+            <option key={name} value={name}>{name}s</option>
+          ))}
+        </select>
+        {workforce && (
+          <button className="clear-button proximity-clear" onClick={clear}>Clear</button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default WorkforceFilter;
@@ -0,0 +1,35 @@
+import React, { useContext, useMemo } from 'react';
+import { GraphContext } from '../contexts/GraphContext';
+import { useWorkforceOverlay } from '../contexts/WorkforceOverlayContext';
+import { useMapMode, MAP_MODES } from '../contexts/MapModeContext';
+import useSystemMarkers from '../hooks/useSystemMarkers';
+import { getSystemWorkforce, getWorkforceBucket } from '../utils/workforceUtils';
+import { colors } from '../config/config';
+
+const MARKER_STYLE = {
+  radius: (marker, system) => system.size / 2,
+  fill: marker => colors.workforce[getWorkforceBucket(marker.total)],
+  fillOpacity: 0.9,
+  stroke: colors.systemStroke,
+  strokeWidth: '1px'
+};
+
+// Colors systems by total unemployed workers or open jobs over their planets, for one tier or
+// all of them. Systems without population data stay uncolored.
+const WorkforceOverlay = ({ mapRef, mapRenderKey }) => {
+  const { planetData, populationData } = useContext(GraphContext);
+  const { isWorkforceOverlayVisible, overlayTier, overlayMetric } = useWorkforceOverlay();
+  const { activeMode } = useMapMode();
+
+  const markers = useMemo(() => {
+    if (!isWorkforceOverlayVisible || activeMode !== MAP_MODES.STANDARD) return null;
+    return Object.entries(getSystemWorkforce(planetData, populationData, overlayTier, overlayMetric))
+      .map(([systemId, total]) => ({ systemId, total }));
+  }, [isWorkforceOverlayVisible, activeMode, planetData, populationData, overlayTier, overlayMetric]);
+
+  useSystemMarkers(mapRef, mapRenderKey, 'workforce-layer', markers, MARKER_STYLE);
+
+  return null;
+};
+
+export default React.memo(WorkforceOverlay);
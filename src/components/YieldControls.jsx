@@ -0,0 +1,33 @@
+import React from 'react';
+
+// Building count and CoGC bonus for the per-resource daily yield estimates in the Sidebar.
+const YieldControls = ({ settings, onChange }) => {
+  const handleNumberChange = (key, min) => (event) => {
+    const value = parseFloat(event.target.value);
+    onChange({ ...settings, [key]: isNaN(value) || value < min ? min : value });
+  };
+
+  return (
+    <div className="yield-controls">
+      <span className="yield-controls-title">Yield / day</span>
+      <label>
+        <input type="number" min="1" step="1" value={settings.buildings} onChange={handleNumberChange('buildings', 1)} />
+        buildings
+      </label>
+      <label>
+        +<input type="number" min="0" step="5" value={settings.bonusPercent} onChange={handleNumberChange('bonusPercent', 0)} />%
+        bonus
+      </label>
+      <label title="Apply the bonus only on planets running the Resource Extraction CoGC program">
+        <input
+          type="checkbox"
+          checked={settings.cogcOnly}
+          onChange={(e) => onChange({ ...settings, cogcOnly: e.target.checked })}
+        />
+        Res. Ext. CoGC only
+      </label>
+    </div>
+  );
+};
+
+export default YieldControls;
@@ -19,7 +19,12 @@ export const colors = {
   resetSystemStrokeWidth: '1px',
   resetPathStroke: '#6e7980',
   resetPathStrokeWidth: '1px',
+  sectorFill: '#2a2a2a',
+  sectorStroke: '#2e4b5b',
+  sectorStrokeWidth: '2px',
   gatewayLineColor: '#aa639eff',
+  gatewayPathStroke: '#e36ad0',
+  gatewayPathStrokeWidth: '2.5px',
   
   // Tol Palette (Vibrant/Muted mix for distinctness)
   tol: {
@@ -33,6 +38,57 @@ export const colors = {
     wine: '#882255'
   },
   
+  // What-if gateway simulation routes
+  simulation: {
+    before: '#88CCEE',
+    after: '#66ff66'
+  },
+
+  // Jump range overlay buckets (jumps from the selected system)
+  jumpRange: {
+    within1: '#117733', // 0-1 jumps
+    within3: '#44AA99', // 2-3 jumps
+    within6: '#DDCC77', // 4-6 jumps
+    beyond: '#CC6677'   // 7+ jumps
+  },
+
+  // Planet score gradient, worst to best
+  scoreScale: ['#CC6677', '#DDCC77', '#117733'],
+  // One color per scoring criterion in the score breakdown bars
+  scoreCriteria: {
+    concentration: '#88CCEE',
+    tier: '#DDCC77',
+    plots: '#44AA99',
+    cxJumps: '#AA4499',
+    cogc: '#f7a600',
+    facilities: '#999933',
+    workforce: '#CC6677'
+  },
+
+  // Workforce overlay buckets (system total of the chosen tier and metric)
+  workforce: {
+    none: '#555555',
+    low: '#DDCC77',
+    medium: '#88CCEE',
+    high: '#44AA99',
+    veryHigh: '#117733'
+  },
+
+  // Ring around systems with Explorer's Grace planets
+  explorersGrace: '#66ccff',
+
+  // Map label text per label kind
+  labels: {
+    cx: '#f7a600',
+    important: '#ffffff',
+    system: '#cccccc',
+    planet: '#88CCEE'
+  },
+
+  // Alternative routes, in rank order (the first matches pathStroke)
+  routeAlternatives: ['#f7a600', '#88CCEE', '#CC6677', '#44AA99', '#AA4499'],
+  avoidedSystemStroke: '#ff3333',
+
   // Gateway Distance Mapping
   gateway: {
     under10: '#117733', // Green
@@ -41,4 +97,97 @@ export const colors = {
     under25: '#CC6677', // Rose
     over25: '#882255'   // Wine
   }
-};
\ No newline at end of file
+};
+
+// Routing configuration
+export const routing = {
+  // Pathfinding weight of a single gateway jump, in parsec-equivalents.
+  // Gateway travel is near-instant, so this only keeps routes from chaining gateways needlessly.
+  gatewayJumpCost: 1,
+  // Most alternative routes offered between two stops
+  maxAlternatives: 5,
+  // Default MeteoroidDensity at or above which a system counts as hazardous
+  highMeteoroidDensity: 4
+};
+
+// Ship profiles for the route flight estimate. Users can edit these; edits are kept in localStorage.
+export const shipProfiles = {
+  storageKey: 'prunMap.shipProfiles',
+  defaults: [
+    {
+      id: 'standard',
+      name: 'Standard Hauler',
+      ftlSpeed: 4,          // parsecs per hour
+      ftlJumpHours: 0.5,    // spin-up and transition per jump
+      ftlFuelPerParsec: 4,  // FF
+      stlLegHours: 2.5,     // one in-system leg (planet to jump point or back)
+      stlFuelPerLeg: 30     // SF
+    },
+    {
+      id: 'courier',
+      name: 'Fast Courier',
+      ftlSpeed: 6,
+      ftlJumpHours: 0.4,
+      ftlFuelPerParsec: 3,
+      stlLegHours: 1.5,
+      stlFuelPerLeg: 15
+    }
+  ]
+};
+
+// Saved search presets, kept in localStorage and shared as JSON files.
+export const searchPresets = {
+  storageKey: 'prunMap.searchPresets',
+  fileVersion: 1
+};
+
+// Weighted site ranking. Weights are 0-10 per criterion and kept in localStorage.
+export const scoring = {
+  storageKey: 'prunMap.scoringWeights',
+  defaultWeights: {
+    concentration: 5,
+    tier: 3,
+    plots: 2,
+    cxJumps: 3,
+    cogc: 1,
+    facilities: 1,
+    workforce: 1
+  },
+  maxWeight: 10,
+  // Jumps at which the CX distance score reaches zero
+  maxCxJumps: 12,
+  topN: 10
+};
+
+// Planets pinned to the comparison drawer, kept in localStorage.
+export const comparison = {
+  storageKey: 'prunMap.comparedPlanets',
+  maxPlanets: 4
+};
+
+// Map display settings, kept in localStorage. `renderer` is 'svg' or 'canvas'.
+export const mapSettings = {
+  storageKey: 'prunMap.mapSettings',
+  defaults: {
+    renderer: 'svg',
+    showMinimap: true
+  }
+};
+
+// Map labels. Font sizes are screen pixels; the zoom ranges are d3.zoom scales over which
+// a kind of label fades in.
+export const labels = {
+  fontSize: { cx: 12, important: 10, system: 9, planet: 8 },
+  systemFadeIn: [2.5, 4],
+  planetFadeIn: [7, 9],
+  // Minimum screen gap between two labels
+  padding: 2
+};
+
+// Camera moves (fly-to and zoom-to-fit). Padding is in map units around the fitted systems.
+export const camera = {
+  duration: 750,
+  flyToScale: 6,
+  maxFitScale: 8,
+  fitPadding: 40
+};
@@ -0,0 +1,8 @@
+export const CX_SYSTEMS = [
+  '8ecf9670ba070d78cfb5537e8d9f1b6c', // Antares
+  '92029ff27c1abe932bd2c61ee4c492c7', // Benten
+  'f2f57766ebaca9d69efae41ccf4d8853', // Hortus
+  '49b6615d39ccba05752b3be77b2ebf36', // Moria
+  'a4ba8b12739da65efc2b518703652ee1', // Arclight
+  'afda9bea7f948f4a066a8882cdfa9055'  // Hubur
+];
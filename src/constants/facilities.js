@@ -0,0 +1,8 @@
+// Planetary infrastructure flags on planet_data.json entries
+export const FACILITIES = [
+  { key: 'HasLocalMarket', label: 'Local Market', short: 'LM' },
+  { key: 'HasChamberOfCommerce', label: 'Chamber of Commerce', short: 'COGC' },
+  { key: 'HasWarehouse', label: 'Warehouse', short: 'WAR' },
+  { key: 'HasAdministrationCenter', label: 'Administration Center', short: 'ADM' },
+  { key: 'HasShipyard', label: 'Shipyard', short: 'SHY' }
+];
@@ -3,3 +3,10 @@ export const phaseMultiplier = {
   'GASEOUS': 307.86/0.13899332284927368, // 23 COL on CG-339b
   'MINERAL': 1009.31/0.5989084839820862, // 15 EXT on AW-284f
 };
+
+// Extraction building per phase and how many of them produced the reference yields above
+export const extractionBuildings = {
+  'LIQUID': { ticker: 'RIG', referenceCount: 36 },
+  'GASEOUS': { ticker: 'COL', referenceCount: 23 },
+  'MINERAL': { ticker: 'EXT', referenceCount: 15 },
+};
@@ -0,0 +1,32 @@
+// Filter state on page load; also the baseline permalinks are diffed against.
+export const DEFAULT_FILTERS = {
+  planetType: ['Rocky', 'Gaseous'],
+  gravity: ['Low', 'High'],
+  temperature: ['Low', 'High'],
+  pressure: ['Low', 'High'],
+  cogcProgram: [],
+  minStars: 0,
+  requireAvailablePlots: false,
+  // [min, max] per ENVIRONMENT_RANGES key; a missing key means the full range
+  ranges: {},
+  // { systemId, metric: 'jumps' | 'parsecs', max } keeps results near an anchor system
+  near: null,
+  // 'require' or 'exclude' per FACILITIES key; a missing key accepts either
+  facilities: {},
+  // { tier (or ALL), metric: 'unemployed' | 'openJobs', min } from population_data.json
+  workforce: null,
+  // Only planets flagged ExplorersGrace in population_data.json
+  explorersGrace: false
+};
+
+/**
+ * Environment values with a range slider. `low`/`high` are the cutoffs where planets need
+ * the extra building materials named in `lowMaterial`/`highMaterial`; fertility has none.
+ */
+export const ENVIRONMENT_RANGES = {
+  gravity: { label: 'Gravity', planetKey: 'Gravity', unit: 'g', step: 0.01, low: 0.25, high: 2.5, lowMaterial: 'MGC', highMaterial: 'BL' },
+  temperature: { label: 'Temperature', planetKey: 'Temperature', unit: '°C', step: 1, low: -25, high: 75, lowMaterial: 'INS', highMaterial: 'TSH' },
+  pressure: { label: 'Pressure', planetKey: 'Pressure', unit: 'atm', step: 0.01, low: 0.25, high: 2.0, lowMaterial: 'SEA', highMaterial: 'HSE' },
+  // Infertile planets report -1 and are left out of the slider domain
+  fertility: { label: 'Fertility', planetKey: 'Fertility', unit: '', step: 0.01, minValue: -1 }
+};
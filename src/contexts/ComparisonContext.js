@@ -0,0 +1,62 @@
+import React, { createContext, useState, useContext, useCallback, useEffect } from 'react';
+import { comparison as comparisonConfig } from '../config/config';
+import { saveToStorage } from '../utils/storageUtils';
+
+const ComparisonContext = createContext();
+
+const loadStoredPins = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(comparisonConfig.storageKey));
+    if (Array.isArray(stored)) return stored.filter(id => typeof id === 'string').slice(0, comparisonConfig.maxPlanets);
+  } catch (error) {
+    console.warn('Ignoring unreadable compared planets in localStorage', error);
+  }
+  return [];
+};
+
+// Planet natural ids pinned for side-by-side comparison, in pin order.
+export const ComparisonProvider = ({ children }) => {
+  const [pinnedIds, setPinnedIds] = useState(loadStoredPins);
+  const [isDrawerOpen, setIsDrawerOpen] = useState(false);
+
+  useEffect(() => {
+    saveToStorage(comparisonConfig.storageKey, pinnedIds, 'compared planets');
+  }, [pinnedIds]);
+
+  const isPinned = useCallback((planetId) => pinnedIds.includes(planetId), [pinnedIds]);
+  const isFull = pinnedIds.length >= comparisonConfig.maxPlanets;
+
+  // Pinning opens the drawer; nothing happens once the drawer is full
+  const togglePin = useCallback((planetId) => {
+    if (pinnedIds.includes(planetId)) {
+      setPinnedIds(pinnedIds.filter(id => id !== planetId));
+      return;
+    }
+    if (isFull) return;
+    setPinnedIds([...pinnedIds, planetId]);
+    setIsDrawerOpen(true);
+  }, [pinnedIds, isFull]);
+
+  const clearPins = useCallback(() => {
+    setPinnedIds([]);
+    setIsDrawerOpen(false);
+  }, []);
+
+  return (
+    <ComparisonContext.Provider
+      value={{
+        pinnedIds,
+        isPinned,
+        isFull,
+        togglePin,
+        clearPins,
+        isDrawerOpen,
+        setIsDrawerOpen
+      }}
+    >
+      {children}
+    </ComparisonContext.Provider>
+  );
+};
+
+export const useComparison = () => useContext(ComparisonContext);
@@ -1,5 +1,8 @@
-import React, { createContext, useState, useEffect, useCallback } from 'react';
-import { findShortestPath as findShortestPathUtil, highlightPath} from '../utils/graphUtils';
+import React, { createContext, useState, useEffect, useCallback, useMemo } from 'react';
+import { findShortestPath as findShortestPathUtil, highlightPath } from '../utils/graphUtils';
+import { findRoute as findRouteUtil, processGateways, getGatewayEdges } from '../utils/routeUtils';
+import { getGraphService } from '../utils/graphService';
+import { buildMapGeometry } from '../utils/mapGeometry';
 
 export const GraphContext = createContext();
 
@@ -10,6 +13,7 @@ export const GraphProvider = ({ children }) => {
   const [planetData, setPlanetData] = useState({});
   const [universeData, setUniverseData] = useState({});
   const [populationData, setPopulationData] = useState({});
+  const [gatewaysData, setGatewaysData] = useState([]);
 
   useEffect(() => {
     console.log('Fetching graph data');
@@ -76,26 +80,66 @@ export const GraphProvider = ({ children }) => {
         console.warn('Population data not loaded or file missing', error);
       });
 
+    // Fetch Existing Gateways
+    fetch(`${process.env.PUBLIC_URL}/gateways.json`)
+      .then(response => response.json())
+      .then(data => {
+        setGatewaysData(data);
+      })
+      .catch(error => {
+        console.error('Failed to load existing gateways:', error);
+      });
+
   }, []);
 
+  // Gateway pairs need both universe and planet data to resolve their locations
+  const existingGateways = useMemo(
+    () => processGateways(gatewaysData, universeData, planetData),
+    [gatewaysData, universeData, planetData]
+  );
+
+  const gatewayEdges = useMemo(() => getGatewayEdges(existingGateways), [existingGateways]);
+
+  // Marker positions and hyperlane segments the map is drawn from
+  const mapGeometry = useMemo(() => buildMapGeometry(graph), [graph]);
+
+  // Hyperlane-only adjacency, shortest-path trees and jump counts, cached per loaded graph
+  const graphService = useMemo(() => getGraphService(graph), [graph]);
+
   const findShortestPath = useCallback((system1, system2) => {
     findShortestPathUtil(graph, system1, system2, highlightPath);
   }, [graph]);
 
+  // With useGateways, operational gateway links become extra edges and the plain FTL route
+  // is attached as route.baseline for comparison. routeOptions are passed on to findRoute
+  // (avoided systems, number of alternatives).
+  const findRoute = useCallback((waypoints, useGateways = false, routeOptions = {}) => {
+    const route = findRouteUtil(graph, waypoints, useGateways ? gatewayEdges : undefined, routeOptions);
+    if (useGateways) {
+      const { totalJumps, totalDistance } = findRouteUtil(graph, waypoints, undefined, { avoidSystemIds: routeOptions.avoidSystemIds });
+      route.baseline = { totalJumps, totalDistance };
+    }
+    return route;
+  }, [graph, gatewayEdges]);
 
   return (
     <GraphContext.Provider
       value={{
         graph,
         setGraph,
+        graphService,
+        mapGeometry,
         materials,
         setMaterials,
         selectedSystems,
         setSelectedSystems,
         findShortestPath,
+        findRoute,
         planetData,
         universeData,
-        populationData
+        populationData,
+        existingGateways,
+        gatewayEdges
       }}
     >
       {children}
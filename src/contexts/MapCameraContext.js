@@ -0,0 +1,41 @@
+import React, { createContext, useContext, useCallback, useRef } from 'react';
+
+const MapCameraContext = createContext();
+
+// Lets anything in the app move the map view. UniverseMap registers its camera (see
+// createMapCamera) once the map is drawn; until then the moves do nothing and return false.
+export const MapCameraProvider = ({ children }) => {
+  const cameraRef = useRef(null);
+
+  const registerCamera = useCallback((camera) => {
+    cameraRef.current = camera;
+  }, []);
+
+  const flyTo = useCallback((systemId) => cameraRef.current?.flyTo(systemId) ?? false, []);
+
+  const fitBounds = useCallback((systemIds) => cameraRef.current?.fitBounds(systemIds) ?? false, []);
+
+  const panTo = useCallback((point) => {
+    cameraRef.current?.panTo(point);
+  }, []);
+
+  const resetView = useCallback(() => {
+    cameraRef.current?.resetView();
+  }, []);
+
+  return (
+    <MapCameraContext.Provider
+      value={{
+        registerCamera,
+        flyTo,
+        fitBounds,
+        panTo,
+        resetView
+      }}
+    >
+      {children}
+    </MapCameraContext.Provider>
+  );
+};
+
+export const useMapCamera = () => useContext(MapCameraContext);
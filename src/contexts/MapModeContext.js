@@ -1,7 +1,7 @@
-import React, { createContext, useState, useContext, useCallback, useEffect } from 'react';
+import React, { createContext, useState, useContext, useCallback, useEffect, useMemo } from 'react';
 import { GraphContext } from './GraphContext';
 import { calculate3DDistance, findClosestSystems, findBestMidpoints } from '../utils/distanceUtils';
-import { find_path } from 'dijkstrajs';
+import { findRoute, getPlannedGatewayEdges } from '../utils/routeUtils';
 
 export const MAP_MODES = {
   STANDARD: 'STANDARD',
@@ -16,10 +16,9 @@ export const GATEWAY_STRATEGIES = {
 const MapModeContext = createContext();
 
 export const MapModeProvider = ({ children }) => {
-  const { universeData, planetData, graph } = useContext(GraphContext); 
+  const { universeData, graph, graphService, existingGateways, gatewayEdges } = useContext(GraphContext);
 
   const [activeMode, setActiveMode] = useState(MAP_MODES.STANDARD);
-  const [existingGateways, setExistingGateways] = useState([]);
   const [hoveredSystemId, setHoveredSystemId] = useState(null);
 
   const [gatewayData, setGatewayData] = useState({
@@ -31,34 +30,13 @@ export const MapModeProvider = ({ children }) => {
 
   const [candidateList, setCandidateList] = useState([]);
 
-  const getFtlDistance = useCallback((sId, tId) => {
-    if (!graph?.edges) return Infinity;
-    
-    const graphNodes = {};
-    graph.edges.forEach(edge => {
-      if (!graphNodes[edge.start]) graphNodes[edge.start] = {};
-      if (!graphNodes[edge.end]) graphNodes[edge.end] = {};
-      graphNodes[edge.start][edge.end] = edge.distance;
-      graphNodes[edge.end][edge.start] = edge.distance;
-    });
+  // What-if routing: while simulating, map clicks pick an A->B pair instead of gateway origins
+  const [isSimulating, setIsSimulating] = useState(false);
+  const [simulation, setSimulation] = useState({ fromId: null, toId: null });
 
-    try {
-      const path = find_path(graphNodes, sId, tId);
-      const rawSum = path.reduce((sum, node, i) => 
-      i < path.length - 1 ? sum + graphNodes[node][path[i+1]] : sum, 0);
-      return rawSum;
-    } catch (e) { 
-      return Infinity; 
-    }
-  }, [graph]);
-
-  // Fetch Existing Gateways
-  useEffect(() => {
-    fetch(`${process.env.PUBLIC_URL}/gateways.json`)
-      .then(response => response.json())
-      .then(data => setExistingGateways(data))
-      .catch(err => console.error("Failed to load existing gateways:", err));
-  }, []);
+  const getFtlDistance = useCallback((sId, tId) => {
+    return graphService.getDistance(sId, tId);
+  }, [graphService]);
 
   // Calculation Effect
   useEffect(() => {
@@ -120,6 +98,18 @@ export const MapModeProvider = ({ children }) => {
   }, [gatewayData.originA, gatewayData.originB, gatewayData.strategy, activeMode, universeData, getFtlDistance, graph]);
 
 
+  // Routes the simulated pair with the current network (hyperlanes + operational gateways)
+  // and again with every planned gateway added on top.
+  const simulationResult = useMemo(() => {
+    if (!isSimulating || !simulation.fromId || !simulation.toId || !graph?.edges) return null;
+
+    const waypoints = [simulation.fromId, simulation.toId];
+    const before = findRoute(graph, waypoints, gatewayEdges);
+    const after = findRoute(graph, waypoints, [...gatewayEdges, ...getPlannedGatewayEdges(gatewayData.plannedGateways)]);
+    return { before, after };
+  }, [isSimulating, simulation, graph, gatewayEdges, gatewayData.plannedGateways]);
+
+
   // Actions
   const toggleMode = useCallback(() => {
     setActiveMode(prev => prev === MAP_MODES.STANDARD ? MAP_MODES.GATEWAY : MAP_MODES.STANDARD);
@@ -212,6 +202,45 @@ export const MapModeProvider = ({ children }) => {
     }));
   }, []);
 
+  const toggleSimulation = useCallback(() => {
+    setIsSimulating(prev => !prev);
+    setSimulation({ fromId: null, toId: null });
+  }, []);
+
+  // Fills A, then B; a click once both are set starts a new pair
+  const selectSimulationSystem = useCallback((systemId) => {
+    setSimulation(prev => {
+      if (!prev.fromId || prev.toId) return { fromId: systemId, toId: null };
+      if (prev.fromId === systemId) return prev;
+      return { ...prev, toId: systemId };
+    });
+  }, []);
+
+  // Rebuilds planned gateways from permalink { sourceId, targetId } pairs, skipping unknown systems
+  const restoreGatewayPlan = useCallback(({ isGatewayMode, plannedGateways }) => {
+    if (isGatewayMode) setActiveMode(MAP_MODES.GATEWAY);
+    if (!plannedGateways || !universeData) return;
+
+    const restored = plannedGateways
+      .filter(({ sourceId, targetId }) => universeData[sourceId] && universeData[targetId])
+      .map(({ sourceId, targetId }, i) => {
+        const source = universeData[sourceId][0];
+        const target = universeData[targetId][0];
+        const ftlDist = getFtlDistance(sourceId, targetId);
+        return {
+          id: `${Date.now()}_${i}`,
+          sourceId,
+          targetId,
+          source: source.Name,
+          target: target.Name,
+          distance: calculate3DDistance(source, target).toFixed(2),
+          ftlDistance: ftlDist !== Infinity ? ftlDist.toFixed(1) : "Infinity"
+        };
+      });
+
+    setGatewayData(prev => ({ ...prev, plannedGateways: restored }));
+  }, [universeData, getFtlDistance]);
+
   const clearAllGateways = useCallback(() => {
     setGatewayData(prev => ({
       ...prev,
@@ -221,58 +250,6 @@ export const MapModeProvider = ({ children }) => {
     }));
   }, []);
 
-  const processGateways = useCallback((data) => {
-    if (!universeData || !planetData || Object.keys(planetData).length === 0) return [];
-
-    const systemMap = {};
-    Object.entries(universeData).forEach(([id, arr]) => systemMap[arr[0].NaturalId] = id);
-    Object.entries(planetData).forEach(([id, planets]) => {
-      planets.forEach(p => systemMap[p.PlanetNaturalId] = id);
-    });
-
-    const gatewaysById = Object.fromEntries(data.map(g => [g.GatewayId, g]));
-    const pairs = {};
-
-    data.forEach(g => {
-      if (!g.OutgoingLink) return;
-      const targetG = gatewaysById[g.OutgoingLink];
-      if (!targetG) return;
-
-      const sId = systemMap[g.LocationNaturalId];
-      const tId = systemMap[targetG.LocationNaturalId];
-
-      if (sId && tId) {
-        const pId = [sId, tId].sort().join('-');
-        if (!pairs[pId]) pairs[pId] = { sourceSysId: sId, targetSysId: tId, links: [] };
-        if (!pairs[pId].links.find(l => l.GatewayId === g.GatewayId)) {
-          pairs[pId].links.push(g);
-        }
-      }
-    });
-    return Object.values(pairs);
-  }, [universeData, planetData]);
-
-  useEffect(() => {
-    if (!universeData || !planetData || Object.keys(planetData).length === 0) return;
-    fetch(`${process.env.PUBLIC_URL}/gateways.json`)
-      .then(res => res.json())
-      .then(data => setExistingGateways(processGateways(data)))
-      .catch(err => console.error("Gateway fetch error:", err));
-  }, [universeData, planetData, processGateways]);
-
-  useEffect(() => {
-    if (!universeData || Object.keys(universeData).length === 0 || 
-        !planetData || Object.keys(planetData).length === 0) return;
-
-    fetch(`${process.env.PUBLIC_URL}/gateways.json`)
-      .then(response => response.json())
-      .then(data => {
-        const processed = processGateways(data);
-        setExistingGateways(processed);
-      })
-      .catch(err => console.error("Failed to load gateways:", err));
-  }, [universeData, planetData, processGateways]);
-
   return (
     <MapModeContext.Provider value={{
       activeMode,
@@ -289,6 +266,12 @@ export const MapModeProvider = ({ children }) => {
       removePlannedGateway,
       resetSelection,   
       clearAllGateways, 
+      restoreGatewayPlan,
+      isSimulating,
+      toggleSimulation,
+      simulation,
+      selectSimulationSystem,
+      simulationResult,
       calculate3DDistance,
       hoveredSystemId,
       setHoveredSystemId
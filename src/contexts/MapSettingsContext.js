@@ -0,0 +1,53 @@
+import React, { createContext, useState, useContext, useCallback, useEffect } from 'react';
+import { mapSettings as mapSettingsConfig } from '../config/config';
+import { saveToStorage } from '../utils/storageUtils';
+
+const MapSettingsContext = createContext();
+
+// SVG keeps every system and overlay in the DOM; Canvas paints the same scene onto one
+// canvas, which pans and zooms faster with many layers on.
+export const RENDERERS = {
+  SVG: 'svg',
+  CANVAS: 'canvas'
+};
+
+const loadStoredSettings = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(mapSettingsConfig.storageKey));
+    if (stored && typeof stored === 'object') return { ...mapSettingsConfig.defaults, ...stored };
+  } catch (error) {
+    console.warn('Ignoring unreadable map settings in localStorage', error);
+  }
+  return mapSettingsConfig.defaults;
+};
+
+export const MapSettingsProvider = ({ children }) => {
+  const [settings, setSettings] = useState(loadStoredSettings);
+
+  useEffect(() => {
+    saveToStorage(mapSettingsConfig.storageKey, settings, 'map settings');
+  }, [settings]);
+
+  const updateSettings = useCallback((changes) => {
+    setSettings(prev => ({ ...prev, ...changes }));
+  }, []);
+
+  const setRenderer = useCallback((renderer) => {
+    updateSettings({ renderer });
+  }, [updateSettings]);
+
+  return (
+    <MapSettingsContext.Provider
+      value={{
+        settings,
+        updateSettings,
+        renderer: settings.renderer,
+        setRenderer
+      }}
+    >
+      {children}
+    </MapSettingsContext.Provider>
+  );
+};
+
+export const useMapSettings = () => useContext(MapSettingsContext);
@@ -0,0 +1,118 @@
+import React, { createContext, useState, useContext, useCallback, useEffect, useMemo } from 'react';
+import { GraphContext } from './GraphContext';
+import { SearchContext } from './SearchContext';
+import { scoring as scoringConfig } from '../config/config';
+import { saveToStorage } from '../utils/storageUtils';
+import { CX_SYSTEMS } from '../constants/cxSystems';
+import { FACILITIES } from '../constants/facilities';
+import { determinePlanetTier } from '../utils/svgUtils';
+import { createNearestLookup } from '../utils/proximityUtils';
+import { scorePlanets, getSystemScores } from '../utils/scoringUtils';
+
+const ScoringContext = createContext();
+
+// CX the distance criterion measures to; 'nearest' picks the closest one per planet
+export const NEAREST_CX = 'nearest';
+
+const defaultSettings = {
+  weights: scoringConfig.defaultWeights,
+  cxTarget: NEAREST_CX,
+  cogcProgram: null,
+  facilityKeys: FACILITIES.map(facility => facility.key)
+};
+
+const loadStoredSettings = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(scoringConfig.storageKey));
+    if (stored && stored.weights) {
+      return { ...defaultSettings, ...stored, weights: { ...defaultSettings.weights, ...stored.weights } };
+    }
+  } catch (error) {
+    console.warn('Ignoring unreadable scoring settings in localStorage', error);
+  }
+  return defaultSettings;
+};
+
+export const ScoringProvider = ({ children }) => {
+  const [settings, setSettings] = useState(loadStoredSettings);
+  const [isRankingVisible, setIsRankingVisible] = useState(false);
+  const { planetData, populationData, graphService } = useContext(GraphContext);
+  const { searchResults, searchMaterial, plotsData, maxFactorPerMaterial } = useContext(SearchContext);
+
+  useEffect(() => {
+    saveToStorage(scoringConfig.storageKey, settings, 'scoring settings');
+  }, [settings]);
+
+  const toggleRanking = useCallback(() => {
+    setIsRankingVisible(prev => !prev);
+  }, []);
+
+  const setWeight = useCallback((key, weight) => {
+    setSettings(prev => ({ ...prev, weights: { ...prev.weights, [key]: weight } }));
+  }, []);
+
+  const updateSettings = useCallback((changes) => {
+    setSettings(prev => ({ ...prev, ...changes }));
+  }, []);
+
+  const resetSettings = useCallback(() => {
+    setSettings(defaultSettings);
+  }, []);
+
+  // Search matches when there are any, otherwise every planet
+  const candidates = useMemo(() => {
+    if (!isRankingVisible) return [];
+    const matchedPlanetIds = new Set(searchResults
+      .map(result => result.planetNaturalId || result.planetId || (result.type === 'planet' ? result.id : null))
+      .filter(Boolean));
+    const matchedSystemIds = new Set(searchResults.filter(result => result.type === 'system').map(result => result.id));
+    const useAll = searchResults.length === 0;
+
+    return Object.entries(planetData).flatMap(([systemId, planets]) => planets
+      .filter(planet => useAll || matchedPlanetIds.has(planet.PlanetNaturalId) || matchedSystemIds.has(systemId))
+      .map(planet => ({ planet, systemId })));
+  }, [isRankingVisible, searchResults, planetData]);
+
+  const getCxJumps = useMemo(() => {
+    if (settings.cxTarget !== NEAREST_CX) return systemId => graphService.getJumps(settings.cxTarget, systemId);
+    const nearest = createNearestLookup(graphService, CX_SYSTEMS);
+    return systemId => nearest(systemId)?.jumps ?? Infinity;
+  }, [graphService, settings.cxTarget]);
+
+  const ranking = useMemo(() => scorePlanets(candidates, settings.weights, {
+    materialIds: searchMaterial,
+    maxFactorPerMaterial,
+    getPlanetTier: planet => determinePlanetTier(planet.BuildRequirements),
+    plotsData,
+    getCxJumps,
+    maxCxJumps: scoringConfig.maxCxJumps,
+    cogcProgram: settings.cogcProgram,
+    facilityKeys: settings.facilityKeys,
+    populationData
+  }), [candidates, settings, searchMaterial, maxFactorPerMaterial, plotsData, getCxJumps, populationData]);
+
+  const systemScores = useMemo(() => getSystemScores(ranking), [ranking]);
+
+  return (
+    <ScoringContext.Provider
+      value={{
+        isRankingVisible,
+        toggleRanking,
+        weights: settings.weights,
+        setWeight,
+        cxTarget: settings.cxTarget,
+        cogcProgram: settings.cogcProgram,
+        facilityKeys: settings.facilityKeys,
+        updateSettings,
+        resetSettings,
+        ranking,
+        systemScores,
+        isRankingAllPlanets: searchResults.length === 0
+      }}
+    >
+      {children}
+    </ScoringContext.Provider>
+  );
+};
+
+export const useScoring = () => useContext(ScoringContext);
@@ -3,6 +3,11 @@ import { GraphContext } from './GraphContext';
 import { phaseMultiplier } from '../constants/phaseMultiplier';
 import { highlightSearchResults, clearHighlights } from '../utils/searchUtils';
 import { determinePlanetTier } from '../utils/svgUtils'; 
+import { DEFAULT_FILTERS, ENVIRONMENT_RANGES } from '../constants/searchDefaults';
+import { isWithinRange } from '../utils/rangeUtils';
+import { resolveSystemTerm, createProximityLookup, sortByProximity } from '../utils/proximityUtils';
+import { parseQuery, compileQuery, resolveMaterialTerm } from '../utils/queryUtils';
+import { getWorkforceValue, hasExplorersGrace } from '../utils/workforceUtils';
 
 export const SearchContext = createContext();
 
@@ -21,26 +26,22 @@ const splitCamelCase = (str) => {
 
 export const SearchProvider = ({ children }) => {
   const [searchResults, setSearchResults] = useState([]);
-  const { universeData, planetData, materials } = useContext(GraphContext);
+  const { universeData, planetData, materials, graphService, populationData } = useContext(GraphContext);
   const [searchMaterial, setSearchMaterial] = useState([]);
   const [searchMaterialConcentrationLiquid, setSearchMaterialConcentrationLiquid] = useState([]);
   const [searchMaterialConcentrationGaseous, setSearchMaterialConcentrationGaseous] = useState([]);
   const [searchMaterialConcentrationMineral, setSearchMaterialConcentrationMineral] = useState([]);
   
-  const [filters, setFilters] = useState({
-    planetType: ['Rocky', 'Gaseous'],
-    gravity: ['Low', 'High'],
-    temperature: ['Low', 'High'],
-    pressure: ['Low', 'High'],
-    cogcProgram: [],
-    minStars: 0,
-    requireAvailablePlots: false
-  });
+  const [filters, setFilters] = useState(DEFAULT_FILTERS);
   
   const [plotsData, setPlotsData] = useState({});
   const [unifiedSearchTerm, setUnifiedSearchTerm] = useState('');
   const [showAdvanced, setShowAdvanced] = useState(false);
   const lastQueryRef = useRef({ text: '', category: 'General' });
+  // Mirrors lastQueryRef for consumers that need to re-render on it (permalinks)
+  const [activeQuery, setActiveQuery] = useState(lastQueryRef.current);
+  // Query to run once restored filter state has been applied
+  const [pendingQuery, setPendingQuery] = useState(null);
   // EXCESSIVE COMMENTING: Caches full FIO company payloads (keyed by upper-cased code) so the autocomplete fetch and the executed company search never hit the network twice for the same corporation.
   const fioCompanyCacheRef = useRef(new Map());
 
@@ -140,20 +141,21 @@ export const SearchProvider = ({ children }) => {
        (filters.planetType.includes('Fertile') && planet.Fertility > -1) ||
        (!filters.planetType.includes('Fertile'));
 
-      const gravityCondition =
-        (filters.gravity.includes('Low') && (planet.Gravity < 0.25)) ||
-        (filters.gravity.includes('High') && (planet.Gravity >= 2.5)) ||
-        ((0.25 <= planet.Gravity) && (planet.Gravity <= 2.5));
+      // Low/High toggles keep planets past the building-material cutoffs; the range sliders
+      // then narrow every value further.
+      const cutoffCondition = (category, value) => {
+        const { low, high } = ENVIRONMENT_RANGES[category];
+        return (filters[category].includes('Low') && value < low) ||
+          (filters[category].includes('High') && value >= high) ||
+          (low <= value && value <= high);
+      };
 
-      const temperatureCondition =
-        (filters.temperature.includes('Low') && (planet.Temperature < -25.0)) ||
-        (filters.temperature.includes('High') && (planet.Temperature >= 75.0)) ||
-        ((-25.0 <= planet.Temperature) && (planet.Temperature <= 75.0));
+      const gravityCondition = cutoffCondition('gravity', planet.Gravity);
+      const temperatureCondition = cutoffCondition('temperature', planet.Temperature);
+      const pressureCondition = cutoffCondition('pressure', planet.Pressure);
 
-      const pressureCondition =
-        (filters.pressure.includes('Low') && (planet.Pressure < 0.25)) ||
-        (filters.pressure.includes('High') && (planet.Pressure >= 2.0)) ||
-        ((0.25 <= planet.Pressure) && (planet.Pressure <= 2.0));
+      const rangeCondition = Object.entries(filters.ranges || {}).every(([key, range]) =>
+        isWithinRange(planet[ENVIRONMENT_RANGES[key].planetKey], range));
 
       const cogcCondition = filters.cogcProgram.length === 0 ||
         (planet.HasChamberOfCommerce && (
@@ -169,17 +171,34 @@ export const SearchProvider = ({ children }) => {
           })
         ));
 
+      const facilityCondition = Object.entries(filters.facilities || {}).every(([key, mode]) =>
+        Boolean(planet[key]) === (mode === 'require'));
+
+      // Planets without population data never pass a workforce minimum
+      const workforceCondition = !filters.workforce ||
+        (getWorkforceValue(populationData[planet.PlanetNaturalId], filters.workforce.tier, filters.workforce.metric) ?? -1) >= filters.workforce.min;
+
+      const graceCondition = !filters.explorersGrace || hasExplorersGrace(populationData, planet.PlanetNaturalId);
+
       const tierCondition = determinePlanetTier(planet.BuildRequirements) >= (filters.minStars || 0);
 
       const plotsCondition = !filters.requireAvailablePlots || 
                              (plotsData[planet.PlanetNaturalId] !== undefined && plotsData[planet.PlanetNaturalId] > 0);
 
       return planetTypeCondition && planetFertility && gravityCondition && temperatureCondition &&
-             pressureCondition && cogcCondition && tierCondition && plotsCondition;
+             pressureCondition && rangeCondition && cogcCondition && facilityCondition && workforceCondition && graceCondition &&
+             tierCondition && plotsCondition;
     });
 
-    return Array.from(new Set(filtered.map(JSON.stringify))).map(JSON.parse);
-  }, [planetData, filters, resourceThreshold, isRelativeThreshold, resourceTypeFilter, maxFactorPerMaterial, plotsData]);
+    const uniqueResults = Array.from(new Set(filtered.map(JSON.stringify))).map(JSON.parse);
+    if (!filters.near) return uniqueResults;
+
+    // Near filter: keep results within range of the anchor system, nearest first
+    const { systemId, metric, max } = filters.near;
+    const lookup = createProximityLookup(graphService, universeData, systemId);
+    return sortByProximity(uniqueResults, lookup, metric)
+      .filter(result => !result.proximity || result.proximity[metric] <= max);
+  }, [planetData, universeData, graphService, populationData, filters, resourceThreshold, isRelativeThreshold, resourceTypeFilter, maxFactorPerMaterial, plotsData]);
 
 
   const finalizeAndHighlight = useCallback((uniqueResults, matchingMaterialIds = []) => {
@@ -312,6 +331,83 @@ export const SearchProvider = ({ children }) => {
   }, [planetData, materials, applyFiltersToResults, finalizeAndHighlight]);
 
 
+  // Compiles a query-language search against the loaded data; throws QuerySyntaxError
+  const compileSearchQuery = useCallback((queryText) => {
+    const lookups = new Map();
+    const getProximityLookup = (anchorId) => {
+      if (!lookups.has(anchorId)) lookups.set(anchorId, createProximityLookup(graphService, universeData, anchorId));
+      return lookups.get(anchorId);
+    };
+    const compiled = compileQuery(parseQuery(queryText), {
+      resolveMaterial: term => resolveMaterialTerm(Array.isArray(materials) ? materials : [], term),
+      getPlanetTier: planet => determinePlanetTier(planet.BuildRequirements),
+      plotsData,
+      resolveSystem: term => resolveSystemTerm(universeData, term),
+      getProximity: (anchorId, systemId) => getProximityLookup(anchorId)(systemId),
+      defaultAnchorId: filters.near?.systemId
+    });
+    return { ...compiled, getProximityLookup };
+  }, [materials, plotsData, universeData, graphService, filters.near]);
+
+  // Returns the syntax error for a query, or null when it is valid
+  const validateQuery = useCallback((queryText) => {
+    try {
+      compileSearchQuery(queryText);
+      return null;
+    } catch (error) {
+      return error;
+    }
+  }, [compileSearchQuery]);
+
+  const handleQuerySearch = useCallback((queryText) => {
+    let compiled;
+    try {
+      compiled = compileSearchQuery(queryText);
+    } catch (error) {
+      console.warn('Invalid search query:', error.message);
+      return finalizeAndHighlight([]);
+    }
+
+    const { predicate, materialIds, anchorSystemId, getProximityLookup } = compiled;
+    const materialsById = Object.fromEntries((Array.isArray(materials) ? materials : []).map(m => [m.MaterialId, m]));
+    const results = [];
+
+    Object.entries(planetData).forEach(([systemId, planets]) => {
+      planets.forEach(planet => {
+        if (!predicate(planet)) return;
+
+        // Planets matched through a resource are listed per resource so factors can be shown
+        const matchedResources = planet.Resources.filter(resource => materialIds.includes(resource.MaterialId));
+        if (matchedResources.length === 0) {
+          results.push({ type: 'planet', id: planet.PlanetNaturalId, systemId });
+          return;
+        }
+        matchedResources.forEach(resource => {
+          const material = materialsById[resource.MaterialId];
+          results.push({
+            type: 'material',
+            id: resource.MaterialId,
+            name: material.Name,
+            ticker: material.Ticker,
+            planetId: planet.PlanetNaturalId,
+            systemId,
+            factor: resource.Factor,
+            resourceType: resource.ResourceType,
+            planetTier: determinePlanetTier(planet.BuildRequirements)
+          });
+        });
+      });
+    });
+
+    let uniqueResults = applyFiltersToResults(results);
+    // A near: anchor in the query orders results by distance from it
+    if (anchorSystemId && anchorSystemId !== filters.near?.systemId) {
+      uniqueResults = sortByProximity(uniqueResults, getProximityLookup(anchorSystemId));
+    }
+    return finalizeAndHighlight(uniqueResults, materialIds);
+  }, [filters.near, compileSearchQuery, materials, planetData, applyFiltersToResults, finalizeAndHighlight]);
+
+
   const handleCompanySearch = useCallback(async (companyCode) => {
     const sanitizedCompanyCode = sanitizeInput(companyCode);
     const cacheKey = sanitizedCompanyCode.toUpperCase();
@@ -467,6 +563,7 @@ export const SearchProvider = ({ children }) => {
 
   const executeUnifiedSearch = useCallback(async (option) => {
     lastQueryRef.current = option;
+    setActiveQuery(option);
     clearHighlights();
     
     let results = [];
@@ -476,12 +573,15 @@ export const SearchProvider = ({ children }) => {
     } else if (option.category === 'Resource') {
         setIsCompanySearch(false);
         results = handleMaterialSearch(option.text);
+    } else if (option.category === 'Query') {
+        setIsCompanySearch(false);
+        results = handleQuerySearch(option.text);
     } else {
         setIsCompanySearch(false);
         results = handleSystemSearch(option.text);
     }
     return results;
-  }, [handleCompanySearch, handleMaterialSearch, handleSystemSearch]);
+  }, [handleCompanySearch, handleMaterialSearch, handleQuerySearch, handleSystemSearch]);
 
 
   const clearSearch = useCallback(() => {
@@ -493,6 +593,7 @@ export const SearchProvider = ({ children }) => {
 
     // EXCESSIVE COMMENTING: Return to the same blank state as initial page load — drop the active query and wipe all highlights, rather than running a General search that would re-highlight the entire filtered universe.
     lastQueryRef.current = { text: '', category: 'General' };
+    setActiveQuery(lastQueryRef.current);
     setSearchResults([]);
     setIsCompanySearch(false);
     clearHighlights();
@@ -529,6 +630,43 @@ export const SearchProvider = ({ children }) => {
   }, [filters, resourceThreshold, isRelativeThreshold, resourceTypeFilter, executeUnifiedSearch, planetData]);
 
 
+  // Applies search state decoded from a permalink. The query runs in the effect below, after
+  // the restored filters are in place. Returns whether a search will run.
+  const restoreSearch = useCallback((state) => {
+    const next = {
+      filters: state.filters ?? filters,
+      resourceThreshold: state.resourceThreshold ?? resourceThreshold,
+      isRelativeThreshold: state.isRelativeThreshold ?? isRelativeThreshold,
+      resourceTypeFilter: state.resourceTypeFilter ?? resourceTypeFilter
+    };
+    const snapshot = JSON.stringify(next);
+
+    // Restored filters only need a re-run of the active query; the pending query covers it,
+    // so the filter-change effect below is told it is already up to date.
+    let query = state.query || null;
+    if (prevFilterSnapshotRef.current !== null && prevFilterSnapshotRef.current !== snapshot) {
+      prevFilterSnapshotRef.current = snapshot;
+      query = query || { ...lastQueryRef.current };
+    }
+
+    setFilters(next.filters);
+    setResourceThreshold(next.resourceThreshold);
+    setIsRelativeThreshold(next.isRelativeThreshold);
+    setResourceTypeFilter(next.resourceTypeFilter);
+    if (state.query) {
+      const { text, category } = state.query;
+      setUnifiedSearchTerm(category === 'General' || category === 'Query' ? text : `${text} (${category})`);
+    }
+    if (query) setPendingQuery(query);
+    return !!query;
+  }, [filters, resourceThreshold, isRelativeThreshold, resourceTypeFilter]);
+
+  useEffect(() => {
+    if (!pendingQuery) return;
+    setPendingQuery(null);
+    executeUnifiedSearch(pendingQuery);
+  }, [pendingQuery, executeUnifiedSearch]);
+
   return (
     <SearchContext.Provider
       value={{
@@ -554,7 +692,12 @@ export const SearchProvider = ({ children }) => {
         generateLocalSuggestions,
         hasExactLocalMatch,
         fetchFioCompany,
-        executeUnifiedSearch
+        executeUnifiedSearch,
+        validateQuery,
+        activeQuery,
+        restoreSearch,
+        plotsData,
+        maxFactorPerMaterial
       }}
     >
       {children}
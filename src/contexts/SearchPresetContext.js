@@ -0,0 +1,78 @@
+import React, { createContext, useState, useContext, useCallback, useEffect } from 'react';
+import { SearchContext } from './SearchContext';
+import { searchPresets as presetConfig } from '../config/config';
+import { saveToStorage } from '../utils/storageUtils';
+import { createPreset, serializePresets, parsePresetFile, mergePresets } from '../utils/presetUtils';
+
+const SearchPresetContext = createContext();
+
+const loadStoredPresets = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(presetConfig.storageKey));
+    if (Array.isArray(stored)) return stored;
+  } catch (error) {
+    console.warn('Ignoring unreadable search presets in localStorage', error);
+  }
+  return [];
+};
+
+export const SearchPresetProvider = ({ children }) => {
+  const [presets, setPresets] = useState(loadStoredPresets);
+  const {
+    activeQuery,
+    filters,
+    resourceThreshold,
+    isRelativeThreshold,
+    resourceTypeFilter,
+    restoreSearch
+  } = useContext(SearchContext);
+
+  useEffect(() => {
+    saveToStorage(presetConfig.storageKey, presets, 'search presets');
+  }, [presets]);
+
+  // Saves the current search under `name`, replacing a preset of the same name
+  const savePreset = useCallback((name) => {
+    const preset = createPreset(name, { query: activeQuery, filters, resourceThreshold, isRelativeThreshold, resourceTypeFilter });
+    if (!preset.name) return null;
+    setPresets(prev => mergePresets(prev, [preset]));
+    return preset;
+  }, [activeQuery, filters, resourceThreshold, isRelativeThreshold, resourceTypeFilter]);
+
+  // Restores the preset's filters, then runs its query through executeUnifiedSearch
+  const applyPreset = useCallback((id) => {
+    const preset = presets.find(p => p.id === id);
+    if (!preset) return;
+    restoreSearch(preset);
+  }, [presets, restoreSearch]);
+
+  const deletePreset = useCallback((id) => {
+    setPresets(prev => prev.filter(preset => preset.id !== id));
+  }, []);
+
+  const exportPresets = useCallback(() => serializePresets(presets), [presets]);
+
+  // Returns how many presets the file held; throws with a readable message on bad files
+  const importPresets = useCallback((text) => {
+    const imported = parsePresetFile(text);
+    setPresets(prev => mergePresets(prev, imported));
+    return imported.length;
+  }, []);
+
+  return (
+    <SearchPresetContext.Provider
+      value={{
+        presets,
+        savePreset,
+        applyPreset,
+        deletePreset,
+        exportPresets,
+        importPresets
+      }}
+    >
+      {children}
+    </SearchPresetContext.Provider>
+  );
+};
+
+export const useSearchPresets = () => useContext(SearchPresetContext);
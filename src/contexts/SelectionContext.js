@@ -1,15 +1,31 @@
-import React, { createContext, useState, useCallback, useContext } from 'react';
-import { highlightSelectedSystem as highlightSelectedSystemUtil } from '../utils/graphUtils';
+import React, { createContext, useState, useCallback, useContext, useEffect, useMemo } from 'react';
+import { highlightSelectedSystem as highlightSelectedSystemUtil, highlightRoute, highlightAvoidedSystems } from '../utils/graphUtils';
 import { GraphContext } from '../contexts/GraphContext';
+import { useDataPoints } from '../contexts/DataPointContext';
+import { routing } from '../config/config';
 
 export const SelectionContext = createContext();
 
 export const SelectionProvider = ({ children }) => {
   const [isPathfindingEnabled, setIsPathfindingEnabled] = useState(false);
   const [selectedSystem, setSelectedSystem] = useState(null);
+  // Ordered list of route waypoints while pathfinding is enabled
   const [pathfindingSelection, setPathfindingSelection] = useState([]);
+  // Route over operational gateway links in addition to hyperlanes
+  const [useGateways, setUseGateways] = useState(false);
+  // Colors every system by its jump count from the selected system
+  const [isJumpRangeVisible, setIsJumpRangeVisible] = useState(false);
+  // Systems routes must not pass through; while marking, map clicks toggle them instead of adding stops
+  const [avoidedSystems, setAvoidedSystems] = useState([]);
+  const [isMarkingAvoided, setIsMarkingAvoided] = useState(false);
+  const [avoidHighDensity, setAvoidHighDensity] = useState(false);
+  const [densityThreshold, setDensityThreshold] = useState(routing.highMeteoroidDensity);
+  // Number of distinct A->B routes to offer, and which of them is emphasised on the map
+  const [alternativeCount, setAlternativeCount] = useState(1);
+  const [activeAlternative, setActiveAlternative] = useState(0);
 
-  const { findShortestPath } = useContext(GraphContext);
+  const { findRoute } = useContext(GraphContext);
+  const { meteorDensityData } = useDataPoints();
 
   const togglePathfinding = useCallback(() => {
   setIsPathfindingEnabled(prev => {
@@ -20,33 +36,20 @@ export const SelectionProvider = ({ children }) => {
     return !prev;
   });
   setPathfindingSelection([]); // Reset selection when toggling
+  setIsMarkingAvoided(false);
 }, []);
 
 const highlightSelectedSystem = useCallback((nextSelectedSystem) => {
-  if (isPathfindingEnabled) {
-    setPathfindingSelection(prev => {
-      let newSelection;
-      if (prev.length === 2) {
-        // Reset selection if it already has two entries
-        newSelection = [nextSelectedSystem];
-      } else {
-        // Add new selection, keeping at most 2 entries
-        newSelection = [...prev, nextSelectedSystem].slice(-2);
-      }
-
-      // Always update selectedSystem
-      setSelectedSystem(prevSelectedSystem => {
-        if (newSelection.length === 1) {
-          highlightSelectedSystemUtil(prevSelectedSystem, nextSelectedSystem, newSelection, isPathfindingEnabled);
-        }
-        return nextSelectedSystem;
-      });
-      // If we now have 2 systems selected, find the shortest path
-        if (newSelection.length === 2) {
-          findShortestPath(newSelection[0], newSelection[1]);
-        }
-      return newSelection;
-    });
+  if (isPathfindingEnabled && isMarkingAvoided) {
+    setAvoidedSystems(prev =>
+      prev.includes(nextSelectedSystem) ? prev.filter(id => id !== nextSelectedSystem) : [...prev, nextSelectedSystem]
+    );
+  } else if (isPathfindingEnabled) {
+    // Append the clicked system as the next stop, ignoring repeated clicks on the last stop
+    setPathfindingSelection(prev =>
+      prev[prev.length - 1] === nextSelectedSystem ? prev : [...prev, nextSelectedSystem]
+    );
+    setSelectedSystem(nextSelectedSystem);
   } else {
     // Behavior when pathfinding is disabled
     setSelectedSystem(prevSelectedSystem => {
@@ -54,14 +57,91 @@ const highlightSelectedSystem = useCallback((nextSelectedSystem) => {
       return nextSelectedSystem;
     });
   }
-}, [isPathfindingEnabled, findShortestPath]);
+}, [isPathfindingEnabled, isMarkingAvoided]);
+
+  const removeWaypoint = useCallback((index) => {
+    setPathfindingSelection(prev => prev.filter((_, i) => i !== index));
+  }, []);
+
+  // Moves the waypoint at `index` by `offset` positions (-1 = earlier, 1 = later)
+  const moveWaypoint = useCallback((index, offset) => {
+    setPathfindingSelection(prev => {
+      const target = index + offset;
+      if (target < 0 || target >= prev.length) return prev;
+      const next = [...prev];
+      [next[index], next[target]] = [next[target], next[index]];
+      return next;
+    });
+  }, []);
+
+  const clearWaypoints = useCallback(() => {
+    setPathfindingSelection([]);
+  }, []);
 
+  const toggleGatewayRouting = useCallback(() => {
+    setUseGateways(prev => !prev);
+  }, []);
 
+  const toggleJumpRange = useCallback(() => {
+    setIsJumpRangeVisible(prev => !prev);
+  }, []);
 
+  const toggleMarkingAvoided = useCallback(() => {
+    setIsMarkingAvoided(prev => !prev);
+  }, []);
 
+  const removeAvoidedSystem = useCallback((systemId) => {
+    setAvoidedSystems(prev => prev.filter(id => id !== systemId));
+  }, []);
 
+  const clearAvoidedSystems = useCallback(() => {
+    setAvoidedSystems([]);
+  }, []);
 
+  const toggleAvoidHighDensity = useCallback(() => {
+    setAvoidHighDensity(prev => !prev);
+  }, []);
 
+  // Applies a selection decoded from a permalink; a saved route turns pathfinding on
+  const restoreSelection = useCallback(({ selectedSystem: systemId, pathfindingSelection: waypoints }) => {
+    if (waypoints && waypoints.length > 0) {
+      setIsPathfindingEnabled(true);
+      setPathfindingSelection(waypoints);
+      setSelectedSystem(waypoints[waypoints.length - 1]);
+    } else if (systemId) {
+      setSelectedSystem(systemId);
+      highlightSelectedSystemUtil(null, systemId, [], false);
+    }
+  }, []);
+
+  // Manually avoided systems plus, optionally, every system at or above the density threshold
+  const avoidSystemIds = useMemo(() => {
+    if (!avoidHighDensity) return avoidedSystems;
+    const hazardous = Object.keys(meteorDensityData).filter(id => meteorDensityData[id] >= densityThreshold);
+    return [...new Set([...avoidedSystems, ...hazardous])];
+  }, [avoidedSystems, avoidHighDensity, densityThreshold, meteorDensityData]);
+
+  // Re-route whenever the waypoints or routing options change
+  const route = useMemo(() => {
+    if (!isPathfindingEnabled || pathfindingSelection.length < 2) return null;
+    return findRoute(pathfindingSelection, useGateways, { avoidSystemIds, alternativeCount });
+  }, [pathfindingSelection, isPathfindingEnabled, useGateways, avoidSystemIds, alternativeCount, findRoute]);
+
+  // A new route starts with its shortest alternative emphasised
+  useEffect(() => {
+    setActiveAlternative(0);
+  }, [route]);
+
+  useEffect(() => {
+    if (!isPathfindingEnabled) return;
+
+    if (route) {
+      highlightRoute(route, Math.min(activeAlternative, Math.max(route.alternatives.length - 1, 0)));
+    } else {
+      highlightSelectedSystemUtil(null, pathfindingSelection[0] || null, pathfindingSelection, isPathfindingEnabled);
+    }
+    highlightAvoidedSystems(avoidedSystems);
+  }, [route, activeAlternative, avoidedSystems, pathfindingSelection, isPathfindingEnabled]);
 
   return (
     <SelectionContext.Provider
@@ -70,10 +150,32 @@ const highlightSelectedSystem = useCallback((nextSelectedSystem) => {
         togglePathfinding,
         selectedSystem,
         pathfindingSelection,
-        highlightSelectedSystem
+        route,
+        highlightSelectedSystem,
+        removeWaypoint,
+        moveWaypoint,
+        clearWaypoints,
+        useGateways,
+        toggleGatewayRouting,
+        isJumpRangeVisible,
+        toggleJumpRange,
+        avoidedSystems,
+        isMarkingAvoided,
+        toggleMarkingAvoided,
+        removeAvoidedSystem,
+        clearAvoidedSystems,
+        avoidHighDensity,
+        toggleAvoidHighDensity,
+        densityThreshold,
+        setDensityThreshold,
+        alternativeCount,
+        setAlternativeCount,
+        activeAlternative,
+        setActiveAlternative,
+        restoreSelection
       }}
     >
       {children}
     </SelectionContext.Provider>
   );
-};
\ No newline at end of file
+};
@@ -0,0 +1,80 @@
+import React, { createContext, useState, useContext, useCallback, useEffect } from 'react';
+import { shipProfiles as shipProfileConfig } from '../config/config';
+import { saveToStorage } from '../utils/storageUtils';
+
+const ShipProfileContext = createContext();
+
+const loadStoredProfiles = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(shipProfileConfig.storageKey));
+    if (stored && Array.isArray(stored.profiles) && stored.profiles.length > 0) return stored;
+  } catch (error) {
+    console.warn('Ignoring unreadable ship profiles in localStorage', error);
+  }
+  return { profiles: shipProfileConfig.defaults, activeProfileId: shipProfileConfig.defaults[0].id };
+};
+
+export const ShipProfileProvider = ({ children }) => {
+  const [{ profiles, activeProfileId }, setState] = useState(loadStoredProfiles);
+
+  useEffect(() => {
+    saveToStorage(shipProfileConfig.storageKey, { profiles, activeProfileId }, 'ship profiles');
+  }, [profiles, activeProfileId]);
+
+  const activeProfile = profiles.find(profile => profile.id === activeProfileId) || profiles[0];
+
+  const setActiveProfileId = useCallback((id) => {
+    setState(prev => ({ ...prev, activeProfileId: id }));
+  }, []);
+
+  const updateProfile = useCallback((id, changes) => {
+    setState(prev => ({
+      ...prev,
+      profiles: prev.profiles.map(profile => (profile.id === id ? { ...profile, ...changes } : profile))
+    }));
+  }, []);
+
+  // Adds a copy of the given profile and makes it active
+  const duplicateProfile = useCallback((id) => {
+    setState(prev => {
+      const source = prev.profiles.find(profile => profile.id === id);
+      if (!source) return prev;
+      const copy = { ...source, id: `profile-${Date.now()}`, name: `${source.name} (copy)` };
+      return { profiles: [...prev.profiles, copy], activeProfileId: copy.id };
+    });
+  }, []);
+
+  // The last remaining profile cannot be deleted
+  const deleteProfile = useCallback((id) => {
+    setState(prev => {
+      if (prev.profiles.length <= 1) return prev;
+      const remaining = prev.profiles.filter(profile => profile.id !== id);
+      return {
+        profiles: remaining,
+        activeProfileId: prev.activeProfileId === id ? remaining[0].id : prev.activeProfileId
+      };
+    });
+  }, []);
+
+  const resetProfiles = useCallback(() => {
+    setState({ profiles: shipProfileConfig.defaults, activeProfileId: shipProfileConfig.defaults[0].id });
+  }, []);
+
+  return (
+    <ShipProfileContext.Provider
+      value={{
+        profiles,
+        activeProfile,
+        setActiveProfileId,
+        updateProfile,
+        duplicateProfile,
+        deleteProfile,
+        resetProfiles
+      }}
+    >
+      {children}
+    </ShipProfileContext.Provider>
+  );
+};
+
+export const useShipProfiles = () => useContext(ShipProfileContext);
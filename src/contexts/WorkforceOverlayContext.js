@@ -0,0 +1,40 @@
+import React, { createContext, useState, useContext, useCallback } from 'react';
+import { ALL_TIERS } from '../utils/workforceUtils';
+
+const WorkforceOverlayContext = createContext();
+
+// Map overlays drawn from population_data.json: the workforce coloring (with its tier and
+// metric) and the Explorer's Grace markers.
+export const WorkforceOverlayProvider = ({ children }) => {
+  const [isWorkforceOverlayVisible, setIsWorkforceOverlayVisible] = useState(false);
+  const [overlayTier, setOverlayTier] = useState(ALL_TIERS);
+  const [overlayMetric, setOverlayMetric] = useState('unemployed');
+  const [isGraceOverlayVisible, setIsGraceOverlayVisible] = useState(false);
+
+  const toggleWorkforceOverlay = useCallback(() => {
+    setIsWorkforceOverlayVisible(prev => !prev);
+  }, []);
+
+  const toggleGraceOverlay = useCallback(() => {
+    setIsGraceOverlayVisible(prev => !prev);
+  }, []);
+
+  return (
+    <WorkforceOverlayContext.Provider
+      value={{
+        isWorkforceOverlayVisible,
+        toggleWorkforceOverlay,
+        overlayTier,
+        setOverlayTier,
+        overlayMetric,
+        setOverlayMetric,
+        isGraceOverlayVisible,
+        toggleGraceOverlay
+      }}
+    >
+      {children}
+    </WorkforceOverlayContext.Provider>
+  );
+};
+
+export const useWorkforceOverlay = () => useContext(WorkforceOverlayContext);
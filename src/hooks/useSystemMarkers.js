@@ -0,0 +1,20 @@
+import { useEffect } from 'react';
+import { renderSystemMarkers, removeSystemMarkers } from '../utils/mapRenderer';
+
+const NO_MARKERS = [];
+
+// Keeps an overlay's renderSystemMarkers layer in sync with `markers` (null or empty clears it)
+// and removes the layer when the overlay unmounts. Pass memoized markers and a stable style.
+const useSystemMarkers = (mapRef, mapRenderKey, layerClass, markers, style) => {
+  useEffect(() => {
+    if (!mapRef.current || mapRenderKey === 0) return;
+    const { g, geometry } = mapRef.current;
+    renderSystemMarkers(g, geometry, layerClass, markers || NO_MARKERS, style);
+  }, [mapRef, mapRenderKey, layerClass, markers, style]);
+
+  useEffect(() => () => {
+    if (mapRef.current) removeSystemMarkers(mapRef.current.g, layerClass);
+  }, [mapRef, layerClass]);
+};
+
+export default useSystemMarkers;
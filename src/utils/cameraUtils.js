@@ -0,0 +1,41 @@
+// Camera math for the map's d3.zoom. Transforms are { x, y, k } in svg user units, where
+// `extent` is the zoom extent [[x0, y0], [x1, y1]] (the svg viewBox).
+
+import { getViewBoxTransform, composeTransforms, invertPoint } from './mapGeometry';
+
+const clamp = (value, [min, max]) => Math.max(min, Math.min(max, value));
+
+// Box { x0, y0, x1, y1 } around the markers of the given systems, or null if none are drawn
+export const getSystemsBounds = (geometry, systemIds) => {
+  const systems = [...new Set(systemIds)].map(id => geometry?.byId[id]).filter(Boolean);
+  if (systems.length === 0) return null;
+  return {
+    x0: Math.min(...systems.map(system => system.x)),
+    y0: Math.min(...systems.map(system => system.y)),
+    x1: Math.max(...systems.map(system => system.x + system.size)),
+    y1: Math.max(...systems.map(system => system.y + system.size))
+  };
+};
+
+// Transform that puts the point (x, y) in the middle of the extent at scale k
+export const getCenterTransform = ({ x, y }, extent, k) => {
+  const [[ex0, ey0], [ex1, ey1]] = extent;
+  return { x: (ex0 + ex1) / 2 - k * x, y: (ey0 + ey1) / 2 - k * y, k };
+};
+
+// Largest transform (within scaleExtent) that shows all of `bounds` plus padding
+export const getFitTransform = (bounds, extent, { padding = 0, scaleExtent = [1, Infinity] } = {}) => {
+  const [[ex0, ey0], [ex1, ey1]] = extent;
+  const width = bounds.x1 - bounds.x0 + 2 * padding;
+  const height = bounds.y1 - bounds.y0 + 2 * padding;
+  const k = clamp(Math.min((ex1 - ex0) / width, (ey1 - ey0) / height), scaleExtent);
+  return getCenterTransform({ x: (bounds.x0 + bounds.x1) / 2, y: (bounds.y0 + bounds.y1) / 2 }, extent, k);
+};
+
+// Map area { x, y, width, height } visible in a width x height svg with the given viewBox and zoom
+export const getVisibleBounds = (viewBox, width, height, transform) => {
+  const screen = composeTransforms(getViewBoxTransform(viewBox, width, height), transform);
+  const [x0, y0] = invertPoint(screen, 0, 0);
+  const [x1, y1] = invertPoint(screen, width, height);
+  return { x: x0, y: y0, width: x1 - x0, height: y1 - y0 };
+};
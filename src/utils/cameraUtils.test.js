@@ -0,0 +1,33 @@
+import { getSystemsBounds, getCenterTransform, getFitTransform, getVisibleBounds } from './cameraUtils';
+
+const geometry = {
+  byId: {
+    a: { x: 0, y: 0, size: 10 },
+    b: { x: 90, y: 40, size: 10 }
+  }
+};
+
+const extent = [[0, 0], [200, 100]];
+
+test('bounds the drawn systems and ignores unknown ids', () => {
+  expect(getSystemsBounds(geometry, ['a', 'b', 'missing', 'a'])).toEqual({ x0: 0, y0: 0, x1: 100, y1: 50 });
+  expect(getSystemsBounds(geometry, ['missing'])).toBeNull();
+});
+
+test('centers a point at a given scale', () => {
+  expect(getCenterTransform({ x: 10, y: 20 }, extent, 2)).toEqual({ x: 80, y: 10, k: 2 });
+});
+
+test('fits bounds into the extent within the scale limits', () => {
+  const bounds = { x0: 0, y0: 0, x1: 100, y1: 50 };
+  expect(getFitTransform(bounds, extent)).toEqual({ x: 0, y: 0, k: 2 });
+  expect(getFitTransform(bounds, extent, { padding: 25 })).toEqual({ x: 50, y: 25, k: 1 });
+  // A single system would zoom in without limit
+  expect(getFitTransform({ x0: 0, y0: 0, x1: 10, y1: 10 }, extent, { scaleExtent: [1, 8] }).k).toBe(8);
+});
+
+test('finds the visible map area for a zoom transform', () => {
+  // A 200x100 viewBox letterboxed into a 200x200 svg shows 50 extra units above and below
+  expect(getVisibleBounds('0 0 200 100', 200, 200, { x: 0, y: 0, k: 1 })).toEqual({ x: 0, y: -50, width: 200, height: 200 });
+  expect(getVisibleBounds('0 0 200 100', 200, 100, { x: -100, y: -50, k: 2 })).toEqual({ x: 50, y: 25, width: 100, height: 50 });
+});
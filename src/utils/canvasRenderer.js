@@ -0,0 +1,253 @@
+import { collectScene, refreshSceneItem, hitTest, isPainted, parseTransform } from './canvasScene';
+import { getViewBoxTransform, composeTransforms, invertPoint } from './mapGeometry';
+
+// Canvas 2D backend for the map. The SVG keeps receiving every attribute change but is hidden;
+// a MutationObserver repaints the scene onto a canvas behind it. Pointer events still land on
+// the svg (so d3.zoom keeps working) and are hit-tested against the painted shapes, then
+// re-dispatched to the matching SVG elements so their existing hover/click handlers run.
+//
+// The hidden SVG stays the model because search, route and CoGC highlighting, the overlays
+// and the hover transitions all write d3 attributes; mirroring it lets canvas mode reuse that
+// code unchanged. The scene is collected once and only shapes whose own attributes changed are
+// re-read; added or removed elements and changes on groups rebuild it.
+
+const CANVAS_CLASS = 'canvas-backend';
+
+const TEXT_ALIGN = { start: 'left', middle: 'center', end: 'right' };
+const TEXT_BASELINE = { hanging: 'hanging', middle: 'middle', central: 'middle', 'text-before-edge': 'top' };
+
+const traceRect = (ctx, { x, y, width, height, radius }) => {
+  ctx.beginPath();
+  if (!radius) {
+    ctx.rect(x, y, width, height);
+    return;
+  }
+  ctx.moveTo(x + radius, y);
+  ctx.arcTo(x + width, y, x + width, y + height, radius);
+  ctx.arcTo(x + width, y + height, x, y + height, radius);
+  ctx.arcTo(x, y + height, x, y, radius);
+  ctx.arcTo(x, y, x + width, y, radius);
+  ctx.closePath();
+};
+
+const paintItem = (ctx, item) => {
+  const fill = () => {
+    if (!isPainted(item.fill) || item.fillOpacity <= 0) return;
+    ctx.globalAlpha = item.fillOpacity;
+    ctx.fillStyle = item.fill;
+    if (item.type === 'text') ctx.fillText(item.text, item.x, item.y);
+    else ctx.fill();
+  };
+  const stroke = () => {
+    if (!isPainted(item.stroke) || item.strokeOpacity <= 0 || item.strokeWidth <= 0) return;
+    ctx.globalAlpha = item.strokeOpacity;
+    ctx.strokeStyle = item.stroke;
+    ctx.lineWidth = item.strokeWidth;
+    ctx.setLineDash(item.dash);
+    if (item.type === 'text') ctx.strokeText(item.text, item.x, item.y);
+    else ctx.stroke();
+  };
+
+  switch (item.type) {
+    case 'rect':
+      traceRect(ctx, item);
+      break;
+    case 'circle':
+      ctx.beginPath();
+      ctx.arc(item.cx, item.cy, item.r, 0, Math.PI * 2);
+      break;
+    case 'line':
+      ctx.beginPath();
+      ctx.moveTo(item.x1, item.y1);
+      ctx.lineTo(item.x2, item.y2);
+      stroke();
+      return;
+    case 'polygon':
+      if (item.points.length === 0) return;
+      ctx.beginPath();
+      item.points.forEach(([x, y], i) => (i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+      ctx.closePath();
+      break;
+    default:
+      if (!item.text) return;
+      ctx.font = `${item.fontWeight} ${item.fontSize}px sans-serif`;
+      ctx.textAlign = TEXT_ALIGN[item.textAnchor] || 'left';
+      ctx.textBaseline = TEXT_BASELINE[item.baseline] || 'alphabetic';
+  }
+
+  if (item.strokeFirst) {
+    stroke();
+    fill();
+  } else {
+    fill();
+    stroke();
+  }
+};
+
+// Screen transform of the zoomable root group: viewBox fit, then the d3.zoom transform
+const getRootTransform = (svgNode, gNode, width, height) => composeTransforms(
+  getViewBoxTransform(svgNode.getAttribute('viewBox'), width, height),
+  parseTransform(gNode.getAttribute('transform'))
+);
+
+const dispatchMouse = (node, type, sourceEvent) => {
+  node.dispatchEvent(new MouseEvent(type, {
+    bubbles: true,
+    cancelable: true,
+    view: window,
+    clientX: sourceEvent.clientX,
+    clientY: sourceEvent.clientY,
+    screenX: sourceEvent.screenX,
+    screenY: sourceEvent.screenY
+  }));
+};
+
+/**
+ * Switches a map created by createMapSvg ({ svg, g }) to canvas rendering. Returns a
+ * `destroy` function that restores the plain SVG.
+ */
+export const attachCanvasBackend = ({ svg, g }) => {
+  const svgNode = svg.node();
+  const gNode = g.node();
+  const container = svgNode.parentNode;
+
+  const canvas = document.createElement('canvas');
+  canvas.className = 'map-canvas';
+  container.insertBefore(canvas, svgNode);
+  container.classList.add(CANVAS_CLASS);
+  const ctx = canvas.getContext('2d');
+
+  let scene = [];
+  // Scene index of each shape's node, for re-reading single shapes
+  let indexByNode = new Map();
+  let isSceneStale = false;
+  const changedNodes = new Set();
+  let frame = null;
+  let hovered = null;
+
+  const rebuildScene = () => {
+    scene = collectScene(gNode);
+    indexByNode = new Map(scene.map((item, i) => [item.node, i]));
+    isSceneStale = false;
+    changedNodes.clear();
+  };
+
+  const updateScene = () => {
+    if (isSceneStale) {
+      rebuildScene();
+      return;
+    }
+    for (const node of changedNodes) {
+      const index = indexByNode.get(node);
+      const item = refreshSceneItem(scene[index]);
+      if (!item) {
+        rebuildScene();
+        return;
+      }
+      scene[index] = item;
+    }
+    changedNodes.clear();
+  };
+
+  rebuildScene();
+
+  const paint = () => {
+    frame = null;
+    updateScene();
+
+    const width = container.clientWidth;
+    const height = container.clientHeight;
+    const ratio = window.devicePixelRatio || 1;
+    if (canvas.width !== Math.round(width * ratio) || canvas.height !== Math.round(height * ratio)) {
+      canvas.width = Math.round(width * ratio);
+      canvas.height = Math.round(height * ratio);
+    }
+
+    const root = getRootTransform(svgNode, gNode, width, height);
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.setTransform(ratio * root.k, 0, 0, ratio * root.k, ratio * root.x, ratio * root.y);
+
+    // Only shapes inside the visible area are painted
+    const [left, top] = invertPoint(root, 0, 0);
+    const [right, bottom] = invertPoint(root, width, height);
+
+    let transform = null;
+    scene.forEach(item => {
+      const [x0, y0, x1, y1] = item.bounds;
+      if (x1 < left || x0 > right || y1 < top || y0 > bottom) return;
+      if (item.transform !== transform) {
+        transform = item.transform;
+        const k = root.k * transform.k;
+        ctx.setTransform(ratio * k, 0, 0, ratio * k,
+          ratio * (root.x + root.k * transform.x), ratio * (root.y + root.k * transform.y));
+      }
+      paintItem(ctx, item);
+    });
+  };
+
+  const schedulePaint = () => {
+    if (frame === null) frame = requestAnimationFrame(paint);
+  };
+
+  // Zooming only rewrites the root transform, which needs a repaint but no new scene. Attribute
+  // and text changes on a painted shape re-read just that shape.
+  const observer = new MutationObserver(records => {
+    records.forEach(record => {
+      if (record.target === gNode && record.attributeName === 'transform') return;
+      const target = record.type === 'characterData' ? record.target.parentNode : record.target;
+      const isShapeChange = record.type !== 'childList' || target.tagName?.toLowerCase() === 'text';
+      if (isShapeChange && indexByNode.has(target)) changedNodes.add(target);
+      else isSceneStale = true;
+    });
+    schedulePaint();
+  });
+  observer.observe(gNode, { subtree: true, childList: true, attributes: true, characterData: true });
+
+  const resizeObserver = typeof ResizeObserver === 'undefined' ? null : new ResizeObserver(schedulePaint);
+  if (resizeObserver) resizeObserver.observe(container);
+
+  const findTarget = (event) => {
+    const bounds = svgNode.getBoundingClientRect();
+    const root = getRootTransform(svgNode, gNode, bounds.width, bounds.height);
+    const [x, y] = invertPoint(root, event.clientX - bounds.left, event.clientY - bounds.top);
+    return hitTest(scene, x, y)?.node || null;
+  };
+
+  // Events re-dispatched to SVG elements bubble back up to the svg; only real ones are handled
+  const onMouseMove = (event) => {
+    if (event.target !== svgNode) return;
+    const target = findTarget(event);
+    if (target === hovered) return;
+    if (hovered) dispatchMouse(hovered, 'mouseout', event);
+    hovered = target;
+    if (hovered) dispatchMouse(hovered, 'mouseover', event);
+  };
+
+  const onMouseLeave = (event) => {
+    if (hovered) dispatchMouse(hovered, 'mouseout', event);
+    hovered = null;
+  };
+
+  const onClick = (event) => {
+    if (event.target !== svgNode) return;
+    const target = findTarget(event);
+    if (target) dispatchMouse(target, 'click', event);
+  };
+
+  svg.on('mousemove.canvas', onMouseMove)
+    .on('mouseleave.canvas', onMouseLeave)
+    .on('click.canvas', onClick);
+
+  schedulePaint();
+
+  return () => {
+    observer.disconnect();
+    if (resizeObserver) resizeObserver.disconnect();
+    if (frame !== null) cancelAnimationFrame(frame);
+    svg.on('mousemove.canvas', null).on('mouseleave.canvas', null).on('click.canvas', null);
+    if (hovered) hovered.dispatchEvent(new MouseEvent('mouseout', { bubbles: true }));
+    canvas.remove();
+    container.classList.remove(CANVAS_CLASS);
+  };
+};
@@ -0,0 +1,275 @@
+// Reads the map's SVG layers into a flat, paint-ordered list of shapes for the Canvas backend.
+// The SVG stays the single source of truth (highlighting, overlays and hover transitions keep
+// writing attributes); canvas mode just hides it and paints this list instead.
+
+import { composeTransforms, invertPoint } from './mapGeometry';
+
+const SHAPES = ['rect', 'circle', 'line', 'polygon', 'text'];
+
+// Presentation attributes children inherit from their groups
+const INHERITED = [
+  'fill', 'fill-opacity', 'stroke', 'stroke-opacity', 'stroke-width', 'stroke-dasharray',
+  'font-size', 'font-weight', 'text-anchor', 'dominant-baseline', 'paint-order', 'pointer-events'
+];
+
+const ROOT_STYLE = {
+  fill: '#000000',
+  stroke: 'none',
+  'stroke-width': '1',
+  'font-size': '16px'
+};
+
+const IDENTITY = { x: 0, y: 0, k: 1 };
+
+// Inline styles (d3 .style) win over presentation attributes (d3 .attr), as in the browser
+const readProperty = (node, name) => (node.style && node.style.getPropertyValue(name)) || node.getAttribute(name);
+
+const number = (value, fallback = 0) => {
+  const parsed = parseFloat(value);
+  return isNaN(parsed) ? fallback : parsed;
+};
+
+const opacity = (value) => (value === null || value === '' ? 1 : number(value, 1));
+
+// Parses the translate/scale transforms d3.zoom and the overlays write
+export const parseTransform = (value) => {
+  const transform = { ...IDENTITY };
+  if (!value) return transform;
+
+  const translate = /translate\(\s*([-\d.e]+)[\s,]*([-\d.e]+)?\s*\)/.exec(value);
+  if (translate) {
+    transform.x = number(translate[1]);
+    transform.y = number(translate[2]);
+  }
+  const scale = /scale\(\s*([-\d.e]+)/.exec(value);
+  if (scale) transform.k = number(scale[1], 1);
+  return transform;
+};
+
+const resolveLength = (value, reference) => {
+  if (value === null || value === '') return null;
+  return String(value).trim().endsWith('%') ? (number(value) / 100) * reference : number(value);
+};
+
+// SVG points lists ("x,y x,y ...") as [[x, y], ...]; a trailing odd number is dropped
+const parsePoints = (value) => {
+  const numbers = String(value || '').trim().split(/[\s,]+/).map(Number).filter(n => !isNaN(n));
+  const points = [];
+  for (let i = 0; i + 1 < numbers.length; i += 2) points.push([numbers[i], numbers[i + 1]]);
+  return points;
+};
+
+const readGeometry = (type, node) => {
+  switch (type) {
+    case 'rect': {
+      const width = number(node.getAttribute('width'));
+      const height = number(node.getAttribute('height'));
+      const rx = resolveLength(node.getAttribute('rx'), width);
+      const ry = resolveLength(node.getAttribute('ry'), height);
+      return {
+        x: number(node.getAttribute('x')),
+        y: number(node.getAttribute('y')),
+        width,
+        height,
+        radius: Math.min(rx ?? ry ?? 0, ry ?? rx ?? 0, width / 2, height / 2)
+      };
+    }
+    case 'circle':
+      return {
+        cx: number(node.getAttribute('cx')),
+        cy: number(node.getAttribute('cy')),
+        r: number(node.getAttribute('r'))
+      };
+    case 'line':
+      return {
+        x1: number(node.getAttribute('x1')),
+        y1: number(node.getAttribute('y1')),
+        x2: number(node.getAttribute('x2')),
+        y2: number(node.getAttribute('y2'))
+      };
+    case 'polygon':
+      return { points: parsePoints(node.getAttribute('points')) };
+    default:
+      return {
+        x: number(node.getAttribute('x')),
+        y: number(node.getAttribute('y')),
+        text: node.textContent
+      };
+  }
+};
+
+// 'none' and transparent paint draw nothing and take no pointer events
+export const isPainted = (paint) => paint && paint !== 'none' && paint !== 'transparent';
+
+// Axis-aligned box of a shape in its own coordinates; text is estimated from its length
+const getLocalBounds = (item) => {
+  const pad = isPainted(item.stroke) ? item.strokeWidth / 2 : 0;
+  switch (item.type) {
+    case 'rect':
+      return [item.x - pad, item.y - pad, item.x + item.width + pad, item.y + item.height + pad];
+    case 'circle':
+      return [item.cx - item.r - pad, item.cy - item.r - pad, item.cx + item.r + pad, item.cy + item.r + pad];
+    case 'line':
+      return [
+        Math.min(item.x1, item.x2) - pad, Math.min(item.y1, item.y2) - pad,
+        Math.max(item.x1, item.x2) + pad, Math.max(item.y1, item.y2) + pad
+      ];
+    case 'polygon': {
+      const xs = item.points.map(([x]) => x);
+      const ys = item.points.map(([, y]) => y);
+      if (xs.length === 0) return [0, 0, 0, 0];
+      return [Math.min(...xs) - pad, Math.min(...ys) - pad, Math.max(...xs) + pad, Math.max(...ys) + pad];
+    }
+    default: {
+      const width = item.fontSize * 0.6 * item.text.length;
+      return [item.x - width, item.y - item.fontSize * 1.5, item.x + width, item.y + item.fontSize * 1.5];
+    }
+  }
+};
+
+const isHidden = (node) => readProperty(node, 'display') === 'none' || readProperty(node, 'visibility') === 'hidden';
+
+const resolveStyle = (node, inherited) => {
+  const style = { ...inherited };
+  INHERITED.forEach(name => {
+    const value = readProperty(node, name);
+    if (value !== null && value !== '') style[name] = value;
+  });
+  return style;
+};
+
+// Reads one shape given the style, transform and opacity its groups pass down. Returns null
+// when it paints nothing (hidden or fully transparent).
+const readItem = (node, type, inherited, transform, groupOpacity) => {
+  if (isHidden(node)) return null;
+
+  const style = resolveStyle(node, inherited);
+  const alpha = groupOpacity * opacity(readProperty(node, 'opacity'));
+  if (alpha <= 0) return null;
+
+  const item = {
+    type,
+    node,
+    transform,
+    inherited,
+    groupOpacity,
+    ...readGeometry(type, node),
+    fill: style.fill,
+    fillOpacity: alpha * opacity(style['fill-opacity']),
+    stroke: style.stroke,
+    strokeOpacity: alpha * opacity(style['stroke-opacity']),
+    strokeWidth: number(style['stroke-width'], 1),
+    dash: style['stroke-dasharray'] && style['stroke-dasharray'] !== 'none'
+      ? style['stroke-dasharray'].split(/[\s,]+/).map(Number).filter(n => !isNaN(n))
+      : [],
+    fontSize: number(style['font-size'], 16),
+    fontWeight: style['font-weight'] || 'normal',
+    textAnchor: style['text-anchor'] || 'start',
+    baseline: style['dominant-baseline'] || 'auto',
+    strokeFirst: (style['paint-order'] || '').trim().startsWith('stroke'),
+    interactive: style['pointer-events'] !== 'none' && type !== 'text'
+  };
+  const [x0, y0, x1, y1] = getLocalBounds(item);
+  item.bounds = [
+    transform.x + transform.k * x0, transform.y + transform.k * y0,
+    transform.x + transform.k * x1, transform.y + transform.k * y1
+  ];
+  return item;
+};
+
+/**
+ * Shapes under `root` (its own transform excluded) in paint order. Each item carries its node,
+ * geometry, resolved style, the transform of its nested groups and `bounds` in root coordinates.
+ */
+export const collectScene = (root) => {
+  const items = [];
+
+  const visit = (node, inherited, transform, groupOpacity) => {
+    Array.from(node.children).forEach(child => {
+      const type = child.tagName.toLowerCase();
+
+      if (type === 'g') {
+        if (isHidden(child)) return;
+        const alpha = groupOpacity * opacity(readProperty(child, 'opacity'));
+        if (alpha <= 0) return;
+        visit(child, resolveStyle(child, inherited), composeTransforms(transform, parseTransform(child.getAttribute('transform'))), alpha);
+        return;
+      }
+      if (!SHAPES.includes(type)) return;
+
+      const item = readItem(child, type, inherited, transform, groupOpacity);
+      if (item) items.push(item);
+    });
+  };
+
+  visit(root, ROOT_STYLE, IDENTITY, 1);
+  return items;
+};
+
+/**
+ * Re-reads an item's own attributes after they changed, keeping what its groups pass down.
+ * Returns null when the shape no longer paints, which needs a full collectScene.
+ */
+export const refreshSceneItem = (item) => readItem(item.node, item.type, item.inherited, item.transform, item.groupOpacity);
+
+const distanceToSegment = (x, y, { x1, y1, x2, y2 }) => {
+  const dx = x2 - x1;
+  const dy = y2 - y1;
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared ? Math.max(0, Math.min(1, ((x - x1) * dx + (y - y1) * dy) / lengthSquared)) : 0;
+  return Math.hypot(x - (x1 + t * dx), y - (y1 + t * dy));
+};
+
+// Ray casting; agrees with SVG's nonzero fill rule for polygons that do not cross themselves
+const isInsidePolygon = (points, x, y) => {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const [xi, yi] = points[i];
+    const [xj, yj] = points[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+};
+
+// Like SVG's default pointer-events: painted fill or stroke areas only
+const containsPoint = (item, x, y) => {
+  const halfStroke = isPainted(item.stroke) ? item.strokeWidth / 2 : 0;
+  switch (item.type) {
+    case 'rect': {
+      const inside = x >= item.x - halfStroke && x <= item.x + item.width + halfStroke
+        && y >= item.y - halfStroke && y <= item.y + item.height + halfStroke;
+      if (!inside || isPainted(item.fill)) return inside;
+      return x <= item.x + halfStroke || x >= item.x + item.width - halfStroke
+        || y <= item.y + halfStroke || y >= item.y + item.height - halfStroke;
+    }
+    case 'circle': {
+      const distance = Math.hypot(x - item.cx, y - item.cy);
+      return isPainted(item.fill) ? distance <= item.r + halfStroke : Math.abs(distance - item.r) <= halfStroke;
+    }
+    case 'line':
+      return halfStroke > 0 && distanceToSegment(x, y, item) <= halfStroke;
+    case 'polygon': {
+      const { points } = item;
+      const onOutline = halfStroke > 0 && points.some(([x1, y1], i) => {
+        const [x2, y2] = points[(i + 1) % points.length];
+        return distanceToSegment(x, y, { x1, y1, x2, y2 }) <= halfStroke;
+      });
+      return onOutline || (isPainted(item.fill) && isInsidePolygon(points, x, y));
+    }
+    default:
+      return false;
+  }
+};
+
+// Topmost interactive shape at a point in root coordinates, or null
+export const hitTest = (items, x, y) => {
+  for (let i = items.length - 1; i >= 0; i--) {
+    const item = items[i];
+    if (!item.interactive) continue;
+    const [x0, y0, x1, y1] = item.bounds;
+    if (x < x0 || x > x1 || y < y0 || y > y1) continue;
+    const [localX, localY] = invertPoint(item.transform, x, y);
+    if (containsPoint(item, localX, localY)) return item;
+  }
+  return null;
+};
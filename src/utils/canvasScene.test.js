@@ -0,0 +1,72 @@
+import { collectScene, refreshSceneItem, hitTest, parseTransform } from './canvasScene';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+const element = (parent, tag, attrs = {}) => {
+  const node = document.createElementNS(SVG_NS, tag);
+  Object.entries(attrs).forEach(([name, value]) => node.setAttribute(name, value));
+  parent.appendChild(node);
+  return node;
+};
+
+const buildRoot = () => {
+  const root = document.createElementNS(SVG_NS, 'g');
+  const lanes = element(root, 'g', { stroke: '#6e7980', 'stroke-width': '2px' });
+  element(lanes, 'line', { x1: 0, y1: 0, x2: 100, y2: 0 });
+  element(root, 'rect', { id: 'a', x: 0, y: 0, width: 15, height: 15, rx: 15, fill: '#cccccc' });
+  const labels = element(root, 'g', { transform: 'translate(10,20) scale(2)' });
+  labels.style.setProperty('pointer-events', 'none');
+  element(labels, 'circle', { cx: 0, cy: 0, r: 5, fill: 'red' });
+  element(root, 'rect', { x: 50, y: 50, width: 10, height: 10, display: 'none' });
+  return root;
+};
+
+test('collects shapes in paint order with inherited styles', () => {
+  const scene = collectScene(buildRoot());
+
+  expect(scene.map(item => item.type)).toEqual(['line', 'rect', 'circle']);
+  expect(scene[0]).toMatchObject({ stroke: '#6e7980', strokeWidth: 2, interactive: true });
+  expect(scene[1]).toMatchObject({ radius: 7.5, fill: '#cccccc', stroke: 'none' });
+  expect(scene[2]).toMatchObject({ interactive: false, transform: { x: 10, y: 20, k: 2 } });
+  expect(scene[2].bounds).toEqual([0, 10, 20, 30]);
+});
+
+test('hit-tests the topmost interactive shape', () => {
+  const scene = collectScene(buildRoot());
+
+  expect(hitTest(scene, 7, 7).node.id).toBe('a');
+  expect(hitTest(scene, 60, 0.5).type).toBe('line');
+  expect(hitTest(scene, 60, 5)).toBeNull();
+  // The circle sits on top of the rect but ignores the pointer
+  expect(hitTest(scene, 10, 14).node.id).toBe('a');
+});
+
+test('parses zoom transforms', () => {
+  expect(parseTransform('translate(12.5,-4) scale(3)')).toEqual({ x: 12.5, y: -4, k: 3 });
+  expect(parseTransform(null)).toEqual({ x: 0, y: 0, k: 1 });
+});
+
+test('reads polygon points and hit-tests their fill', () => {
+  const root = document.createElementNS(SVG_NS, 'g');
+  element(root, 'polygon', { points: '0,0 20,0 20,20 0,20', fill: '#2a2a2a', stroke: '#2e4b5b', 'stroke-width': 2 });
+  const [polygon] = collectScene(root);
+
+  expect(polygon.points).toEqual([[0, 0], [20, 0], [20, 20], [0, 20]]);
+  expect(polygon.bounds).toEqual([-1, -1, 21, 21]);
+  expect(hitTest([polygon], 10, 10)).toBe(polygon);
+  expect(hitTest([polygon], 20.5, 10)).toBe(polygon);
+  expect(hitTest([polygon], 10, 25)).toBeNull();
+});
+
+test('re-reads a changed shape with the style and transform of its groups', () => {
+  const root = buildRoot();
+  const [line, rect] = collectScene(root);
+
+  line.node.setAttribute('x2', 50);
+  rect.node.setAttribute('fill-opacity', 0.5);
+  expect(refreshSceneItem(line)).toMatchObject({ x2: 50, stroke: '#6e7980', strokeWidth: 2 });
+  expect(refreshSceneItem(rect)).toMatchObject({ fill: '#cccccc', fillOpacity: 0.5 });
+
+  rect.node.setAttribute('display', 'none');
+  expect(refreshSceneItem(rect)).toBeNull();
+});
@@ -0,0 +1,110 @@
+import { ENVIRONMENT_RANGES } from '../constants/searchDefaults';
+import { FACILITIES } from '../constants/facilities';
+import { getCurrentCogcProgram } from './queryUtils';
+import { WORKFORCE_TIERS } from './workforceUtils';
+
+// Side-by-side rows for the planet comparison drawer.
+
+// Distance outside the range that needs no extra building materials (0 inside it)
+const environmentDeviation = (value, { low, high }) => {
+  if (value < low) return low - value;
+  if (value > high) return value - high;
+  return 0;
+};
+
+// Indices of the best values, or none when every planet ties (nothing stands out).
+// `better` is 'max' or 'min'; null values (no data) never win but do not tie either.
+export const pickBest = (values, better) => {
+  if (!better) return [];
+  const present = values.filter(value => value !== null && value !== undefined);
+  if (present.length === 0) return [];
+  const best = better === 'max' ? Math.max(...present) : Math.min(...present);
+  if (values.every(value => value === best)) return [];
+  return values.reduce((indices, value, index) => (value === best ? [...indices, index] : indices), []);
+};
+
+const row = (section, key, label, values, display, better) => ({
+  section,
+  key,
+  label,
+  display,
+  best: pickBest(values, better)
+});
+
+const formatNumber = (value, digits) => (value === null || value === undefined ? '–' : value.toFixed(digits));
+
+/**
+ * Rows of { section, key, label, display[], best[] } for the pinned planets, one display value
+ * per planet and the indices of the best ones in `best`.
+ * ctx: { getPlanetTier(planet), materials (MaterialId -> material), plotsData, populationData }
+ */
+export const buildComparisonRows = (planets, ctx) => {
+  const rows = [];
+
+  ['gravity', 'temperature', 'pressure'].forEach(key => {
+    const range = ENVIRONMENT_RANGES[key];
+    const values = planets.map(planet => planet[range.planetKey]);
+    rows.push(row(
+      'Environment', key, `${range.label} (${range.unit})`,
+      values.map(value => environmentDeviation(value, range)),
+      values.map(value => formatNumber(value, range.step < 1 ? 2 : 0)),
+      'min'
+    ));
+  });
+  const fertility = planets.map(planet => (planet.Fertility > ENVIRONMENT_RANGES.fertility.minValue ? planet.Fertility : null));
+  rows.push(row('Environment', 'fertility', 'Fertility', fertility, fertility.map(value => (value === null ? 'Infertile' : formatNumber(value, 2))), 'max'));
+
+  const tiers = planets.map(planet => ctx.getPlanetTier(planet));
+  rows.push(row('Buildings', 'tier', 'Planet Tier', tiers, tiers.map(tier => `${tier}★`), 'max'));
+  const requirements = planets.map(planet => Array.from(new Set(
+    (planet.BuildRequirements || []).map(requirement => requirement.MaterialTicker).filter(Boolean)
+  )));
+  rows.push(row(
+    'Buildings', 'requirements', 'Build Requirements',
+    requirements.map(tickers => tickers.length),
+    requirements.map(tickers => tickers.join(' ') || '–'),
+    'min'
+  ));
+  const plots = planets.map(planet => ctx.plotsData?.[planet.PlanetNaturalId] ?? null);
+  rows.push(row('Buildings', 'plots', 'Available Plots', plots, plots.map(value => (value === null ? '–' : String(value))), 'max'));
+
+  const materialIds = Array.from(new Set(planets.flatMap(planet => (planet.Resources || []).map(resource => resource.MaterialId))));
+  materialIds
+    .map(materialId => ({ materialId, ticker: ctx.materials[materialId]?.Ticker || materialId }))
+    .sort((a, b) => a.ticker.localeCompare(b.ticker))
+    .forEach(({ materialId, ticker }) => {
+      const factors = planets.map(planet =>
+        (planet.Resources || []).find(resource => resource.MaterialId === materialId)?.Factor ?? null);
+      rows.push(row(
+        'Resources', `resource-${materialId}`, ticker, factors,
+        factors.map(factor => (factor === null ? '–' : `${(factor * 100).toFixed(2)}%`)),
+        'max'
+      ));
+    });
+
+  WORKFORCE_TIERS.forEach(tier => {
+    const workforce = planets.map(planet => ctx.populationData?.[planet.PlanetNaturalId]?.Workforce?.[tier] || null);
+    rows.push(row(
+      'Workforce', `workforce-${tier}`, `${tier}s (free / open)`,
+      workforce.map(data => (data ? (data.Unemployed || 0) - (data.OpenJobs || 0) : null)),
+      workforce.map(data => (data ? `${data.Unemployed || 0} / ${data.OpenJobs || 0}` : '–')),
+      'max'
+    ));
+  });
+
+  FACILITIES.forEach(facility => {
+    const present = planets.map(planet => (planet[facility.key] ? 1 : 0));
+    rows.push(row('Facilities', facility.key, facility.label, present, present.map(value => (value ? '✓' : '–')), 'max'));
+  });
+
+  const programs = planets.map(planet => (planet.HasChamberOfCommerce ? getCurrentCogcProgram(planet) : null));
+  rows.push(row(
+    'Facilities', 'cogc', 'CoGC Program', programs,
+    programs.map(program => (program
+      ? program.replace(/^ADVERTISING_/, '').split('_').map(word => word.charAt(0) + word.slice(1).toLowerCase()).join(' ')
+      : '–')),
+    null
+  ));
+
+  return rows;
+};
@@ -0,0 +1,69 @@
+import { buildComparisonRows, pickBest } from './comparisonUtils';
+
+const planet = (id, overrides) => ({
+  PlanetNaturalId: id,
+  Gravity: 1,
+  Temperature: 20,
+  Pressure: 1,
+  Fertility: -1,
+  Resources: [],
+  BuildRequirements: [],
+  COGCPrograms: [],
+  ...overrides
+});
+
+const planets = [
+  planet('A', {
+    Gravity: 3,
+    Fertility: 0.2,
+    Resources: [{ MaterialId: 'feo', Factor: 0.3 }],
+    BuildRequirements: [{ MaterialTicker: 'MCG' }, { MaterialTicker: 'BL' }],
+    HasLocalMarket: true
+  }),
+  planet('B', {
+    Gravity: 0.2,
+    Resources: [{ MaterialId: 'feo', Factor: 0.1 }, { MaterialId: 'h2o', Factor: 0.5 }],
+    BuildRequirements: [{ MaterialTicker: 'MCG' }, { MaterialTicker: 'MGC' }],
+    HasLocalMarket: true,
+    HasChamberOfCommerce: true,
+    COGCPrograms: [{ ProgramType: 'ADVERTISING_RESOURCE_EXTRACTION', StartEpochMs: 1 }]
+  })
+];
+
+const ctx = {
+  getPlanetTier: p => (p.PlanetNaturalId === 'A' ? 2 : 1),
+  materials: { feo: { Ticker: 'FEO' }, h2o: { Ticker: 'H2O' } },
+  plotsData: { A: 4 },
+  populationData: { B: { Workforce: { Pioneer: { Unemployed: 20, OpenJobs: 5 } } } }
+};
+
+const byKey = rows => Object.fromEntries(rows.map(r => [r.key, r]));
+
+test('picks the best indices and skips ties', () => {
+  expect(pickBest([1, 3, 3], 'max')).toEqual([1, 2]);
+  expect(pickBest([2, null, 1], 'min')).toEqual([2]);
+  expect(pickBest([2, 2], 'max')).toEqual([]);
+  expect(pickBest([5, null], 'max')).toEqual([0]);
+  expect(pickBest([null, null], 'max')).toEqual([]);
+  expect(pickBest([1, 2], null)).toEqual([]);
+});
+
+test('builds one value per planet and highlights the best', () => {
+  const rows = byKey(buildComparisonRows(planets, ctx));
+
+  // 0.05g below the low cutoff beats 0.5g above the high one
+  expect(rows.gravity.display).toEqual(['3.00', '0.20']);
+  expect(rows.gravity.best).toEqual([1]);
+  expect(rows.temperature.best).toEqual([]);
+  expect(rows.fertility.display).toEqual(['0.20', 'Infertile']);
+  expect(rows.fertility.best).toEqual([0]);
+  expect(rows.tier.best).toEqual([0]);
+  expect(rows.requirements.display).toEqual(['MCG BL', 'MCG MGC']);
+  expect(rows.plots.display).toEqual(['4', '–']);
+  expect(rows['resource-feo'].best).toEqual([0]);
+  expect(rows['resource-h2o'].display).toEqual(['–', '50.00%']);
+  expect(rows['workforce-Pioneer'].display).toEqual(['–', '20 / 5']);
+  expect(rows.HasLocalMarket.best).toEqual([]);
+  expect(rows.HasChamberOfCommerce.best).toEqual([1]);
+  expect(rows.cogc.display).toEqual(['–', 'Resource Extraction']);
+});
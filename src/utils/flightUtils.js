@@ -0,0 +1,59 @@
+// Flight time and fuel estimates for a route, driven by a ship profile.
+//
+// Model: every FTL hop costs a fixed jump time plus its parsec distance / FTL speed, and burns
+// FTL fuel (FF) per parsec. Gateway hops only cost the jump time. Each route leg adds two STL
+// legs (departure from the origin planet, arrival at the destination planet), each with a fixed
+// duration and STL fuel (SF) burn.
+
+/**
+ * @param legs [{ path: [systemId, ...], gatewayHops: [[a, b], ...] }], e.g. route.legs
+ * @param adjacency hyperlane adjacency ({ a: { b: parsecs } }) from the graph service
+ * @param profile ship profile (see config.shipProfiles.defaults)
+ */
+export const estimateFlight = (legs, adjacency, profile) => {
+  let ftlJumps = 0;
+  let gatewayJumps = 0;
+  let parsecs = 0;
+  let stlLegs = 0;
+
+  legs.forEach(({ path, gatewayHops = [] }) => {
+    if (path.length === 0) return;
+    const gatewayHopKeys = new Set(gatewayHops.map(([a, b]) => `${a}-${b}`));
+
+    for (let i = 0; i < path.length - 1; i++) {
+      if (gatewayHopKeys.has(`${path[i]}-${path[i + 1]}`)) {
+        gatewayJumps++;
+      } else {
+        ftlJumps++;
+        parsecs += adjacency[path[i]]?.[path[i + 1]] || 0;
+      }
+    }
+    stlLegs += 2;
+  });
+
+  const ftlHours = ftlJumps * profile.ftlJumpHours + parsecs / profile.ftlSpeed;
+  const gatewayHours = gatewayJumps * profile.ftlJumpHours;
+  const stlHours = stlLegs * profile.stlLegHours;
+
+  return {
+    ftlJumps,
+    gatewayJumps,
+    parsecs,
+    stlLegs,
+    ftlHours: ftlHours + gatewayHours,
+    stlHours,
+    totalHours: ftlHours + gatewayHours + stlHours,
+    ftlFuel: parsecs * profile.ftlFuelPerParsec,
+    stlFuel: stlLegs * profile.stlFuelPerLeg
+  };
+};
+
+// Formats a duration in hours as e.g. "1d 4h 05m".
+export const formatFlightTime = (hours) => {
+  if (!isFinite(hours)) return '-';
+  const totalMinutes = Math.round(hours * 60);
+  const days = Math.floor(totalMinutes / 1440);
+  const h = Math.floor((totalMinutes % 1440) / 60);
+  const m = String(totalMinutes % 60).padStart(2, '0');
+  return days > 0 ? `${days}d ${h}h ${m}m` : `${h}h ${m}m`;
+};
@@ -0,0 +1,38 @@
+import { estimateFlight, formatFlightTime } from './flightUtils';
+
+const adjacency = {
+  A: { B: 10 },
+  B: { A: 10, C: 20 },
+  C: { B: 20 }
+};
+
+const profile = {
+  ftlSpeed: 10,
+  ftlJumpHours: 1,
+  ftlFuelPerParsec: 0.5,
+  stlLegHours: 2,
+  stlFuelPerLeg: 3
+};
+
+test('adds FTL hops, gateway hops and STL legs per route leg', () => {
+  const estimate = estimateFlight([
+    { path: ['A', 'B'], gatewayHops: [] },
+    { path: ['B', 'C', 'D'], gatewayHops: [['C', 'D']] }
+  ], adjacency, profile);
+
+  expect(estimate.ftlJumps).toBe(2);
+  expect(estimate.gatewayJumps).toBe(1);
+  expect(estimate.parsecs).toBe(30);
+  // FTL: 2 jumps + 30 pc / 10, gateway: 1 jump, STL: 4 legs * 2h
+  expect(estimate.ftlHours).toBe(6);
+  expect(estimate.stlHours).toBe(8);
+  expect(estimate.totalHours).toBe(14);
+  expect(estimate.ftlFuel).toBe(15);
+  expect(estimate.stlFuel).toBe(12);
+});
+
+test('formats flight times', () => {
+  expect(formatFlightTime(1.5)).toBe('1h 30m');
+  expect(formatFlightTime(26.25)).toBe('1d 2h 15m');
+  expect(formatFlightTime(Infinity)).toBe('-');
+});
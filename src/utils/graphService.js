@@ -0,0 +1,247 @@
+import { buildJumpIndex, computeJumpsFrom, UNREACHABLE } from './jumpUtils';
+
+// Shared, cached view of the hyperlane graph. The adjacency is built once per graph (and set of
+// extra edges), and shortest-path trees / jump counts are computed lazily per source and kept.
+
+const NO_EXTRA_EDGES = [];
+
+// Builds the undirected dijkstrajs-style adjacency object from graph.edges, weighted by parsecs.
+// Optional extraEdges (e.g. gateway links) are merged in, keeping the cheaper weight per pair.
+export const buildAdjacency = (graph, extraEdges = NO_EXTRA_EDGES) => {
+  const graphNodes = {};
+  [...(graph?.edges || []), ...extraEdges].forEach(edge => {
+    if (!graphNodes[edge.start]) graphNodes[edge.start] = {};
+    if (!graphNodes[edge.end]) graphNodes[edge.end] = {};
+    const current = graphNodes[edge.start][edge.end];
+    if (current !== undefined && current <= edge.distance) return;
+    graphNodes[edge.start][edge.end] = edge.distance;
+    graphNodes[edge.end][edge.start] = edge.distance;
+  });
+  return graphNodes;
+};
+
+// Sums the edge weights along a node path.
+export const getPathDistance = (graphNodes, path) => {
+  return path.reduce((sum, node, i) =>
+    i < path.length - 1 ? sum + graphNodes[node][path[i + 1]] : sum, 0);
+};
+
+// Minimal binary min-heap of [priority, node] pairs for Dijkstra.
+const heapPush = (heap, item) => {
+  heap.push(item);
+  let i = heap.length - 1;
+  while (i > 0) {
+    const parent = (i - 1) >> 1;
+    if (heap[parent][0] <= heap[i][0]) break;
+    [heap[parent], heap[i]] = [heap[i], heap[parent]];
+    i = parent;
+  }
+};
+
+const heapPop = (heap) => {
+  const top = heap[0];
+  const last = heap.pop();
+  if (heap.length > 0) {
+    heap[0] = last;
+    let i = 0;
+    for (;;) {
+      const left = 2 * i + 1;
+      const right = left + 1;
+      let smallest = i;
+      if (left < heap.length && heap[left][0] < heap[smallest][0]) smallest = left;
+      if (right < heap.length && heap[right][0] < heap[smallest][0]) smallest = right;
+      if (smallest === i) break;
+      [heap[smallest], heap[i]] = [heap[i], heap[smallest]];
+      i = smallest;
+    }
+  }
+  return top;
+};
+
+// Dijkstra from `source` over indexed, weighted neighbour lists.
+// Returns { distance: Float64Array, previous: Int32Array } aligned with the index.
+const computeShortestPathTree = (weightedNeighbors, source) => {
+  const n = weightedNeighbors.length;
+  const distance = new Float64Array(n).fill(Infinity);
+  const previous = new Int32Array(n).fill(-1);
+  const heap = [];
+
+  distance[source] = 0;
+  heapPush(heap, [0, source]);
+
+  while (heap.length > 0) {
+    const [d, u] = heapPop(heap);
+    if (d > distance[u]) continue;
+    for (const [v, weight] of weightedNeighbors[u]) {
+      const next = d + weight;
+      if (next < distance[v]) {
+        distance[v] = next;
+        previous[v] = u;
+        heapPush(heap, [next, v]);
+      }
+    }
+  }
+
+  return { distance, previous };
+};
+
+// Single-pair Dijkstra that skips blocked nodes and blocked directed edges ('u-v' index keys).
+// Returns { nodes, distance } with indices, or null when the target cannot be reached.
+const findConstrainedPath = (weightedNeighbors, source, target, blockedNodes, blockedEdges) => {
+  const n = weightedNeighbors.length;
+  const distance = new Float64Array(n).fill(Infinity);
+  const previous = new Int32Array(n).fill(-1);
+  const heap = [];
+
+  distance[source] = 0;
+  heapPush(heap, [0, source]);
+
+  while (heap.length > 0) {
+    const [d, u] = heapPop(heap);
+    if (u === target) break;
+    if (d > distance[u]) continue;
+    for (const [v, weight] of weightedNeighbors[u]) {
+      if (blockedNodes.has(v) || blockedEdges.has(`${u}-${v}`)) continue;
+      const next = d + weight;
+      if (next < distance[v]) {
+        distance[v] = next;
+        previous[v] = u;
+        heapPush(heap, [next, v]);
+      }
+    }
+  }
+
+  if (distance[target] === Infinity) return null;
+  const nodes = [];
+  for (let node = target; node !== -1; node = previous[node]) nodes.push(node);
+  return { nodes: nodes.reverse(), distance: distance[target] };
+};
+
+const createGraphService = (graph, extraEdges) => {
+  const adjacency = buildAdjacency(graph, extraEdges);
+  const jumpIndex = buildJumpIndex(graph, extraEdges);
+  const { ids, index } = jumpIndex;
+  const weightedNeighbors = ids.map(id =>
+    Object.entries(adjacency[id] || {})
+      .filter(([neighborId]) => index.has(neighborId))
+      .map(([neighborId, weight]) => [index.get(neighborId), weight]));
+
+  const treeCache = new Map();
+  const jumpsCache = new Map();
+
+  const getShortestPathTree = (sourceId) => {
+    const source = index.get(sourceId);
+    if (source === undefined) return null;
+    if (!treeCache.has(source)) {
+      treeCache.set(source, computeShortestPathTree(weightedNeighbors, source));
+    }
+    return treeCache.get(source);
+  };
+
+  /**
+   * Up to k loopless shortest paths by parsecs (Yen's algorithm), shortest first.
+   * Systems in avoidIds are never passed through; the endpoints themselves are always allowed.
+   * Returns arrays of system ids; empty when there is no connection at all.
+   */
+  const findKShortestPaths = (sourceId, targetId, k, avoidIds = []) => {
+    const source = index.get(sourceId);
+    const target = index.get(targetId);
+    if (source === undefined || target === undefined || k < 1) return [];
+
+    const avoided = new Set(avoidIds
+      .map(id => index.get(id))
+      .filter(i => i !== undefined && i !== source && i !== target));
+
+    const first = findConstrainedPath(weightedNeighbors, source, target, avoided, new Set());
+    if (!first) return [];
+
+    const found = [{ ...first, key: first.nodes.join(',') }];
+    const candidates = [];
+
+    while (found.length < k) {
+      const previousPath = found[found.length - 1].nodes;
+
+      for (let i = 0; i < previousPath.length - 1; i++) {
+        const rootPath = previousPath.slice(0, i + 1);
+
+        // Block the next hop of every known path sharing this root, and the root itself
+        const blockedEdges = new Set();
+        found.forEach(({ nodes }) => {
+          if (rootPath.every((node, j) => nodes[j] === node)) blockedEdges.add(`${nodes[i]}-${nodes[i + 1]}`);
+        });
+        const blockedNodes = new Set([...avoided, ...rootPath.slice(0, -1)]);
+
+        const spurPath = findConstrainedPath(weightedNeighbors, previousPath[i], target, blockedNodes, blockedEdges);
+        if (!spurPath) continue;
+
+        const nodes = [...rootPath.slice(0, -1), ...spurPath.nodes];
+        const key = nodes.join(',');
+        if (found.some(p => p.key === key) || candidates.some(p => p.key === key)) continue;
+
+        const rootDistance = getPathDistance(adjacency, rootPath.map(node => ids[node]));
+        candidates.push({ nodes, key, distance: rootDistance + spurPath.distance });
+      }
+
+      if (candidates.length === 0) break;
+      candidates.sort((a, b) => a.distance - b.distance);
+      found.push(candidates.shift());
+    }
+
+    return found.map(({ nodes }) => nodes.map(node => ids[node]));
+  };
+
+  // Shortest path by parsecs as a list of system ids, or null when there is no connection.
+  // Avoiding systems bypasses the per-source cache.
+  const findPath = (sourceId, targetId, avoidIds = []) => {
+    if (avoidIds.length > 0) return findKShortestPaths(sourceId, targetId, 1, avoidIds)[0] || null;
+
+    const tree = getShortestPathTree(sourceId);
+    const target = index.get(targetId);
+    if (!tree || target === undefined || tree.distance[target] === Infinity) return null;
+
+    const path = [];
+    for (let node = target; node !== -1; node = tree.previous[node]) {
+      path.push(ids[node]);
+    }
+    return path.reverse();
+  };
+
+  // Shortest path length in parsecs, Infinity when unreachable.
+  const getDistance = (sourceId, targetId) => {
+    const tree = getShortestPathTree(sourceId);
+    const target = index.get(targetId);
+    if (!tree || target === undefined) return Infinity;
+    return tree.distance[target];
+  };
+
+  // Jump counts from a system to every indexed system (Uint16Array aligned with jumpIndex.ids).
+  const getJumpsFrom = (sourceId) => {
+    if (!jumpsCache.has(sourceId)) {
+      jumpsCache.set(sourceId, computeJumpsFrom(jumpIndex, sourceId));
+    }
+    return jumpsCache.get(sourceId);
+  };
+
+  // Fewest jumps between two systems, Infinity when unreachable.
+  const getJumps = (sourceId, targetId) => {
+    const target = index.get(targetId);
+    if (target === undefined) return Infinity;
+    const jumps = getJumpsFrom(sourceId)[target];
+    return jumps === UNREACHABLE ? Infinity : jumps;
+  };
+
+  return { adjacency, jumpIndex, getShortestPathTree, findPath, findKShortestPaths, getDistance, getJumpsFrom, getJumps };
+};
+
+const serviceCache = new WeakMap();
+
+/**
+ * Returns the cached graph service for a graph plus an optional array of extra edges.
+ * Services are keyed by object identity, so pass memoized edge arrays to get cache hits.
+ */
+export const getGraphService = (graph, extraEdges = NO_EXTRA_EDGES) => {
+  if (!serviceCache.has(graph)) serviceCache.set(graph, new WeakMap());
+  const byEdges = serviceCache.get(graph);
+  if (!byEdges.has(extraEdges)) byEdges.set(extraEdges, createGraphService(graph, extraEdges));
+  return byEdges.get(extraEdges);
+};
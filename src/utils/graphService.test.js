@@ -0,0 +1,39 @@
+import { getGraphService } from './graphService';
+
+// A - B - C with a long direct A - C lane, D isolated
+const graph = {
+  systems: { rect1: {}, A: {}, B: {}, C: {}, D: {} },
+  edges: [
+    { start: 'A', end: 'B', distance: 2 },
+    { start: 'B', end: 'C', distance: 3 },
+    { start: 'A', end: 'C', distance: 10 }
+  ]
+};
+
+test('finds shortest paths by parsecs and jumps by hops', () => {
+  const service = getGraphService(graph);
+
+  expect(service.findPath('A', 'C')).toEqual(['A', 'B', 'C']);
+  expect(service.getDistance('A', 'C')).toBe(5);
+  expect(service.getJumps('A', 'C')).toBe(1);
+  expect(service.findPath('A', 'D')).toBeNull();
+  expect(service.getDistance('A', 'D')).toBe(Infinity);
+  expect(service.getJumps('A', 'D')).toBe(Infinity);
+});
+
+test('caches services per graph and extra edge array', () => {
+  const extraEdges = [{ start: 'C', end: 'D', distance: 1 }];
+
+  expect(getGraphService(graph)).toBe(getGraphService(graph));
+  expect(getGraphService(graph, extraEdges)).toBe(getGraphService(graph, extraEdges));
+  expect(getGraphService(graph, extraEdges)).not.toBe(getGraphService(graph));
+  expect(getGraphService(graph, extraEdges).findPath('A', 'D')).toEqual(['A', 'B', 'C', 'D']);
+});
+
+test('lists alternative paths shortest first and honours avoided systems', () => {
+  const service = getGraphService(graph);
+
+  expect(service.findKShortestPaths('A', 'C', 3)).toEqual([['A', 'B', 'C'], ['A', 'C']]);
+  expect(service.findPath('A', 'C', ['B'])).toEqual(['A', 'C']);
+  expect(service.findKShortestPaths('A', 'B', 2, ['A', 'B'])).toEqual([['A', 'B'], ['A', 'C', 'B']]);
+});
@@ -1,7 +1,9 @@
 import * as d3 from 'd3';
-import { find_path } from 'dijkstrajs';
 import { colors } from '../config/config';
 import { calculate3DDistance, getDistanceColor } from './distanceUtils';
+import { getGraphService } from './graphService';
+import { getEdgeKey } from './mapGeometry';
+import { selectSystems, selectHyperlanes } from './mapRenderer';
 import { MAP_MODES, GATEWAY_STRATEGIES } from '../contexts/MapModeContext';
 
 export const findShortestPath = (graph, system1, system2, highlightPath) => {
@@ -10,41 +12,53 @@ export const findShortestPath = (graph, system1, system2, highlightPath) => {
     return;
   }
 
-  const graphNodes = {};
-  graph.edges.forEach(edge => {
-    if (!graphNodes[edge.start]) graphNodes[edge.start] = {};
-    if (!graphNodes[edge.end]) graphNodes[edge.end] = {};
-    graphNodes[edge.start][edge.end] = edge.distance;
-    graphNodes[edge.end][edge.start] = edge.distance;
-  });
+  const path = getGraphService(graph).findPath(system1, system2);
+  if (!path) {
+    console.error('No path found between:', system1, system2);
+    return;
+  }
+  console.log('Found Path:', path)
+  highlightPath(path, system2);
+};
+
+// With alternatives, each one is drawn in its own color and the active one last so it stays
+// on top where they share hyperlanes.
+export const highlightRoute = (route, activeAlternative = 0) => {
+  resetGraphState(null, 'STANDARD', null, null);
 
-  try {
-    const path = find_path(graphNodes, system1, system2);
-    console.log('Found Path:', path)
-    highlightPath(path, system2);
-  } catch (error) {
-    console.error('Error finding path:', error);
+  if (route.alternatives.length > 1) {
+    const drawAlternative = (index) => {
+      const { path, gatewayHops } = route.alternatives[index];
+      const stroke = colors.routeAlternatives[index % colors.routeAlternatives.length];
+      highlightPathSegment(path, gatewayHops, stroke, stroke);
+    };
+    route.alternatives.forEach((_, index) => index !== activeAlternative && drawAlternative(index));
+    drawAlternative(activeAlternative);
+  } else {
+    route.legs.forEach(leg => highlightPathSegment(leg.path, leg.gatewayHops));
   }
+
+  route.waypoints.forEach(systemId => {
+    highlightSelectedSystem(null, systemId, route.waypoints);
+  });
 };
 
+const selectMap = () => d3.select('#map-container svg');
+
 export const resetGraphState = (nextSelectedSystem, activeMode, gatewayData, universeData) => {
-  const svg = d3.select('#map-container svg');
+  const svg = selectMap();
+
+  svg.selectAll('.route-gateway-hop').remove();
 
   if (activeMode === MAP_MODES.GATEWAY) {
       renderGatewayVisuals(svg, gatewayData, universeData);
       return;
   }
 
-  svg.selectAll('rect').each(function() {
+  selectSystems(svg).each(function(system) {
     const node = d3.select(this);
-    const systemId = node.attr('id');
-    
-    if (systemId !== 'rect1'
-      && systemId !== nextSelectedSystem
-      && !node.classed('search-highlight')
-      && !node.classed('cogc-overlay-rect')
-      && !node.classed('data-overlay')
-      ) {
+
+    if (system.id !== nextSelectedSystem && !node.classed('search-highlight')) {
       node
         .attr('fill', colors.resetSystemFill)
         .attr('fill-opacity', colors.resetSystemFillOpacity)
@@ -59,11 +73,9 @@ export const resetGraphState = (nextSelectedSystem, activeMode, gatewayData, uni
     }
   });
 
-  svg.selectAll('path').each(function() {
-    d3.select(this)
-      .attr('stroke', colors.resetPathStroke)
-      .attr('stroke-width', colors.resetPathStrokeWidth);
-  });
+  svg.selectAll('line.hyperlane')
+    .attr('stroke', colors.resetPathStroke)
+    .attr('stroke-width', colors.resetPathStrokeWidth);
 };
 
 export const renderGatewayVisuals = (svg, gatewayData, universeData) => {
@@ -89,10 +101,9 @@ export const renderGatewayVisuals = (svg, gatewayData, universeData) => {
         });
     }
 
-    svg.selectAll('rect').each(function() {
+    selectSystems(svg).each(function(system) {
         const node = d3.select(this);
-        const systemId = node.attr('id');
-        if (systemId === 'rect1') return;
+        const systemId = system.id;
 
         const systemData = universeData[systemId] ? universeData[systemId][0] : null;
         if (!systemData) return;
@@ -146,25 +157,9 @@ export const renderGatewayVisuals = (svg, gatewayData, universeData) => {
 };
 
 export const highlightPath = (path, systemSelected) => {
-  resetGraphState(systemSelected, 'STANDARD', null, null); 
+  resetGraphState(systemSelected, 'STANDARD', null, null);
 
-  path.forEach(system => {
-    const systemNode = d3.select(`#${CSS.escape(system)}`);
-    if (!systemNode.classed('search-highlight')) {
-      systemNode
-        .attr('fill', colors.systemFill)
-        .attr('stroke', colors.systemStroke);
-    }
-  });
-
-  for (let i = 0; i < path.length - 1; i++) {
-    const start = path[i];
-    const end = path[i + 1];
-
-    d3.selectAll(`path[id*="${start}"][id*="${end}"], path[id*="${end}"][id*="${start}"]`)
-      .attr('stroke', colors.pathStroke)
-      .attr('stroke-width', colors.pathStrokeWidth);
-  }
+  highlightPathSegment(path);
 
   if (path.length >= 2) {
     const startSystem = path[0];
@@ -174,13 +169,70 @@ export const highlightPath = (path, systemSelected) => {
   }
 };
 
+// Colors the systems and hyperlanes of a path without resetting the rest of the map.
+// Gateway hops have no hyperlane, so they are drawn as separate lines in their own color.
+export const highlightPathSegment = (path, gatewayHops = [], stroke = colors.pathStroke, gatewayStroke = colors.gatewayPathStroke) => {
+  const gatewayHopKeys = new Set(gatewayHops.map(([a, b]) => getEdgeKey(a, b)));
+
+  const svg = selectMap();
+
+  selectSystems(svg, path)
+    .filter(function() { return !d3.select(this).classed('search-highlight'); })
+    .attr('fill', colors.systemFill)
+    .attr('stroke', colors.systemStroke);
+
+  const laneKeys = new Set();
+  for (let i = 0; i < path.length - 1; i++) {
+    const key = getEdgeKey(path[i], path[i + 1]);
+    if (gatewayHopKeys.has(key)) {
+      drawGatewayHop(path[i], path[i + 1], gatewayStroke);
+    } else {
+      laneKeys.add(key);
+    }
+  }
+
+  selectHyperlanes(svg, laneKeys)
+    .attr('stroke', stroke)
+    .attr('stroke-width', colors.pathStrokeWidth);
+};
+
+// Center of a drawn system, read from the geometry bound to its marker
+const getSystemCenter = (systemId) => {
+  const node = selectSystems(selectMap(), [systemId]);
+  if (node.empty()) return null;
+  const { cx, cy } = node.datum();
+  return { x: cx, y: cy };
+};
+
+const drawGatewayHop = (start, end, stroke) => {
+  const from = getSystemCenter(start);
+  const to = getSystemCenter(end);
+  if (!from || !to) return;
+
+  selectMap().select('g').append('line')
+    .attr('class', 'route-gateway-hop')
+    .attr('x1', from.x).attr('y1', from.y)
+    .attr('x2', to.x).attr('y2', to.y)
+    .attr('stroke', stroke)
+    .attr('stroke-width', colors.gatewayPathStrokeWidth)
+    .attr('stroke-dasharray', '6,3')
+    .style('pointer-events', 'none');
+};
+
+// Outlines systems the route planner has been told to avoid.
+export const highlightAvoidedSystems = (systemIds) => {
+  selectSystems(selectMap(), systemIds)
+    .attr('stroke', colors.avoidedSystemStroke)
+    .attr('stroke-width', '2px');
+};
+
 export const highlightSelectedSystem = (prevSelectedSystem, nextSelectedSystem, pathfindingSelection, isPathfindingEnabled) => {
   if (pathfindingSelection.length < 2 && isPathfindingEnabled) {
     resetGraphState(nextSelectedSystem, 'STANDARD', null, null);
   }
 
   if (prevSelectedSystem && !pathfindingSelection.includes(prevSelectedSystem)) {
-    const prevSystemNode = d3.select(`#${CSS.escape(prevSelectedSystem)}`);
+    const prevSystemNode = selectSystems(selectMap(), [prevSelectedSystem]);
     if (!prevSystemNode.empty() && !prevSystemNode.classed('search-highlight')) {
       prevSystemNode
         .attr('fill', colors.resetSystemFill)
@@ -196,7 +248,7 @@ export const highlightSelectedSystem = (prevSelectedSystem, nextSelectedSystem,
   }
 
   if (nextSelectedSystem) {
-    const nextSystemNode = d3.select(`#${CSS.escape(nextSelectedSystem)}`);
+    const nextSystemNode = selectSystems(selectMap(), [nextSelectedSystem]);
     if (!nextSystemNode.empty() && !nextSystemNode.classed('search-highlight')) {
       nextSystemNode
         .attr('fill', colors.systemFill)
@@ -0,0 +1,161 @@
+// Jump-count (hop) analysis over the hyperlane graph, independent of parsec weights.
+
+export const UNREACHABLE = 0xffff;
+
+/**
+ * Indexes the systems of graph_data.json and builds neighbour lists from graph.edges
+ * plus any extra edges (e.g. gateway links). The background 'rect1' is skipped.
+ */
+export const buildJumpIndex = (graph, extraEdges = []) => {
+  const ids = Object.keys(graph?.systems || {}).filter(id => id !== 'rect1');
+  const index = new Map(ids.map((id, i) => [id, i]));
+  const neighbors = ids.map(() => []);
+
+  [...(graph?.edges || []), ...extraEdges].forEach(({ start, end }) => {
+    const a = index.get(start);
+    const b = index.get(end);
+    if (a === undefined || b === undefined) return;
+    neighbors[a].push(b);
+    neighbors[b].push(a);
+  });
+
+  return { ids, index, neighbors };
+};
+
+// Breadth-first search from `source`, writing jump counts into `dist` (pre-filled with UNREACHABLE).
+const bfsInto = (neighbors, source, dist, queue) => {
+  let head = 0;
+  let tail = 0;
+  dist[source] = 0;
+  queue[tail++] = source;
+
+  while (head < tail) {
+    const u = queue[head++];
+    const next = dist[u] + 1;
+    for (const v of neighbors[u]) {
+      if (dist[v] === UNREACHABLE) {
+        dist[v] = next;
+        queue[tail++] = v;
+      }
+    }
+  }
+};
+
+/**
+ * Jump counts from a single system to every indexed system.
+ * Returns a Uint16Array aligned with jumpIndex.ids.
+ */
+export const computeJumpsFrom = ({ ids, index, neighbors }, sourceId) => {
+  const dist = new Uint16Array(ids.length).fill(UNREACHABLE);
+  const source = index.get(sourceId);
+  if (source !== undefined) {
+    bfsInto(neighbors, source, dist, new Int32Array(ids.length));
+  }
+  return dist;
+};
+
+/**
+ * All-pairs jump counts via one BFS per system.
+ * Returns a flat n*n Uint16Array where [s * n + t] is the jump count from s to t.
+ */
+export const computeJumpMatrix = ({ ids, neighbors }) => {
+  const n = ids.length;
+  const dist = new Uint16Array(n * n).fill(UNREACHABLE);
+  const queue = new Int32Array(n);
+
+  for (let s = 0; s < n; s++) {
+    bfsInto(neighbors, s, dist.subarray(s * n, (s + 1) * n), queue);
+  }
+
+  return dist;
+};
+
+/**
+ * Compares two jump matrices built over the same index.
+ * Counts the unordered system pairs that got shorter, the average and maximum reduction,
+ * pairs that were unreachable before, and lists which of the given key systems
+ * (e.g. CX stations) moved closer to each other.
+ */
+export const compareJumpMatrices = (jumpIndex, before, after, keySystemIds = []) => {
+  const n = jumpIndex.ids.length;
+  let pairsImproved = 0;
+  let newlyConnected = 0;
+  let totalReduction = 0;
+  let maxReduction = 0;
+
+  for (let s = 0; s < n; s++) {
+    const row = s * n;
+    for (let t = s + 1; t < n; t++) {
+      const b = before[row + t];
+      const a = after[row + t];
+      if (a >= b) continue;
+      if (b === UNREACHABLE) {
+        newlyConnected++;
+        continue;
+      }
+      pairsImproved++;
+      totalReduction += b - a;
+      if (b - a > maxReduction) maxReduction = b - a;
+    }
+  }
+
+  const keyIndices = keySystemIds
+    .map(id => [id, jumpIndex.index.get(id)])
+    .filter(([, i]) => i !== undefined);
+
+  const keyPairs = [];
+  keyIndices.forEach(([idA, a], i) => {
+    keyIndices.slice(i + 1).forEach(([idB, b]) => {
+      const jumpsBefore = before[a * n + b];
+      const jumpsAfter = after[a * n + b];
+      if (jumpsAfter < jumpsBefore) {
+        keyPairs.push({
+          sourceId: idA,
+          targetId: idB,
+          before: jumpsBefore === UNREACHABLE ? Infinity : jumpsBefore,
+          after: jumpsAfter
+        });
+      }
+    });
+  });
+
+  return {
+    pairsImproved,
+    newlyConnected,
+    averageReduction: pairsImproved > 0 ? totalReduction / pairsImproved : 0,
+    maxReduction,
+    keyPairs
+  };
+};
+
+/**
+ * Network impact of each planned gateway on its own, plus all of them combined,
+ * measured against the current network (graph.edges + baseEdges).
+ */
+export const analyzeGatewayImpact = (graph, baseEdges, plannedEdges, keySystemIds = []) => {
+  const baseIndex = buildJumpIndex(graph, baseEdges);
+  const baseMatrix = computeJumpMatrix(baseIndex);
+
+  const impactWith = (edges) => {
+    const nextMatrix = computeJumpMatrix(buildJumpIndex(graph, [...baseEdges, ...edges]));
+    return compareJumpMatrices(baseIndex, baseMatrix, nextMatrix, keySystemIds);
+  };
+
+  return {
+    perGateway: plannedEdges.map(edge => ({ edge, ...impactWith([edge]) })),
+    combined: plannedEdges.length > 1 ? impactWith(plannedEdges) : null
+  };
+};
+
+// Jump range overlay buckets, keyed into colors.jumpRange
+export const JUMP_RANGE_BUCKETS = [
+  { key: 'within1', label: '0 - 1', maxJumps: 1 },
+  { key: 'within3', label: '2 - 3', maxJumps: 3 },
+  { key: 'within6', label: '4 - 6', maxJumps: 6 },
+  { key: 'beyond', label: '7+', maxJumps: Infinity }
+];
+
+export const getJumpRangeBucket = (jumps) => {
+  if (jumps === UNREACHABLE) return null;
+  return JUMP_RANGE_BUCKETS.find(bucket => jumps <= bucket.maxJumps).key;
+};
@@ -0,0 +1,66 @@
+import {
+  buildJumpIndex, computeJumpsFrom, computeJumpMatrix, compareJumpMatrices, analyzeGatewayImpact, getJumpRangeBucket, UNREACHABLE
+} from './jumpUtils';
+
+// A - B - C - D in a line, E isolated
+const graph = {
+  systems: { rect1: {}, A: {}, B: {}, C: {}, D: {}, E: {} },
+  edges: [
+    { start: 'A', end: 'B', distance: 1 },
+    { start: 'B', end: 'C', distance: 1 },
+    { start: 'C', end: 'D', distance: 1 }
+  ]
+};
+
+const jumps = (jumpIndex, matrix, a, b) =>
+  matrix[jumpIndex.index.get(a) * jumpIndex.ids.length + jumpIndex.index.get(b)];
+
+test('computes all-pairs jump counts and skips the background rect', () => {
+  const jumpIndex = buildJumpIndex(graph);
+  const matrix = computeJumpMatrix(jumpIndex);
+
+  expect(jumpIndex.ids).not.toContain('rect1');
+  expect(jumps(jumpIndex, matrix, 'A', 'D')).toBe(3);
+  expect(jumps(jumpIndex, matrix, 'D', 'B')).toBe(2);
+  expect(jumps(jumpIndex, matrix, 'A', 'E')).toBe(UNREACHABLE);
+});
+
+test('reports pairs shortened by an extra edge', () => {
+  const jumpIndex = buildJumpIndex(graph);
+  const before = computeJumpMatrix(jumpIndex);
+  const after = computeJumpMatrix(buildJumpIndex(graph, [{ start: 'A', end: 'D' }]));
+
+  const impact = compareJumpMatrices(jumpIndex, before, after, ['A', 'D']);
+
+  // A-D: 3 -> 1, A-C: 2 -> 2, B-D: 2 -> 2
+  expect(impact.pairsImproved).toBe(1);
+  expect(impact.maxReduction).toBe(2);
+  expect(impact.averageReduction).toBe(2);
+  expect(impact.keyPairs).toEqual([{ sourceId: 'A', targetId: 'D', before: 3, after: 1 }]);
+});
+
+test('counts newly connected pairs separately and combines planned edges', () => {
+  const planned = [{ start: 'D', end: 'E' }, { start: 'A', end: 'D' }];
+  const { perGateway, combined } = analyzeGatewayImpact(graph, [], planned);
+
+  expect(perGateway[0].newlyConnected).toBe(4);
+  expect(perGateway[0].pairsImproved).toBe(0);
+  expect(combined.newlyConnected).toBe(4);
+  expect(combined.pairsImproved).toBe(1);
+});
+
+test('computes jump counts from a single system', () => {
+  const jumpIndex = buildJumpIndex(graph);
+  const fromB = computeJumpsFrom(jumpIndex, 'B');
+
+  expect(jumpIndex.ids.map(id => fromB[jumpIndex.index.get(id)])).toEqual([1, 0, 1, 2, UNREACHABLE]);
+  expect(computeJumpsFrom(jumpIndex, 'missing').every(jumps => jumps === UNREACHABLE)).toBe(true);
+});
+
+test('buckets jump counts for the range overlay', () => {
+  expect(getJumpRangeBucket(0)).toBe('within1');
+  expect(getJumpRangeBucket(3)).toBe('within3');
+  expect(getJumpRangeBucket(4)).toBe('within6');
+  expect(getJumpRangeBucket(12)).toBe('beyond');
+  expect(getJumpRangeBucket(UNREACHABLE)).toBeNull();
+});
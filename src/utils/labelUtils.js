@@ -0,0 +1,139 @@
+import { labels as labelConfig } from '../config/config';
+
+// Zoom-dependent map labels. Candidates are ranked (CX, important systems, other systems,
+// search-hit planets) and placed greedily in screen space, so a label only shows when it
+// fits next to its system without touching a higher-ranked one.
+
+export const LABEL_KINDS = {
+  CX: 'cx',
+  IMPORTANT: 'important',
+  SYSTEM: 'system',
+  PLANET: 'planet'
+};
+
+const KIND_RANK = [LABEL_KINDS.CX, LABEL_KINDS.IMPORTANT, LABEL_KINDS.SYSTEM, LABEL_KINDS.PLANET];
+
+// Rough text width; labels use a plain sans-serif font
+const CHAR_WIDTH = 0.6;
+const GRID_CELL = 64;
+
+const fadeIn = (k, [start, end]) => Math.max(0, Math.min(1, (k - start) / (end - start)));
+
+// Opacity of a kind of label at zoom scale k (0 hides it)
+export const getLabelOpacity = (kind, k, config = labelConfig) => {
+  if (kind === LABEL_KINDS.SYSTEM) return fadeIn(k, config.systemFadeIn);
+  if (kind === LABEL_KINDS.PLANET) return fadeIn(k, config.planetFadeIn);
+  return 1;
+};
+
+/**
+ * Labels worth showing at zoom k, highest rank first. `planetLabels` maps a system id to the
+ * names of its search-hit planets.
+ */
+export const buildLabelCandidates = ({ systems, systemNames, cxIds, importantIds, planetLabels, k }, config = labelConfig) => {
+  const candidates = [];
+  const systemOpacity = getLabelOpacity(LABEL_KINDS.SYSTEM, k, config);
+  const planetOpacity = getLabelOpacity(LABEL_KINDS.PLANET, k, config);
+
+  systems.forEach(system => {
+    const kind = cxIds.has(system.id)
+      ? LABEL_KINDS.CX
+      : importantIds.has(system.id) ? LABEL_KINDS.IMPORTANT : LABEL_KINDS.SYSTEM;
+    const opacity = kind === LABEL_KINDS.SYSTEM ? systemOpacity : 1;
+    const text = systemNames[system.id];
+    if (opacity > 0 && text) candidates.push({ id: system.id, kind, text, system, opacity });
+
+    if (planetOpacity > 0) {
+      const names = planetLabels[system.id] || [];
+      names.forEach((name, index) => candidates.push({
+        id: `${system.id}:${name}`,
+        kind: LABEL_KINDS.PLANET,
+        text: name,
+        system,
+        opacity: planetOpacity,
+        row: index - (names.length - 1) / 2
+      }));
+    }
+  });
+
+  return candidates.sort((a, b) => KIND_RANK.indexOf(a.kind) - KIND_RANK.indexOf(b.kind));
+};
+
+// Screen boxes a label may take around its system, in order of preference
+const getPlacements = (candidate, scale, fontSize, width) => {
+  const { cx, cy, size } = candidate.system;
+  const x = cx * scale;
+  const y = cy * scale;
+  const gap = (size / 2) * scale + 2;
+  const right = { anchor: 'start', left: x + gap, top: y - fontSize / 2 };
+  const left = { anchor: 'end', left: x - gap - width, top: y - fontSize / 2 };
+
+  if (candidate.kind === LABEL_KINDS.PLANET) {
+    const shift = candidate.row * (fontSize + 1);
+    return [{ ...right, top: right.top + shift }, { ...left, top: left.top + shift }];
+  }
+  return [
+    { anchor: 'middle', left: x - width / 2, top: y + gap },
+    { anchor: 'middle', left: x - width / 2, top: y - gap - fontSize },
+    right,
+    left
+  ];
+};
+
+const cellsOf = ({ left, top, right, bottom }) => {
+  const cells = [];
+  for (let i = Math.floor(left / GRID_CELL); i <= Math.floor(right / GRID_CELL); i++) {
+    for (let j = Math.floor(top / GRID_CELL); j <= Math.floor(bottom / GRID_CELL); j++) {
+      cells.push(`${i},${j}`);
+    }
+  }
+  return cells;
+};
+
+const overlaps = (a, b) => a.left < b.right && b.left < a.right && a.top < b.bottom && b.top < a.bottom;
+
+/**
+ * Places candidates in rank order, dropping any that would overlap an earlier label. `scale` is
+ * screen pixels per map unit: the svg viewBox fit times the zoom k. Returned labels are in map
+ * units (x/y of the text anchor at its vertical middle, fontSize scaled by 1/scale).
+ */
+export const placeLabels = (candidates, scale, config = labelConfig) => {
+  const grid = new Map();
+  const placed = [];
+
+  candidates.forEach(candidate => {
+    const fontSize = config.fontSize[candidate.kind];
+    const width = candidate.text.length * fontSize * CHAR_WIDTH;
+
+    const placement = getPlacements(candidate, scale, fontSize, width).find(({ left, top }) => {
+      const box = {
+        left: left - config.padding,
+        top: top - config.padding,
+        right: left + width + config.padding,
+        bottom: top + fontSize + config.padding
+      };
+      return !cellsOf(box).some(cell => (grid.get(cell) || []).some(other => overlaps(box, other)));
+    });
+    if (!placement) return;
+
+    const box = { left: placement.left, top: placement.top, right: placement.left + width, bottom: placement.top + fontSize };
+    cellsOf(box).forEach(cell => {
+      if (!grid.has(cell)) grid.set(cell, []);
+      grid.get(cell).push(box);
+    });
+
+    const anchorX = placement.anchor === 'start' ? box.left : placement.anchor === 'end' ? box.right : box.left + width / 2;
+    placed.push({
+      id: candidate.id,
+      kind: candidate.kind,
+      text: candidate.text,
+      opacity: candidate.opacity,
+      anchor: placement.anchor,
+      x: anchorX / scale,
+      y: (box.top + fontSize / 2) / scale,
+      fontSize: fontSize / scale
+    });
+  });
+
+  return placed;
+};
@@ -0,0 +1,57 @@
+import { buildLabelCandidates, placeLabels, getLabelOpacity, LABEL_KINDS } from './labelUtils';
+import { getViewBoxTransform } from './mapGeometry';
+import { labels } from '../config/config';
+
+const config = {
+  fontSize: { cx: 10, important: 10, system: 10, planet: 10 },
+  systemFadeIn: [2, 4],
+  planetFadeIn: [6, 8],
+  padding: 0
+};
+
+const system = (id, cx, cy) => ({ id, cx, cy, size: 10 });
+
+const input = (k) => ({
+  systems: [system('a', 0, 0), system('b', 100, 0), system('c', 0, 200)],
+  systemNames: { a: 'Alpha', b: 'Beta', c: 'Gamma' },
+  cxIds: new Set(['b']),
+  importantIds: new Set(['c']),
+  planetLabels: { a: ['Alpha I', 'Alpha II'] },
+  k
+});
+
+test('fades system and planet labels in with zoom', () => {
+  expect(getLabelOpacity(LABEL_KINDS.CX, 1, config)).toBe(1);
+  expect(getLabelOpacity(LABEL_KINDS.SYSTEM, 3, config)).toBe(0.5);
+  expect(getLabelOpacity(LABEL_KINDS.PLANET, 3, config)).toBe(0);
+
+  const zoomedOut = buildLabelCandidates(input(1), config);
+  expect(zoomedOut.map(label => label.id)).toEqual(['b', 'c']);
+
+  const zoomedIn = buildLabelCandidates(input(8), config);
+  expect(zoomedIn.map(label => label.kind)).toEqual(['cx', 'important', 'system', 'planet', 'planet']);
+  expect(zoomedIn.find(label => label.id === 'a').opacity).toBe(1);
+});
+
+test('places labels below their system and skips collisions', () => {
+  const [label] = placeLabels([{ id: 'a', kind: 'system', text: 'Alpha', system: system('a', 0, 0), opacity: 1 }], 2, config);
+  // 5 map units of marker radius at k=2, a 2px gap, then half the font height
+  expect(label).toMatchObject({ anchor: 'middle', x: 0, y: (10 + 2 + 5) / 2, fontSize: 5 });
+
+  // Four systems stacked on one spot use up the four placements
+  const crowded = ['w', 'x', 'y', 'z'].map(id => ({ id, kind: 'system', text: 'Name', system: system(id, 0, 0), opacity: 1 }));
+  const placed = placeLabels([...crowded, { ...crowded[0], id: 'extra' }], 1, config);
+  expect(placed.map(l => l.anchor)).toEqual(['middle', 'middle', 'start', 'end']);
+});
+
+test('renders labels at their configured screen size through the viewBox fit', () => {
+  // The full map viewBox drawn into a 1280x720 window shrinks map units to about 0.29px
+  const viewBoxScale = getViewBoxTransform('-1201.6102 -1200 2446.5218 2493.75', 1280, 720).k;
+  const zoomK = 3;
+  const scale = viewBoxScale * zoomK;
+  const [label] = placeLabels([{ id: 'a', kind: 'system', text: 'Alpha', system: system('a', 0, 0), opacity: 1 }], scale);
+
+  expect(label.fontSize * scale).toBeCloseTo(labels.fontSize.system);
+  // Below the marker edge by the 2px gap plus half the text height, in screen pixels
+  expect(label.y * scale).toBeCloseTo(5 * scale + 2 + labels.fontSize.system / 2);
+});
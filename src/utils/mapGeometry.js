@@ -0,0 +1,103 @@
+// Map layout derived from graph_data.json: system markers at graph.systems coordinates,
+// hyperlanes from graph.edges and sector outlines from graph.sectors. Pure data, so renderers
+// and overlays share one source of truth. Also holds the map-to-screen transform math the
+// camera and the canvas backend share.
+
+// Marker size in map units (the old hand-drawn SVG used 15x15 rects)
+export const SYSTEM_SIZE = 15;
+
+// Free space around the outermost systems
+const MAP_PADDING = 60;
+
+// graph_data.json keeps the background rect of the old SVG as a pseudo-system
+const BACKGROUND_ID = 'rect1';
+
+export const getEdgeKey = (a, b) => (a < b ? `${a}-${b}` : `${b}-${a}`);
+
+/**
+ * Systems as { id, x, y, size, cx, cy } (x/y is the top-left corner, cx/cy the center),
+ * hyperlanes as { key, start, end, x1, y1, x2, y2 } trimmed to the marker edges, sectors as
+ * { id, points } (an SVG points string), a `byId` lookup and the padded `bounds`
+ * { x, y, width, height }. Returns null before the graph loads.
+ */
+export const buildMapGeometry = (graph) => {
+  const entries = Object.entries(graph?.systems || {}).filter(([id]) => id !== BACKGROUND_ID);
+  if (entries.length === 0) return null;
+
+  const systems = entries.map(([id, { x, y }]) => ({
+    id,
+    x,
+    y,
+    size: SYSTEM_SIZE,
+    cx: x + SYSTEM_SIZE / 2,
+    cy: y + SYSTEM_SIZE / 2
+  }));
+  const byId = Object.fromEntries(systems.map(system => [system.id, system]));
+
+  const seen = new Set();
+  const edges = [];
+  (graph.edges || []).forEach(({ start, end }) => {
+    const from = byId[start];
+    const to = byId[end];
+    const key = getEdgeKey(start, end);
+    if (!from || !to || seen.has(key)) return;
+    seen.add(key);
+
+    const dx = to.cx - from.cx;
+    const dy = to.cy - from.cy;
+    const length = Math.hypot(dx, dy) || 1;
+    const trim = Math.min(SYSTEM_SIZE / 2, length / 2);
+    edges.push({
+      key,
+      start,
+      end,
+      x1: from.cx + (dx / length) * trim,
+      y1: from.cy + (dy / length) * trim,
+      x2: to.cx - (dx / length) * trim,
+      y2: to.cy - (dy / length) * trim
+    });
+  });
+
+  const minX = Math.min(...systems.map(system => system.x)) - MAP_PADDING;
+  const minY = Math.min(...systems.map(system => system.y)) - MAP_PADDING;
+  const maxX = Math.max(...systems.map(system => system.x + SYSTEM_SIZE)) + MAP_PADDING;
+  const maxY = Math.max(...systems.map(system => system.y + SYSTEM_SIZE)) + MAP_PADDING;
+
+  return {
+    systems,
+    byId,
+    edges,
+    sectors: (graph.sectors || []).map(({ id, points }) => ({ id, points })),
+    bounds: { x: minX, y: minY, width: maxX - minX, height: maxY - minY }
+  };
+};
+
+// Center of a system marker, or null for unknown systems
+export const getSystemCenter = (geometry, systemId) => {
+  const system = geometry?.byId[systemId];
+  return system ? { x: system.cx, y: system.cy } : null;
+};
+
+// Transforms are { x, y, k }: scale by k, then translate. `inner` applied first, then `outer`
+export const composeTransforms = (outer, inner) => ({
+  x: outer.x + outer.k * inner.x,
+  y: outer.y + outer.k * inner.y,
+  k: outer.k * inner.k
+});
+
+export const invertPoint = (transform, x, y) => [(x - transform.x) / transform.k, (y - transform.y) / transform.k];
+
+/**
+ * Screen transform of an svg viewBox ("x y width height") drawn into a width x height box with
+ * the default preserveAspectRatio (xMidYMid meet).
+ */
+export const getViewBoxTransform = (viewBox, width, height) => {
+  const [vx, vy, vw, vh] = String(viewBox || '').split(/[\s,]+/).map(Number);
+  if (!vw || !vh) return { x: 0, y: 0, k: 1 };
+  const k = Math.min(width / vw, height / vh);
+  return {
+    x: (width - vw * k) / 2 - vx * k,
+    y: (height - vh * k) / 2 - vy * k,
+    k
+  };
+};
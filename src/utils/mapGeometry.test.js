@@ -0,0 +1,51 @@
+import {
+  buildMapGeometry, getSystemCenter, getEdgeKey, getViewBoxTransform, composeTransforms, invertPoint, SYSTEM_SIZE
+} from './mapGeometry';
+
+const graph = {
+  systems: {
+    rect1: { x: -1000, y: -1000 },
+    a: { x: 0, y: 0 },
+    b: { x: 100, y: 0 },
+    c: { x: 0, y: 50 }
+  },
+  edges: [
+    { start: 'a', end: 'b', distance: 5 },
+    { start: 'b', end: 'a', distance: 5 },
+    { start: 'a', end: 'missing', distance: 1 }
+  ],
+  sectors: [{ id: 'sector-1', points: '0,0 100,0 50,50' }]
+};
+
+test('lays out systems and trims hyperlanes to the markers', () => {
+  const geometry = buildMapGeometry(graph);
+
+  expect(geometry.systems.map(system => system.id)).toEqual(['a', 'b', 'c']);
+  expect(getSystemCenter(geometry, 'b')).toEqual({ x: 100 + SYSTEM_SIZE / 2, y: SYSTEM_SIZE / 2 });
+  expect(getSystemCenter(geometry, 'rect1')).toBeNull();
+
+  expect(geometry.edges).toHaveLength(1);
+  expect(geometry.edges[0]).toMatchObject({ key: getEdgeKey('b', 'a'), x1: SYSTEM_SIZE, x2: 100 });
+});
+
+test('pads the bounds and waits for a loaded graph', () => {
+  const { bounds } = buildMapGeometry(graph);
+
+  expect(bounds.x).toBeLessThan(0);
+  expect(bounds.x + bounds.width).toBeGreaterThan(100 + SYSTEM_SIZE);
+  expect(buildMapGeometry({ nodes: {}, edges: [] })).toBeNull();
+});
+
+test('keeps sector outlines and tolerates graphs without them', () => {
+  expect(buildMapGeometry(graph).sectors).toEqual([{ id: 'sector-1', points: '0,0 100,0 50,50' }]);
+  expect(buildMapGeometry({ ...graph, sectors: undefined }).sectors).toEqual([]);
+});
+
+test('maps viewBox and zoom transforms to the screen', () => {
+  const viewBox = getViewBoxTransform('-100 -50 200 100', 400, 400);
+  expect(viewBox).toEqual({ x: 200, y: 200, k: 2 });
+
+  const screen = composeTransforms(viewBox, { x: 10, y: 0, k: 3 });
+  expect(screen).toEqual({ x: 220, y: 200, k: 6 });
+  expect(invertPoint(screen, 226, 212)).toEqual([1, 2]);
+});
@@ -0,0 +1,182 @@
+import * as d3 from 'd3';
+import { colors, camera as cameraConfig } from '../config/config';
+import { CX_SYSTEMS } from '../constants/cxSystems';
+import { getSystemsBounds, getCenterTransform, getFitTransform } from './cameraUtils';
+
+// Draws the universe map from buildMapGeometry output with d3 data joins. Sector outlines are
+// `polygon.sector` under everything else, hyperlanes `line.hyperlane` bound to edge data,
+// systems `rect.system` bound to system data (the id attribute is kept for hover lookups).
+// Re-running it with fresh geometry updates positions in place and keeps any highlighting on
+// systems that still exist.
+
+export const MAP_BACKGROUND = '#222222';
+
+// CX stations get rounded squares, every other system a circle
+const cornerRadius = (system) => (CX_SYSTEMS.includes(system.id) ? 2 : system.size);
+
+const ensureLayer = (g, className) => {
+  const layer = g.select(`g.${className}`);
+  return layer.empty() ? g.append('g').attr('class', className) : layer;
+};
+
+// Creates the map svg and its zoomable root group as the first child of the container.
+export const createMapSvg = (container) => {
+  const svgNode = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+  container.insertBefore(svgNode, container.firstChild);
+
+  const svg = d3.select(svgNode)
+    .attr('class', 'map-svg')
+    .attr('width', '100%')
+    .attr('height', '100%');
+  const g = svg.append('g');
+
+  g.append('rect').attr('class', 'map-background').attr('fill', MAP_BACKGROUND);
+  // Sectors are decoration only and leave the pointer to the map
+  ensureLayer(g, 'sector-layer').style('pointer-events', 'none');
+  ensureLayer(g, 'hyperlane-layer');
+  ensureLayer(g, 'system-layer');
+
+  return { svg, g };
+};
+
+export const renderMap = ({ svg, g }, geometry) => {
+  const { bounds } = geometry;
+  svg.attr('viewBox', `${bounds.x} ${bounds.y} ${bounds.width} ${bounds.height}`);
+
+  g.select('rect.map-background')
+    .attr('x', bounds.x)
+    .attr('y', bounds.y)
+    .attr('width', bounds.width)
+    .attr('height', bounds.height);
+
+  ensureLayer(g, 'sector-layer')
+    .selectAll('polygon.sector')
+    .data(geometry.sectors, sector => sector.id)
+    .join(enter => enter.append('polygon')
+      .attr('class', 'sector')
+      .attr('fill', colors.sectorFill)
+      .attr('stroke', colors.sectorStroke)
+      .attr('stroke-width', colors.sectorStrokeWidth))
+    .attr('points', sector => sector.points);
+
+  ensureLayer(g, 'hyperlane-layer')
+    .selectAll('line.hyperlane')
+    .data(geometry.edges, edge => edge.key)
+    .join(enter => enter.append('line')
+      .attr('class', 'hyperlane')
+      .attr('stroke', colors.resetPathStroke)
+      .attr('stroke-width', colors.resetPathStrokeWidth))
+    .attr('x1', edge => edge.x1)
+    .attr('y1', edge => edge.y1)
+    .attr('x2', edge => edge.x2)
+    .attr('y2', edge => edge.y2);
+
+  ensureLayer(g, 'system-layer')
+    .selectAll('rect.system')
+    .data(geometry.systems, system => system.id)
+    .join(enter => enter.append('rect')
+      .attr('class', 'system')
+      .attr('fill', colors.resetSystemFill)
+      .attr('fill-opacity', colors.resetSystemFillOpacity)
+      .attr('stroke', colors.resetSystemStroke)
+      .attr('stroke-width', colors.resetSystemStrokeWidth))
+    .attr('id', system => system.id)
+    .attr('x', system => system.x)
+    .attr('y', system => system.y)
+    .attr('width', system => system.size)
+    .attr('height', system => system.size)
+    .attr('rx', cornerRadius)
+    .attr('ry', cornerRadius);
+};
+
+// System markers bound to data, optionally limited to some ids
+export const selectSystems = (root, systemIds = null) => {
+  const systems = root.selectAll('rect.system');
+  if (!systemIds) return systems;
+  const ids = new Set(systemIds);
+  return systems.filter(system => ids.has(system.id));
+};
+
+// Hyperlanes bound to data whose edge key is in `keys`
+export const selectHyperlanes = (root, keys) => root.selectAll('line.hyperlane').filter(edge => keys.has(edge.key));
+
+/**
+ * Draws one circle per marker ({ systemId, ... }) over its system, in a pointer-transparent
+ * `g.<layerClass>` of its own so the rect-based highlighting underneath stays untouched.
+ * `style` holds radius, fill, fillOpacity, stroke and strokeWidth, each a value or an
+ * accessor of (marker, system). Markers of systems missing from the geometry are skipped.
+ */
+export const renderSystemMarkers = (g, geometry, layerClass, markers, style) => {
+  let layer = g.select(`g.${layerClass}`);
+  if (layer.empty()) layer = g.append('g').attr('class', layerClass).style('pointer-events', 'none');
+
+  const placed = markers
+    .map(marker => ({ marker, system: geometry?.byId[marker.systemId] }))
+    .filter(({ system }) => system);
+  const read = (value) => (typeof value === 'function' ? ({ marker, system }) => value(marker, system) : value);
+
+  layer.selectAll('circle')
+    .data(placed, ({ marker }) => marker.systemId)
+    .join('circle')
+    .attr('cx', ({ system }) => system.cx)
+    .attr('cy', ({ system }) => system.cy)
+    .attr('r', read(style.radius))
+    .attr('fill', read(style.fill ?? 'none'))
+    .attr('fill-opacity', read(style.fillOpacity ?? null))
+    .attr('stroke', read(style.stroke ?? 'none'))
+    .attr('stroke-width', read(style.strokeWidth ?? null));
+};
+
+export const removeSystemMarkers = (g, layerClass) => g.select(`g.${layerClass}`).remove();
+
+/**
+ * Camera for a map created by createMapSvg: animated moves through its d3.zoom behavior.
+ * `getGeometry` returns the geometry currently drawn.
+ */
+export const createMapCamera = ({ svg, zoom }, getGeometry) => {
+  const getExtent = () => {
+    const { x, y, width, height } = svg.node().viewBox.baseVal;
+    return [[x, y], [x + width, y + height]];
+  };
+
+  const moveTo = ({ x, y, k }) => {
+    svg.transition()
+      .duration(cameraConfig.duration)
+      .call(zoom.transform, d3.zoomIdentity.translate(x, y).scale(k));
+  };
+
+  // Centers a system, zooming in to flyToScale unless already closer
+  const flyTo = (systemId) => {
+    const system = getGeometry()?.byId[systemId];
+    if (!system) return false;
+    const k = Math.max(d3.zoomTransform(svg.node()).k, cameraConfig.flyToScale);
+    moveTo(getCenterTransform({ x: system.cx, y: system.cy }, getExtent(), Math.min(k, zoom.scaleExtent()[1])));
+    return true;
+  };
+
+  // Zooms to show every listed system
+  const fitBounds = (systemIds) => {
+    const bounds = getSystemsBounds(getGeometry(), systemIds || []);
+    if (!bounds) return false;
+    const [minScale, maxScale] = zoom.scaleExtent();
+    moveTo(getFitTransform(bounds, getExtent(), {
+      padding: cameraConfig.fitPadding,
+      scaleExtent: [minScale, Math.min(maxScale, cameraConfig.maxFitScale)]
+    }));
+    return true;
+  };
+
+  // Centers a map point without animation, keeping the zoom level (minimap dragging)
+  const panTo = ({ x, y }) => {
+    svg.interrupt();
+    zoom.translateTo(svg, x, y);
+  };
+
+  const resetView = () => {
+    svg.transition()
+      .duration(cameraConfig.duration)
+      .call(zoom.transform, d3.zoomIdentity);
+  };
+
+  return { flyTo, fitBounds, panTo, resetView };
+};
@@ -0,0 +1,169 @@
+import { DEFAULT_FILTERS, ENVIRONMENT_RANGES } from '../constants/searchDefaults';
+import { FACILITIES } from '../constants/facilities';
+import { PROXIMITY_METRICS } from './proximityUtils';
+import { WORKFORCE_TIERS, WORKFORCE_METRICS, ALL_TIERS } from './workforceUtils';
+
+// Map state <-> URL query parameters. Only values that differ from the page-load defaults
+// are written, so a fresh map has a clean URL.
+
+const LIST_FILTERS = {
+  pt: 'planetType',
+  grav: 'gravity',
+  temp: 'temperature',
+  pres: 'pressure'
+};
+
+// cogcProgram can hold null ("No Program"), which has no string form of its own
+const NO_PROGRAM = 'NONE';
+
+const sameList = (a, b) => a.length === b.length && a.every(item => b.includes(item));
+
+const splitList = (value) => (value ? value.split(',').filter(Boolean) : []);
+
+// Environment ranges as key:min~max pairs, e.g. range=gravity:0.3~1.8,fertility:0.2~1
+const encodeRanges = (ranges) => Object.entries(ranges)
+  .map(([key, [min, max]]) => `${key}:${min}~${max}`)
+  .join(',');
+
+const decodeRanges = (value) => Object.fromEntries(splitList(value)
+  .map(entry => entry.match(/^(\w+):(-?[\d.]+)~(-?[\d.]+)$/))
+  .filter(match => match && ENVIRONMENT_RANGES[match[1]])
+  .map(([, key, min, max]) => [key, [parseFloat(min), parseFloat(max)]])
+  .filter(([, range]) => !isNaN(range[0]) && !isNaN(range[1])));
+
+// Near filter as systemId~metric~max
+const decodeNear = (value) => {
+  const [systemId, metric, max] = value.split('~');
+  const parsedMax = parseFloat(max);
+  if (!systemId || !PROXIMITY_METRICS[metric] || isNaN(parsedMax)) return null;
+  return { systemId, metric, max: parsedMax };
+};
+
+// Facility requirements as short codes, excluded ones prefixed with '-', e.g. fac=SHY,LM,-COGC
+const encodeFacilities = (facilities) => FACILITIES
+  .filter(facility => facilities[facility.key])
+  .map(facility => `${facilities[facility.key] === 'exclude' ? '-' : ''}${facility.short}`)
+  .join(',');
+
+const decodeFacilities = (value) => Object.fromEntries(splitList(value)
+  .map(entry => {
+    const excluded = entry.startsWith('-');
+    const facility = FACILITIES.find(f => f.short === (excluded ? entry.slice(1) : entry));
+    return facility ? [facility.key, excluded ? 'exclude' : 'require'] : null;
+  })
+  .filter(Boolean));
+
+// Workforce minimum as tier~metric~min, e.g. wf=Technician~unemployed~50
+const decodeWorkforce = (value) => {
+  const [tier, metric, min] = value.split('~');
+  const parsedMin = parseFloat(min);
+  if ((tier !== ALL_TIERS && !WORKFORCE_TIERS.includes(tier)) || !WORKFORCE_METRICS[metric] || isNaN(parsedMin)) return null;
+  return { tier, metric, min: parsedMin };
+};
+
+export const encodeMapState = ({
+  query,
+  filters,
+  resourceThreshold,
+  isRelativeThreshold,
+  resourceTypeFilter,
+  selectedSystem,
+  pathfindingSelection,
+  overlayProgram,
+  isGatewayMode,
+  plannedGateways
+}) => {
+  const params = new URLSearchParams();
+
+  if (query && (query.text || query.category !== 'General')) {
+    params.set('q', query.text);
+    params.set('cat', query.category);
+  }
+
+  Object.entries(LIST_FILTERS).forEach(([param, key]) => {
+    if (!sameList(filters[key], DEFAULT_FILTERS[key])) params.set(param, filters[key].join(','));
+  });
+  if (filters.cogcProgram.length > 0) {
+    params.set('cogc', filters.cogcProgram.map(program => program ?? NO_PROGRAM).join(','));
+  }
+  if (filters.minStars) params.set('stars', String(filters.minStars));
+  if (filters.requireAvailablePlots) params.set('plots', '1');
+  if (filters.explorersGrace) params.set('grace', '1');
+  if (filters.ranges && Object.keys(filters.ranges).length > 0) params.set('range', encodeRanges(filters.ranges));
+  if (filters.near) params.set('near', `${filters.near.systemId}~${filters.near.metric}~${filters.near.max}`);
+  if (filters.facilities && Object.keys(filters.facilities).length > 0) params.set('fac', encodeFacilities(filters.facilities));
+  if (filters.workforce) params.set('wf', `${filters.workforce.tier}~${filters.workforce.metric}~${filters.workforce.min}`);
+
+  if (resourceThreshold) params.set('rt', String(resourceThreshold));
+  if (isRelativeThreshold) params.set('rel', '1');
+  if (resourceTypeFilter && resourceTypeFilter !== 'ALL') params.set('rtype', resourceTypeFilter);
+
+  if (pathfindingSelection.length > 0) {
+    params.set('route', pathfindingSelection.join(','));
+  } else if (selectedSystem) {
+    params.set('sys', selectedSystem);
+  }
+
+  if (overlayProgram) params.set('overlay', overlayProgram);
+
+  if (isGatewayMode) params.set('mode', 'gateway');
+  if (plannedGateways.length > 0) {
+    params.set('gw', plannedGateways.map(gw => `${gw.sourceId}~${gw.targetId}`).join(','));
+  }
+
+  return params.toString();
+};
+
+/**
+ * Reads map state back from a query string. Keys are only present in the result when the
+ * URL carries them; filters are merged over the defaults.
+ */
+export const decodeMapState = (search) => {
+  const params = new URLSearchParams(search);
+  const state = {};
+
+  if (params.has('q') || params.has('cat')) {
+    state.query = { text: params.get('q') || '', category: params.get('cat') || 'General' };
+  }
+
+  const filterParams = [...Object.keys(LIST_FILTERS), 'cogc', 'stars', 'plots', 'grace', 'range', 'near', 'fac', 'wf'];
+  if (filterParams.some(param => params.has(param))) {
+    const filters = { ...DEFAULT_FILTERS };
+    Object.entries(LIST_FILTERS).forEach(([param, key]) => {
+      if (params.has(param)) filters[key] = splitList(params.get(param));
+    });
+    if (params.has('cogc')) {
+      filters.cogcProgram = splitList(params.get('cogc')).map(program => (program === NO_PROGRAM ? null : program));
+    }
+    if (params.has('stars')) filters.minStars = parseInt(params.get('stars'), 10) || 0;
+    filters.requireAvailablePlots = params.get('plots') === '1';
+    filters.explorersGrace = params.get('grace') === '1';
+    if (params.has('range')) filters.ranges = decodeRanges(params.get('range'));
+    if (params.has('near')) filters.near = decodeNear(params.get('near'));
+    if (params.has('fac')) filters.facilities = decodeFacilities(params.get('fac'));
+    if (params.has('wf')) filters.workforce = decodeWorkforce(params.get('wf'));
+    state.filters = filters;
+  }
+
+  if (params.has('rt')) {
+    const threshold = parseFloat(params.get('rt'));
+    if (!isNaN(threshold)) state.resourceThreshold = threshold;
+  }
+  if (params.has('rel')) state.isRelativeThreshold = params.get('rel') === '1';
+  if (params.has('rtype')) state.resourceTypeFilter = params.get('rtype');
+
+  if (params.has('route')) state.pathfindingSelection = splitList(params.get('route'));
+  if (params.has('sys')) state.selectedSystem = params.get('sys');
+
+  if (params.has('overlay')) state.overlayProgram = params.get('overlay');
+
+  if (params.has('mode')) state.isGatewayMode = params.get('mode') === 'gateway';
+  if (params.has('gw')) {
+    state.plannedGateways = splitList(params.get('gw'))
+      .map(pair => pair.split('~'))
+      .filter(pair => pair.length === 2 && pair[0] && pair[1])
+      .map(([sourceId, targetId]) => ({ sourceId, targetId }));
+  }
+
+  return state;
+};
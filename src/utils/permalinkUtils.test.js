@@ -0,0 +1,48 @@
+import { encodeMapState, decodeMapState } from './permalinkUtils';
+import { DEFAULT_FILTERS } from '../constants/searchDefaults';
+
+const emptyState = {
+  query: { text: '', category: 'General' },
+  filters: DEFAULT_FILTERS,
+  resourceThreshold: 0,
+  isRelativeThreshold: false,
+  resourceTypeFilter: 'ALL',
+  selectedSystem: null,
+  pathfindingSelection: [],
+  overlayProgram: null,
+  isGatewayMode: false,
+  plannedGateways: []
+};
+
+test('leaves the URL empty for the default map state', () => {
+  expect(encodeMapState(emptyState)).toBe('');
+  expect(decodeMapState('')).toEqual({});
+});
+
+test('round-trips search, filters, selection and planned gateways', () => {
+  const state = {
+    ...emptyState,
+    query: { text: 'FEO', category: 'Resource' },
+    filters: { ...DEFAULT_FILTERS, gravity: [], cogcProgram: [null], minStars: 2, requireAvailablePlots: true, explorersGrace: true, ranges: { gravity: [0.3, 1.8], temperature: [-40, 10] }, near: { systemId: 'a1', metric: 'jumps', max: 3 }, facilities: { HasShipyard: 'require', HasChamberOfCommerce: 'exclude' }, workforce: { tier: 'Technician', metric: 'unemployed', min: 50 } },
+    resourceThreshold: 0.3,
+    isRelativeThreshold: true,
+    resourceTypeFilter: 'MINERAL',
+    pathfindingSelection: ['a1', 'b2'],
+    overlayProgram: 'Metallurgy',
+    isGatewayMode: true,
+    plannedGateways: [{ id: '1', sourceId: 'a1', targetId: 'c3' }]
+  };
+
+  const decoded = decodeMapState(`?${encodeMapState(state)}`);
+
+  expect(decoded.query).toEqual(state.query);
+  expect(decoded.filters).toEqual(state.filters);
+  expect(decoded.resourceThreshold).toBe(0.3);
+  expect(decoded.isRelativeThreshold).toBe(true);
+  expect(decoded.resourceTypeFilter).toBe('MINERAL');
+  expect(decoded.pathfindingSelection).toEqual(['a1', 'b2']);
+  expect(decoded.selectedSystem).toBeUndefined();
+  expect(decoded.overlayProgram).toBe('Metallurgy');
+  expect(decoded.isGatewayMode).toBe(true);
+  expect(decoded.plannedGateways).toEqual([{ sourceId: 'a1', targetId: 'c3' }]);
+});
@@ -0,0 +1,60 @@
+import { DEFAULT_FILTERS } from '../constants/searchDefaults';
+import { searchPresets as presetConfig } from '../config/config';
+
+// Saved search presets: the full search state under a name, plus the JSON file format
+// used to share them.
+
+const RESOURCE_TYPES = ['ALL', 'GASEOUS', 'MINERAL', 'LIQUID'];
+
+export const createPresetId = () => `preset-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`;
+
+// Copies the search state into a preset; filters are merged over the defaults so presets
+// saved before a filter existed keep working.
+export const createPreset = (name, { query, filters, resourceThreshold, isRelativeThreshold, resourceTypeFilter }, id = createPresetId()) => ({
+  id,
+  name: name.trim(),
+  query: { text: query?.text || '', category: query?.category || 'General' },
+  filters: { ...DEFAULT_FILTERS, ...filters },
+  resourceThreshold: Number(resourceThreshold) || 0,
+  isRelativeThreshold: !!isRelativeThreshold,
+  resourceTypeFilter: RESOURCE_TYPES.includes(resourceTypeFilter) ? resourceTypeFilter : 'ALL'
+});
+
+export const serializePresets = (presets) => JSON.stringify({
+  version: presetConfig.fileVersion,
+  presets: presets.map(({ id, ...preset }) => preset)
+}, null, 2);
+
+/**
+ * Reads presets from an exported file (or a bare array of presets). Entries without a name
+ * are skipped; everything else is normalized through createPreset. Throws on unreadable files.
+ */
+export const parsePresetFile = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error('Preset file is not valid JSON');
+  }
+  const entries = Array.isArray(data) ? data : data?.presets;
+  if (!Array.isArray(entries)) throw new Error('Preset file has no presets');
+  if (!Array.isArray(data) && data.version > presetConfig.fileVersion) {
+    throw new Error(`Preset file version ${data.version} is newer than this map supports`);
+  }
+
+  return entries
+    .filter(entry => entry && typeof entry.name === 'string' && entry.name.trim())
+    .map(entry => createPreset(entry.name, entry));
+};
+
+// Adds imported presets; an imported preset replaces an existing one with the same name.
+export const mergePresets = (existing, imported) => {
+  const byName = new Map(imported.map(preset => [preset.name.toLowerCase(), preset]));
+  const kept = existing.map(preset => {
+    const replacement = byName.get(preset.name.toLowerCase());
+    if (!replacement) return preset;
+    byName.delete(preset.name.toLowerCase());
+    return { ...replacement, id: preset.id };
+  });
+  return [...kept, ...byName.values()];
+};
@@ -0,0 +1,42 @@
+import { createPreset, serializePresets, parsePresetFile, mergePresets } from './presetUtils';
+import { DEFAULT_FILTERS } from '../constants/searchDefaults';
+
+const state = {
+  query: { text: 'FEO plots>0', category: 'Query' },
+  filters: { ...DEFAULT_FILTERS, minStars: 2 },
+  resourceThreshold: 0.25,
+  isRelativeThreshold: true,
+  resourceTypeFilter: 'MINERAL'
+};
+
+test('round-trips presets through the export file', () => {
+  const preset = createPreset(' Iron near HQ ', state, 'p1');
+  const [imported] = parsePresetFile(serializePresets([preset]));
+
+  expect(preset.name).toBe('Iron near HQ');
+  expect(imported).toEqual({ ...preset, id: imported.id });
+  expect(imported.id).not.toBe('p1');
+});
+
+test('normalizes older or partial preset entries', () => {
+  const [preset] = parsePresetFile(JSON.stringify([
+    { name: 'Legacy', query: { text: 'H2O' }, filters: { minStars: 1 }, resourceTypeFilter: 'PLASMA' },
+    { query: { text: 'nameless' } }
+  ]));
+
+  expect(preset.query).toEqual({ text: 'H2O', category: 'General' });
+  expect(preset.filters).toEqual({ ...DEFAULT_FILTERS, minStars: 1 });
+  expect(preset.resourceTypeFilter).toBe('ALL');
+  expect(() => parsePresetFile('{"presets": 3}')).toThrow('Preset file has no presets');
+  expect(() => parsePresetFile('not json')).toThrow('not valid JSON');
+});
+
+test('replaces presets with the same name on import', () => {
+  const existing = [createPreset('A', state, 'a'), createPreset('B', state, 'b')];
+  const imported = [createPreset('b', { ...state, resourceThreshold: 0.5 }, 'x'), createPreset('C', state, 'c')];
+
+  const merged = mergePresets(existing, imported);
+
+  expect(merged.map(preset => preset.id)).toEqual(['a', 'b', 'c']);
+  expect(merged[1].resourceThreshold).toBe(0.5);
+});
@@ -0,0 +1,76 @@
+import { calculate3DDistance } from './distanceUtils';
+
+// Proximity to an anchor system, used by the "near" filter and the near:/jumps/pc query fields.
+
+export const PROXIMITY_METRICS = {
+  jumps: { label: 'Jumps', unit: 'jumps', step: 1 },
+  parsecs: { label: 'Parsecs', unit: 'pc', step: 1 }
+};
+
+// Finds a system by name or natural id (e.g. "Moria" or "OT-580"), case-insensitively.
+export const resolveSystemTerm = (universeData, term) => {
+  const lowerTerm = term.trim().toLowerCase();
+  if (!lowerTerm) return null;
+  const match = Object.entries(universeData || {}).find(([, [system]]) =>
+    system && (system.Name.toLowerCase() === lowerTerm || system.NaturalId.toLowerCase() === lowerTerm));
+  return match ? match[0] : null;
+};
+
+/**
+ * Returns a memoizing lookup systemId -> { jumps, parsecs } from the anchor: FTL jumps over
+ * the graph (Infinity when unreachable) and straight-line parsecs.
+ */
+export const createProximityLookup = (graphService, universeData, anchorId) => {
+  const anchor = universeData?.[anchorId]?.[0];
+  const cache = new Map();
+  return (systemId) => {
+    if (!cache.has(systemId)) {
+      cache.set(systemId, {
+        jumps: graphService.getJumps(anchorId, systemId),
+        parsecs: calculate3DDistance(anchor, universeData?.[systemId]?.[0])
+      });
+    }
+    return cache.get(systemId);
+  };
+};
+
+export const getResultSystemId = (result) => result.systemId || (result.type === 'system' ? result.id : null);
+
+/**
+ * Adds `proximity` to each result and sorts them nearest first by `metric`, breaking ties
+ * with the other metric. Results without a system go last.
+ */
+export const sortByProximity = (results, lookup, metric = 'jumps') => {
+  const secondary = metric === 'jumps' ? 'parsecs' : 'jumps';
+  return results
+    .map(result => {
+      const systemId = getResultSystemId(result);
+      return systemId ? { ...result, proximity: lookup(systemId) } : result;
+    })
+    .sort((a, b) => {
+      const pa = a.proximity || { [metric]: Infinity, [secondary]: Infinity };
+      const pb = b.proximity || { [metric]: Infinity, [secondary]: Infinity };
+      if (pa[metric] !== pb[metric]) return pa[metric] < pb[metric] ? -1 : 1;
+      if (pa[secondary] !== pb[secondary]) return pa[secondary] < pb[secondary] ? -1 : 1;
+      return 0;
+    });
+};
+
+/**
+ * Returns a memoizing lookup systemId -> { systemId, jumps } of the nearest of `targetIds`
+ * by FTL jumps, or null when none is reachable.
+ */
+export const createNearestLookup = (graphService, targetIds) => {
+  const cache = new Map();
+  return (systemId) => {
+    if (!cache.has(systemId)) {
+      let nearest = null;
+      targetIds.forEach(targetId => {
+        const jumps = graphService.getJumps(targetId, systemId);
+        if (jumps !== Infinity && (!nearest || jumps < nearest.jumps)) nearest = { systemId: targetId, jumps };
+      });
+      cache.set(systemId, nearest);
+    }
+    return cache.get(systemId);
+  };
+};
@@ -0,0 +1,33 @@
+import { resolveSystemTerm, createProximityLookup, sortByProximity } from './proximityUtils';
+
+const universeData = {
+  S1: [{ Name: 'Moria', NaturalId: 'OT-580', PositionX: 0, PositionY: 0, PositionZ: 0 }],
+  S2: [{ Name: 'Hortus', NaturalId: 'UV-351', PositionX: 120, PositionY: 0, PositionZ: 0 }],
+  S3: [{ Name: 'Promitor', NaturalId: 'VH-331', PositionX: 60, PositionY: 0, PositionZ: 0 }]
+};
+
+const graphService = {
+  getJumps: (source, target) => ({ S1: 0, S2: 2, S3: 2 }[target] ?? Infinity)
+};
+
+test('resolves systems by name or natural id', () => {
+  expect(resolveSystemTerm(universeData, 'moria')).toBe('S1');
+  expect(resolveSystemTerm(universeData, 'UV-351')).toBe('S2');
+  expect(resolveSystemTerm(universeData, 'Nowhere')).toBeNull();
+});
+
+test('sorts results nearest first and breaks jump ties by parsecs', () => {
+  const lookup = createProximityLookup(graphService, universeData, 'S1');
+  const results = [
+    { type: 'planet', planetId: 'B', systemId: 'S2' },
+    { type: 'company_base' },
+    { type: 'system', id: 'S3' },
+    { type: 'planet', planetId: 'A', systemId: 'S1' }
+  ];
+
+  const sorted = sortByProximity(results, lookup);
+
+  expect(sorted.map(result => result.planetId || result.id || result.type)).toEqual(['A', 'S3', 'B', 'company_base']);
+  expect(sorted[1].proximity).toEqual({ jumps: 2, parsecs: 5 });
+  expect(sortByProximity(results, lookup, 'parsecs')[1].id).toBe('S3');
+});
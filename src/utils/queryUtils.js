@@ -0,0 +1,355 @@
+// Small query language for the unified search field, e.g.
+//   FEO AND (H2O OR LST) grav<1.2 temp>-20 tier>=2 plots>0 cogc:METALLURGY
+//   FEO plots>0 near:Moria jumps<=3
+//   has:SHY has:LM NOT has:COGC near:Moria jumps<=5
+//
+// Grammar (AND binds tighter than OR; juxtaposition means AND):
+//   query   := or
+//   or      := and ('OR' and)*
+//   and     := not (['AND'] not)*
+//   not     := 'NOT' not | primary
+//   primary := '(' or ')' | field op value | resource
+//   op      := '<' | '<=' | '>' | '>=' | '=' | '!=' | ':'
+
+import { FACILITIES } from '../constants/facilities';
+
+export class QuerySyntaxError extends Error {
+  constructor(message, position) {
+    super(message);
+    this.name = 'QuerySyntaxError';
+    this.position = position;
+  }
+}
+
+const KEYWORDS = ['AND', 'OR', 'NOT'];
+
+// Long names accepted by has: next to the FACILITIES short codes
+const FACILITY_ALIASES = {
+  MARKET: 'LM',
+  CHAMBER: 'COGC',
+  WAREHOUSE: 'WAR',
+  ADMIN: 'ADM',
+  SHIPYARD: 'SHY'
+};
+const OPERATORS = ['<=', '>=', '!=', '<', '>', '=', ':'];
+
+// Same "current program" pick as the CoGC filter in SearchContext
+export const getCurrentCogcProgram = (planet) => {
+  const programs = [...(planet.COGCPrograms || [])].sort((a, b) => b.StartEpochMs - a.StartEpochMs);
+  const current = programs[1] || programs[0] || null;
+  return current ? current.ProgramType : null;
+};
+
+/**
+ * Fields usable as `field op value`. Numeric fields take any operator; enum and system fields
+ * only ':', '=' and '!='; an enum `get` may return a list, which matches when it contains the
+ * value. `get` receives the planet and the evaluation context. Fields with
+ * `needsAnchor` measure from the query's near: system (or ctx.defaultAnchorId).
+ */
+export const QUERY_FIELDS = {
+  grav: { label: 'gravity', type: 'number', get: planet => planet.Gravity },
+  temp: { label: 'temperature', type: 'number', get: planet => planet.Temperature },
+  pres: { label: 'pressure', type: 'number', get: planet => planet.Pressure },
+  fert: { label: 'fertility', type: 'number', get: planet => planet.Fertility },
+  tier: { label: 'planet tier (stars)', type: 'number', get: (planet, ctx) => ctx.getPlanetTier(planet) },
+  plots: { label: 'available plots', type: 'number', get: (planet, ctx) => ctx.plotsData[planet.PlanetNaturalId] ?? 0 },
+  type: {
+    label: 'planet type',
+    type: 'enum',
+    values: ['ROCKY', 'GASEOUS'],
+    get: planet => (planet.Surface ? 'ROCKY' : 'GASEOUS')
+  },
+  cogc: {
+    label: 'CoGC program',
+    type: 'enum',
+    // Accepts the program with or without its ADVERTISING_ prefix, or NONE
+    normalize: value => (value === 'NONE' || value.startsWith('ADVERTISING_') ? value : `ADVERTISING_${value}`),
+    get: planet => (planet.HasChamberOfCommerce ? getCurrentCogcProgram(planet) || 'NONE' : 'NONE')
+  },
+  has: {
+    label: 'local facility',
+    type: 'enum',
+    values: FACILITIES.map(facility => facility.short),
+    normalize: value => FACILITY_ALIASES[value] || value,
+    get: planet => FACILITIES.filter(facility => planet[facility.key]).map(facility => facility.short)
+  },
+  near: { label: 'anchor system for jumps/pc', type: 'system' },
+  jumps: {
+    label: 'FTL jumps from the near: system',
+    type: 'number',
+    needsAnchor: true,
+    get: (planet, ctx, anchorId) => ctx.getProximity(anchorId, planet.SystemId).jumps
+  },
+  pc: {
+    label: 'parsecs from the near: system',
+    type: 'number',
+    needsAnchor: true,
+    get: (planet, ctx, anchorId) => ctx.getProximity(anchorId, planet.SystemId).parsecs
+  }
+};
+
+const FIELD_ALIASES = {
+  gravity: 'grav',
+  temperature: 'temp',
+  pressure: 'pres',
+  fertility: 'fert',
+  stars: 'tier',
+  program: 'cogc',
+  parsecs: 'pc',
+  dist: 'pc',
+  facility: 'has'
+};
+
+// Splits the query into tokens: parentheses, keywords, comparisons and bare terms.
+export const tokenizeQuery = (text) => {
+  const tokens = [];
+  let i = 0;
+
+  while (i < text.length) {
+    const char = text[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    if (char === '(' || char === ')') {
+      tokens.push({ type: char, position: i });
+      i++;
+      continue;
+    }
+
+    const word = text.slice(i).match(/^[A-Za-z0-9_.-]+/);
+    if (!word) throw new QuerySyntaxError(`Unexpected character '${char}'`, i);
+
+    const start = i;
+    const end = i + word[0].length;
+    i = end;
+
+    const operator = OPERATORS.find(op => text.startsWith(op, end));
+    if (operator) {
+      i += operator.length;
+      const value = text.slice(i).match(/^[^\s()]+/);
+      if (!value) throw new QuerySyntaxError(`Expected a value after '${word[0]}${operator}'`, i);
+      i += value[0].length;
+      tokens.push({ type: 'comparison', field: word[0], operator, value: value[0], position: start });
+    } else if (KEYWORDS.includes(word[0].toUpperCase())) {
+      tokens.push({ type: word[0].toUpperCase(), position: start });
+    } else {
+      tokens.push({ type: 'term', value: word[0], position: start });
+    }
+  }
+
+  return tokens;
+};
+
+const describeToken = (token) => {
+  if (token.type === 'comparison') return `${token.field}${token.operator}${token.value}`;
+  return token.value || token.type;
+};
+
+const parseComparison = (token) => {
+  const fieldKey = FIELD_ALIASES[token.field.toLowerCase()] || token.field.toLowerCase();
+  const field = QUERY_FIELDS[fieldKey];
+  if (!field) {
+    throw new QuerySyntaxError(`Unknown field '${token.field}' (try ${Object.keys(QUERY_FIELDS).join(', ')})`, token.position);
+  }
+
+  if (field.type === 'number') {
+    const value = parseFloat(token.value);
+    if (isNaN(value) || !/^-?\d*\.?\d+$/.test(token.value)) {
+      throw new QuerySyntaxError(`'${token.field}' needs a number, got '${token.value}'`, token.position);
+    }
+    return { type: 'comparison', field: fieldKey, operator: token.operator === ':' ? '=' : token.operator, value, position: token.position };
+  }
+
+  if (!['=', ':', '!='].includes(token.operator)) {
+    throw new QuerySyntaxError(`'${token.field}' only supports ':', '=' or '!='`, token.position);
+  }
+  if (field.type === 'system') {
+    if (token.operator === '!=') throw new QuerySyntaxError(`'${token.field}' needs ':' or '='`, token.position);
+    return { type: 'comparison', field: fieldKey, operator: '=', value: token.value, position: token.position };
+  }
+  const raw = token.value.toUpperCase();
+  const value = field.normalize ? field.normalize(raw) : raw;
+  if (field.values && !field.values.includes(value)) {
+    throw new QuerySyntaxError(`'${token.field}' must be one of ${field.values.join(', ').toLowerCase()}`, token.position);
+  }
+  return { type: 'comparison', field: fieldKey, operator: token.operator === '!=' ? '!=' : '=', value, position: token.position };
+};
+
+/**
+ * Parses a query into an AST of { type: 'and' | 'or', children }, { type: 'not', child },
+ * { type: 'comparison', field, operator, value } and { type: 'term', value, position }.
+ * Throws QuerySyntaxError with the character position of the problem.
+ */
+export const parseQuery = (text) => {
+  const tokens = tokenizeQuery(text);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const endPosition = text.length;
+
+  const parseOr = () => {
+    const children = [parseAnd()];
+    while (peek() && peek().type === 'OR') {
+      index++;
+      children.push(parseAnd());
+    }
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  };
+
+  const parseAnd = () => {
+    const children = [parseNot()];
+    while (peek() && peek().type !== 'OR' && peek().type !== ')') {
+      if (peek().type === 'AND') index++;
+      children.push(parseNot());
+    }
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  };
+
+  const parseNot = () => {
+    if (peek() && peek().type === 'NOT') {
+      index++;
+      return { type: 'not', child: parseNot() };
+    }
+    return parsePrimary();
+  };
+
+  const parsePrimary = () => {
+    const token = peek();
+    if (!token) throw new QuerySyntaxError('Unexpected end of query', endPosition);
+
+    if (token.type === '(') {
+      index++;
+      const expression = parseOr();
+      if (!peek() || peek().type !== ')') {
+        throw new QuerySyntaxError("Expected ')'", peek() ? peek().position : endPosition);
+      }
+      index++;
+      return expression;
+    }
+    if (token.type === 'comparison') {
+      index++;
+      return parseComparison(token);
+    }
+    if (token.type === 'term') {
+      index++;
+      return { type: 'term', value: token.value, position: token.position };
+    }
+    throw new QuerySyntaxError(`Unexpected '${describeToken(token)}'`, token.position);
+  };
+
+  if (tokens.length === 0) throw new QuerySyntaxError('Empty query', 0);
+
+  const ast = parseOr();
+  if (index < tokens.length) {
+    throw new QuerySyntaxError(`Unexpected '${describeToken(tokens[index])}'`, tokens[index].position);
+  }
+  return ast;
+};
+
+// Heuristic for the search field: plain tickers and names keep the old search, anything with
+// operators, parentheses or field comparisons goes through the query language.
+export const isQueryExpression = (text) => {
+  if (/\((Resource|System|Planet|Corporation)\)\s*$/i.test(text)) return false;
+  return /[()]/.test(text)
+    || /(^|\s)(AND|OR|NOT)(\s|$)/.test(text)
+    || /[A-Za-z]+(<=|>=|!=|<|>|=|:)/.test(text);
+};
+
+const compare = (actual, operator, expected) => {
+  if (actual === undefined || actual === null) return false;
+  if (Array.isArray(actual)) return actual.includes(expected) === (operator !== '!=');
+  switch (operator) {
+    case '<': return actual < expected;
+    case '<=': return actual <= expected;
+    case '>': return actual > expected;
+    case '>=': return actual >= expected;
+    case '!=': return actual !== expected;
+    default: return actual === expected;
+  }
+};
+
+// Every comparison node in the AST, in query order
+const collectComparisons = (node) => {
+  if (node.type === 'comparison') return [node];
+  if (node.type === 'not') return collectComparisons(node.child);
+  if (node.children) return node.children.flatMap(collectComparisons);
+  return [];
+};
+
+/**
+ * Resolves resource terms and turns the AST into a planet predicate.
+ * ctx: { resolveMaterial(term) -> [MaterialId], getPlanetTier(planet), plotsData,
+ *        resolveSystem(term) -> SystemId | null, getProximity(anchorId, systemId) -> { jumps, parsecs },
+ *        defaultAnchorId }
+ * Returns { predicate, materialIds, anchorSystemId } where materialIds lists every resource the
+ * query mentions and anchorSystemId is the system distances are measured from, if any.
+ * Throws QuerySyntaxError for resources or systems that cannot be resolved.
+ */
+export const compileQuery = (ast, ctx) => {
+  const materialIds = new Set();
+
+  const comparisons = collectComparisons(ast);
+  const nearNodes = comparisons.filter(node => node.field === 'near');
+  const anchorIds = nearNodes.map(node => {
+    const systemId = ctx.resolveSystem(node.value);
+    if (!systemId) throw new QuerySyntaxError(`Unknown system '${node.value}'`, node.position);
+    return systemId;
+  });
+  if (new Set(anchorIds).size > 1) {
+    throw new QuerySyntaxError('Only one near: system per query', nearNodes[1].position);
+  }
+  const anchorSystemId = anchorIds[0] || ctx.defaultAnchorId || null;
+  const unanchored = comparisons.find(node => QUERY_FIELDS[node.field].needsAnchor && !anchorSystemId);
+  if (unanchored) {
+    throw new QuerySyntaxError(`'${unanchored.field}' needs a near:<system> anchor`, unanchored.position);
+  }
+
+  const build = (node) => {
+    switch (node.type) {
+      case 'and': {
+        const children = node.children.map(build);
+        return planet => children.every(child => child(planet));
+      }
+      case 'or': {
+        const children = node.children.map(build);
+        return planet => children.some(child => child(planet));
+      }
+      case 'not': {
+        const child = build(node.child);
+        return planet => !child(planet);
+      }
+      case 'comparison': {
+        // near: only sets the anchor; on its own it keeps every planet reachable from it
+        if (node.field === 'near') {
+          return planet => ctx.getProximity(anchorSystemId, planet.SystemId).jumps !== Infinity;
+        }
+        const field = QUERY_FIELDS[node.field];
+        return planet => compare(field.get(planet, ctx, anchorSystemId), node.operator, node.value);
+      }
+      default: {
+        const ids = ctx.resolveMaterial(node.value);
+        if (ids.length === 0) throw new QuerySyntaxError(`Unknown resource '${node.value}'`, node.position);
+        ids.forEach(id => materialIds.add(id));
+        return planet => (planet.Resources || []).some(resource => ids.includes(resource.MaterialId));
+      }
+    }
+  };
+
+  return { predicate: build(ast), materialIds: [...materialIds], anchorSystemId };
+};
+
+const EXTRACTABLE_CATEGORIES = ['ores', 'gases', 'liquids', 'minerals'];
+
+// Matches a resource term against extractable materials by ticker, then by full name.
+export const resolveMaterialTerm = (materials, term) => {
+  const lowerTerm = term.toLowerCase();
+  const extractable = materials.filter(material => EXTRACTABLE_CATEGORIES.includes(material.CategoryName));
+  const byTicker = extractable.filter(material => material.Ticker.toLowerCase() === lowerTerm);
+  const matches = byTicker.length > 0
+    ? byTicker
+    : extractable.filter(material => material.Name.toLowerCase() === lowerTerm);
+  return matches.map(material => material.MaterialId);
+};
@@ -0,0 +1,102 @@
+import { parseQuery, compileQuery, isQueryExpression, resolveMaterialTerm, QuerySyntaxError } from './queryUtils';
+
+const materials = [
+  { MaterialId: 'feo', Ticker: 'FEO', Name: 'ironOre', CategoryName: 'ores' },
+  { MaterialId: 'h2o', Ticker: 'H2O', Name: 'water', CategoryName: 'liquids' },
+  { MaterialId: 'lst', Ticker: 'LST', Name: 'limestone', CategoryName: 'minerals' }
+];
+
+const ctx = {
+  resolveMaterial: term => resolveMaterialTerm(materials, term),
+  getPlanetTier: planet => planet.tier,
+  plotsData: { P1: 3 },
+  resolveSystem: term => ({ moria: 'S1', hortus: 'S2' }[term.toLowerCase()] || null),
+  getProximity: (anchorId, systemId) => ({ jumps: { S1: 0, S2: 2, S3: 5 }[systemId] ?? Infinity, parsecs: 10 })
+};
+
+const planet = (overrides) => ({
+  PlanetNaturalId: 'P0',
+  Gravity: 1,
+  Temperature: 20,
+  Pressure: 1,
+  Fertility: -1,
+  Surface: true,
+  HasChamberOfCommerce: false,
+  COGCPrograms: [],
+  Resources: [],
+  tier: 3,
+  ...overrides
+});
+
+const matches = (query, p) => compileQuery(parseQuery(query), ctx).predicate(p);
+
+test('combines resources with AND, OR and parentheses', () => {
+  const ironAndWater = planet({ Resources: [{ MaterialId: 'feo' }, { MaterialId: 'h2o' }] });
+  const ironOnly = planet({ Resources: [{ MaterialId: 'feo' }] });
+
+  expect(matches('FEO AND (H2O OR LST)', ironAndWater)).toBe(true);
+  expect(matches('FEO AND (H2O OR LST)', ironOnly)).toBe(false);
+  expect(matches('FEO NOT H2O', ironOnly)).toBe(true);
+  expect(compileQuery(parseQuery('FEO (H2O OR LST)'), ctx).materialIds).toEqual(['feo', 'h2o', 'lst']);
+});
+
+test('evaluates numeric and enum field comparisons', () => {
+  const p = planet({
+    PlanetNaturalId: 'P1',
+    Gravity: 0.9,
+    Temperature: -10,
+    HasChamberOfCommerce: true,
+    COGCPrograms: [{ ProgramType: 'ADVERTISING_METALLURGY', StartEpochMs: 1 }]
+  });
+
+  expect(matches('grav<1.2 temp>-20 tier>=2 plots>0 cogc:METALLURGY', p)).toBe(true);
+  expect(matches('grav<0.5 OR type:gaseous', p)).toBe(false);
+  expect(matches('cogc:none', planet())).toBe(true);
+});
+
+test('requires or excludes local facilities with has:', () => {
+  const p = planet({ HasShipyard: true, HasLocalMarket: true });
+
+  expect(matches('has:SHY has:market', p)).toBe(true);
+  expect(matches('has:SHY NOT has:lm', p)).toBe(false);
+  expect(matches('has!=war', p)).toBe(true);
+  expect(() => parseQuery('has:pool')).toThrow(QuerySyntaxError);
+});
+
+test('measures jumps and parsecs from the near: system', () => {
+  const compiled = compileQuery(parseQuery('near:Moria jumps<=2 pc<20'), ctx);
+
+  expect(compiled.anchorSystemId).toBe('S1');
+  expect(compiled.predicate(planet({ SystemId: 'S2' }))).toBe(true);
+  expect(compiled.predicate(planet({ SystemId: 'S3' }))).toBe(false);
+  expect(matches('near:moria', planet({ SystemId: 'S9' }))).toBe(false);
+  expect(compileQuery(parseQuery('jumps<3'), { ...ctx, defaultAnchorId: 'S2' }).anchorSystemId).toBe('S2');
+});
+
+test('reports syntax errors with their position', () => {
+  const errorFor = (query) => {
+    try {
+      compileQuery(parseQuery(query), ctx);
+    } catch (error) {
+      return error;
+    }
+    return null;
+  };
+
+  expect(errorFor('FEO AND (H2O')).toEqual(new QuerySyntaxError("Expected ')'", 12));
+  expect(errorFor('FEO AND (H2O').position).toBe(12);
+  expect(errorFor('grav<abc').message).toMatch(/needs a number/);
+  expect(errorFor('color:red').message).toMatch(/Unknown field 'color'/);
+  expect(errorFor('FEO OR XYZ').position).toBe(7);
+  expect(errorFor('FEO OR').message).toBe('Unexpected end of query');
+  expect(errorFor('FEO jumps<3').message).toMatch(/needs a near:<system> anchor/);
+  expect(errorFor('near:Nowhere').position).toBe(0);
+  expect(errorFor('near:Moria OR near:Hortus').message).toMatch(/Only one near:/);
+});
+
+test('only treats operator-bearing input as a query', () => {
+  expect(isQueryExpression('FEO')).toBe(false);
+  expect(isQueryExpression('FEO (Resource)')).toBe(false);
+  expect(isQueryExpression('FEO AND H2O')).toBe(true);
+  expect(isQueryExpression('grav<1')).toBe(true);
+});
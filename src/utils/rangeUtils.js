@@ -0,0 +1,58 @@
+// Helpers for the environment range sliders: value domains, histograms and range checks.
+
+/**
+ * Values of `key` across the planets, skipping missing numbers and anything at or below
+ * `minValue` (e.g. the -1 fertility of infertile planets).
+ */
+export const collectValues = (planets, key, minValue) => planets
+  .map(planet => planet[key])
+  .filter(value => typeof value === 'number' && !isNaN(value) && (minValue === undefined || value > minValue));
+
+// Smallest and largest value, snapped outwards to the slider step. Null for no values.
+export const getValueDomain = (values, step = 0.01) => {
+  if (values.length === 0) return null;
+  let min = Infinity;
+  let max = -Infinity;
+  values.forEach(value => {
+    if (value < min) min = value;
+    if (value > max) max = value;
+  });
+  const snap = (value, round) => Number((round(value / step) * step).toFixed(6));
+  return [snap(min, Math.floor), snap(max, Math.ceil)];
+};
+
+/**
+ * Counts values into `binCount` equal-width bins over `domain`. Each bin is
+ * { start, end, count }; the last bin includes the domain maximum.
+ */
+export const buildHistogram = (values, domain, binCount = 24) => {
+  const [min, max] = domain;
+  const width = (max - min) / binCount || 1;
+  const bins = Array.from({ length: binCount }, (_, i) => ({
+    start: min + i * width,
+    end: min + (i + 1) * width,
+    count: 0
+  }));
+  values.forEach(value => {
+    if (value < min || value > max) return;
+    const index = Math.min(binCount - 1, Math.floor((value - min) / width));
+    bins[index].count++;
+  });
+  return bins;
+};
+
+// Inclusive check; a missing range accepts everything.
+export const isWithinRange = (value, range) => {
+  if (!range) return true;
+  if (typeof value !== 'number' || isNaN(value)) return false;
+  return value >= range[0] && value <= range[1];
+};
+
+// Orders and clamps a [min, max] pair to the domain; null when it spans the whole domain.
+export const normalizeRange = (range, domain) => {
+  if (!range || !domain) return null;
+  const low = Math.max(domain[0], Math.min(range[0], range[1]));
+  const high = Math.min(domain[1], Math.max(range[0], range[1]));
+  if (low <= domain[0] && high >= domain[1]) return null;
+  return [low, high];
+};
@@ -0,0 +1,28 @@
+import { collectValues, getValueDomain, buildHistogram, isWithinRange, normalizeRange } from './rangeUtils';
+
+const planets = [
+  { Gravity: 0.12, Fertility: -1 },
+  { Gravity: 0.96, Fertility: 0.2 },
+  { Gravity: 1.04, Fertility: 0.85 },
+  { Gravity: 2.61 }
+];
+
+test('collects values and snaps the domain to the step', () => {
+  expect(collectValues(planets, 'Fertility', -1)).toEqual([0.2, 0.85]);
+  expect(getValueDomain(collectValues(planets, 'Gravity'), 0.1)).toEqual([0.1, 2.7]);
+  expect(getValueDomain([], 0.1)).toBeNull();
+});
+
+test('counts values into bins including the domain maximum', () => {
+  const bins = buildHistogram([0, 0.4, 0.5, 1], [0, 1], 2);
+  expect(bins.map(bin => bin.count)).toEqual([2, 2]);
+  expect(bins[1].start).toBe(0.5);
+});
+
+test('checks and normalizes ranges', () => {
+  expect(isWithinRange(0.5, null)).toBe(true);
+  expect(isWithinRange(0.5, [0.5, 1])).toBe(true);
+  expect(isWithinRange(undefined, [0, 1])).toBe(false);
+  expect(normalizeRange([2, -1], [0, 3])).toEqual([0, 2]);
+  expect(normalizeRange([0, 3], [0, 3])).toBeNull();
+});
@@ -0,0 +1,112 @@
+import { getResultSystemId } from './proximityUtils';
+import { getCurrentCogcProgram } from './queryUtils';
+
+// Search results flattened into table rows, plus sorting and CSV/JSON export.
+
+export const RESULT_COLUMNS = [
+  { key: 'planetName', label: 'Planet' },
+  { key: 'planetId', label: 'Planet ID' },
+  { key: 'systemName', label: 'System' },
+  { key: 'ticker', label: 'Resource' },
+  { key: 'factor', label: 'Factor', numeric: true },
+  { key: 'resourceType', label: 'Type' },
+  { key: 'planetTier', label: 'Tier', numeric: true },
+  { key: 'plots', label: 'Plots', numeric: true },
+  { key: 'cogcProgram', label: 'CoGC' },
+  { key: 'nearestCx', label: 'Nearest CX' },
+  { key: 'cxJumps', label: 'CX Jumps', numeric: true },
+  { key: 'anchorJumps', label: 'Near Jumps', numeric: true, proximity: true },
+  { key: 'anchorParsecs', label: 'Near pc', numeric: true, proximity: true }
+];
+
+const getResultPlanetId = (result) => {
+  if (result.type === 'company_base') return result.planetNaturalId;
+  return result.planetId || (result.type === 'planet' ? result.id : null);
+};
+
+/**
+ * One row per matching planet (per resource for material results; system results list
+ * their planets). ctx: { planetData, universeData, materials, plotsData, getPlanetTier(planet),
+ * getNearestCx(systemId) } where getNearestCx returns { systemId, jumps } or null.
+ */
+export const buildResultRows = (results, ctx) => {
+  const { planetData, universeData, materials, plotsData, getPlanetTier, getNearestCx } = ctx;
+  const tickers = Object.fromEntries((materials || []).map(material => [material.MaterialId, material.Ticker]));
+  const systemName = (systemId) => universeData?.[systemId]?.[0]?.Name || systemId;
+  const rows = [];
+  const seen = new Set();
+
+  const addRow = (result, planet, systemId) => {
+    const key = `${planet.PlanetNaturalId}|${result.type === 'material' ? result.id : ''}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+
+    const nearest = getNearestCx(systemId);
+    rows.push({
+      key,
+      systemId,
+      planetName: planet.PlanetName,
+      planetId: planet.PlanetNaturalId,
+      systemName: systemName(systemId),
+      ticker: result.type === 'material' ? (result.ticker || tickers[result.id] || '') : '',
+      factor: result.type === 'material' ? result.factor : null,
+      resourceType: result.type === 'material' ? result.resourceType : '',
+      planetTier: getPlanetTier(planet),
+      plots: plotsData?.[planet.PlanetNaturalId] ?? null,
+      cogcProgram: planet.HasChamberOfCommerce
+        ? (getCurrentCogcProgram(planet) || '').replace(/^ADVERTISING_/, '')
+        : '',
+      nearestCx: nearest ? systemName(nearest.systemId) : '',
+      cxJumps: nearest ? nearest.jumps : null,
+      anchorJumps: result.proximity ? result.proximity.jumps : null,
+      anchorParsecs: result.proximity ? result.proximity.parsecs : null
+    });
+  };
+
+  results.forEach(result => {
+    const systemId = getResultSystemId(result);
+    const planets = planetData?.[systemId] || [];
+    const planetId = getResultPlanetId(result);
+
+    if (result.type === 'system' && !planetId) {
+      planets.forEach(planet => addRow(result, planet, systemId));
+      return;
+    }
+    const planet = planets.find(p => p.PlanetNaturalId === planetId);
+    if (planet) addRow(result, planet, systemId);
+  });
+
+  return rows;
+};
+
+const isBlank = (value) => value === null || value === undefined || value === '' || value === Infinity;
+
+// Sorts by one column; empty cells always go last regardless of direction.
+export const sortRows = (rows, key, direction = 'asc') => {
+  const sign = direction === 'desc' ? -1 : 1;
+  return [...rows].sort((a, b) => {
+    const va = a[key];
+    const vb = b[key];
+    if (isBlank(va) || isBlank(vb)) return isBlank(va) - isBlank(vb);
+    if (typeof va === 'number' && typeof vb === 'number') return (va - vb) * sign;
+    return String(va).localeCompare(String(vb)) * sign;
+  });
+};
+
+const toExportValue = (value) => (isBlank(value) ? '' : value);
+
+const escapeCsv = (value) => {
+  const text = String(toExportValue(value));
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const rowsToCsv = (rows, columns) => [
+  columns.map(column => escapeCsv(column.label)).join(','),
+  ...rows.map(row => columns.map(column => escapeCsv(row[column.key])).join(','))
+].join('\n');
+
+export const rowsToJson = (rows, columns) => JSON.stringify(
+  rows.map(row => Object.fromEntries(columns.map(column => [column.key, isBlank(row[column.key]) ? null : row[column.key]]))),
+  null,
+  2
+);
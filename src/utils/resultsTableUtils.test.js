@@ -0,0 +1,44 @@
+import { buildResultRows, sortRows, rowsToCsv, rowsToJson, RESULT_COLUMNS } from './resultsTableUtils';
+
+const planetData = {
+  S1: [
+    { PlanetNaturalId: 'OT-580a', PlanetName: 'Montem', BuildRequirements: [], HasChamberOfCommerce: false },
+    { PlanetNaturalId: 'OT-580b', PlanetName: 'Promitor, "Prime"', BuildRequirements: [], HasChamberOfCommerce: true,
+      COGCPrograms: [{ ProgramType: 'ADVERTISING_METALLURGY', StartEpochMs: 1 }] }
+  ]
+};
+
+const ctx = {
+  planetData,
+  universeData: { S1: [{ Name: 'Moria' }], CX: [{ Name: 'Hortus' }] },
+  materials: [{ MaterialId: 'feo', Ticker: 'FEO' }],
+  plotsData: { 'OT-580a': 4 },
+  getPlanetTier: () => 2,
+  getNearestCx: () => ({ systemId: 'CX', jumps: 3 })
+};
+
+test('flattens material, planet and system results into planet rows', () => {
+  const rows = buildResultRows([
+    { type: 'material', id: 'feo', planetId: 'OT-580a', systemId: 'S1', factor: 0.3, resourceType: 'MINERAL' },
+    { type: 'planet', id: 'OT-580b', systemId: 'S1' },
+    { type: 'system', id: 'S1' }
+  ], ctx);
+
+  expect(rows.map(row => row.key)).toEqual(['OT-580a|feo', 'OT-580b|', 'OT-580a|']);
+  expect(rows[0]).toMatchObject({ systemName: 'Moria', ticker: 'FEO', factor: 0.3, plots: 4, nearestCx: 'Hortus', cxJumps: 3 });
+  expect(rows[1]).toMatchObject({ cogcProgram: 'METALLURGY', plots: null, factor: null });
+});
+
+test('sorts by a column with empty cells last in both directions', () => {
+  const rows = [{ factor: 0.2 }, { factor: null }, { factor: 0.5 }];
+  expect(sortRows(rows, 'factor').map(row => row.factor)).toEqual([0.2, 0.5, null]);
+  expect(sortRows(rows, 'factor', 'desc').map(row => row.factor)).toEqual([0.5, 0.2, null]);
+});
+
+test('exports rows as escaped CSV and JSON', () => {
+  const columns = RESULT_COLUMNS.filter(column => ['planetName', 'plots'].includes(column.key));
+  const rows = buildResultRows([{ type: 'planet', id: 'OT-580b', systemId: 'S1' }], ctx);
+
+  expect(rowsToCsv(rows, columns)).toBe('Planet,Plots\n"Promitor, ""Prime""",');
+  expect(JSON.parse(rowsToJson(rows, columns))).toEqual([{ planetName: 'Promitor, "Prime"', plots: null }]);
+});
@@ -0,0 +1,112 @@
+import { routing } from '../config/config';
+import { getGraphService } from './graphService';
+import { getEdgeKey } from './mapGeometry';
+
+// Pairs up linked gateways (gateways.json) by the systems they sit in.
+// Returns [{ sourceSysId, targetSysId, links: [gateway, ...] }], one entry per system pair.
+export const processGateways = (data, universeData, planetData) => {
+  if (!data || !universeData || !planetData || Object.keys(planetData).length === 0) return [];
+
+  const systemMap = {};
+  Object.entries(universeData).forEach(([id, arr]) => systemMap[arr[0].NaturalId] = id);
+  Object.entries(planetData).forEach(([id, planets]) => {
+    planets.forEach(p => systemMap[p.PlanetNaturalId] = id);
+  });
+
+  const gatewaysById = Object.fromEntries(data.map(g => [g.GatewayId, g]));
+  const pairs = {};
+
+  data.forEach(g => {
+    if (!g.OutgoingLink) return;
+    const targetG = gatewaysById[g.OutgoingLink];
+    if (!targetG) return;
+
+    const sId = systemMap[g.LocationNaturalId];
+    const tId = systemMap[targetG.LocationNaturalId];
+
+    if (sId && tId) {
+      const pId = [sId, tId].sort().join('-');
+      if (!pairs[pId]) pairs[pId] = { sourceSysId: sId, targetSysId: tId, links: [] };
+      if (!pairs[pId].links.find(l => l.GatewayId === g.GatewayId)) {
+        pairs[pId].links.push(g);
+      }
+    }
+  });
+  return Object.values(pairs);
+};
+
+export const isOperationalGateway = (link) =>
+  link.OperationalState === 'OPERATIONAL' && link.LinkStatus === 'ESTABLISHED';
+
+// Turns processed gateway pairs into extra routing edges. A pair is only usable when every
+// gateway in it is operational and linked; anything under construction or unlinked is skipped.
+export const getGatewayEdges = (gatewayPairs, jumpCost = routing.gatewayJumpCost) => {
+  return gatewayPairs
+    .filter(pair => pair.links.length > 0 && pair.links.every(isOperationalGateway))
+    .map(pair => ({ start: pair.sourceSysId, end: pair.targetSysId, distance: jumpCost, gateway: true }));
+};
+
+// Turns planned (not yet built) gateways from Gateway mode into routing edges.
+export const getPlannedGatewayEdges = (plannedGateways, jumpCost = routing.gatewayJumpCost) => {
+  return (plannedGateways || [])
+    .map(gw => ({ id: gw.id, start: gw.sourceId, end: gw.targetId, distance: jumpCost, gateway: true, planned: true }));
+};
+
+// Chains shortest paths through an ordered list of waypoints, one leg per consecutive pair.
+// Legs without a connection keep an empty path and Infinity jumps/distance.
+// Hops taken over one of the extraEdges are listed in leg.gatewayHops and add no parsecs.
+// Pass a memoized extraEdges array so the cached graph service can be reused between calls.
+// Systems in avoidSystemIds are routed around. For a single A->B leg, alternativeCount > 1 also
+// lists up to that many distinct paths in route.alternatives, shortest first.
+export const findRoute = (graph, waypoints, extraEdges, { avoidSystemIds = [], alternativeCount = 1 } = {}) => {
+  const service = getGraphService(graph, extraEdges);
+  const graphNodes = service.adjacency;
+  const extraEdgesByKey = new Map((extraEdges || []).map(edge => [getEdgeKey(edge.start, edge.end), edge]));
+  const isExtraHop = (a, b) => {
+    const edge = extraEdgesByKey.get(getEdgeKey(a, b));
+    return !!edge && graphNodes[a][b] === edge.distance;
+  };
+
+  const describePath = (path) => {
+    const gatewayHops = [];
+    let distance = 0;
+    for (let j = 0; j < path.length - 1; j++) {
+      if (isExtraHop(path[j], path[j + 1])) {
+        gatewayHops.push([path[j], path[j + 1]]);
+      } else {
+        distance += graphNodes[path[j]][path[j + 1]];
+      }
+    }
+    return { path, gatewayHops, jumps: path.length - 1, distance };
+  };
+
+  const legs = [];
+  let fullPath = [];
+
+  for (let i = 0; i < waypoints.length - 1; i++) {
+    const from = waypoints[i];
+    const to = waypoints[i + 1];
+    const path = service.findPath(from, to, avoidSystemIds);
+    if (path) {
+      legs.push({ from, to, ...describePath(path) });
+      fullPath = fullPath.length > 0 ? [...fullPath, ...path.slice(1)] : path;
+    } else {
+      console.error('No route found for leg:', from, to);
+      legs.push({ from, to, path: [], gatewayHops: [], jumps: Infinity, distance: Infinity });
+    }
+  }
+
+  const alternatives = waypoints.length === 2 && alternativeCount > 1
+    ? service.findKShortestPaths(waypoints[0], waypoints[1], alternativeCount, avoidSystemIds).map(describePath)
+    : [];
+
+  return {
+    waypoints,
+    legs,
+    alternatives,
+    path: fullPath,
+    totalJumps: legs.reduce((sum, leg) => sum + leg.jumps, 0),
+    totalDistance: legs.reduce((sum, leg) => sum + leg.distance, 0),
+    gatewayJumps: legs.reduce((sum, leg) => sum + leg.gatewayHops.length, 0)
+  };
+};
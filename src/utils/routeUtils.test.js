@@ -0,0 +1,91 @@
+import { findRoute, processGateways, getGatewayEdges, getPlannedGatewayEdges } from './routeUtils';
+
+// A - B - C - D in a line with a long direct A - D lane, E isolated
+const graph = {
+  systems: { rect1: {}, A: {}, B: {}, C: {}, D: {}, E: {} },
+  edges: [
+    { start: 'A', end: 'B', distance: 2 },
+    { start: 'B', end: 'C', distance: 2 },
+    { start: 'C', end: 'D', distance: 2 },
+    { start: 'A', end: 'D', distance: 10 }
+  ]
+};
+
+test('chains legs through waypoints and sums jumps and parsecs', () => {
+  const route = findRoute(graph, ['A', 'C', 'D']);
+
+  expect(route.legs.map(leg => leg.path)).toEqual([['A', 'B', 'C'], ['C', 'D']]);
+  expect(route.path).toEqual(['A', 'B', 'C', 'D']);
+  expect(route.totalJumps).toBe(3);
+  expect(route.totalDistance).toBe(6);
+  expect(route.gatewayJumps).toBe(0);
+  expect(route.alternatives).toEqual([]);
+});
+
+test('keeps unreachable legs with Infinity jumps', () => {
+  const route = findRoute(graph, ['A', 'E']);
+
+  expect(route.legs[0]).toMatchObject({ path: [], jumps: Infinity, distance: Infinity });
+  expect(route.totalJumps).toBe(Infinity);
+});
+
+test('counts extra edge hops as gateway jumps without parsecs', () => {
+  const gatewayEdges = [{ start: 'B', end: 'E', distance: 1, gateway: true }];
+  const route = findRoute(graph, ['A', 'E'], gatewayEdges);
+
+  expect(route.path).toEqual(['A', 'B', 'E']);
+  expect(route.legs[0].gatewayHops).toEqual([['B', 'E']]);
+  expect(route.totalDistance).toBe(2);
+  expect(route.gatewayJumps).toBe(1);
+});
+
+test('routes around avoided systems and lists alternatives', () => {
+  expect(findRoute(graph, ['A', 'D'], undefined, { avoidSystemIds: ['B'] }).path).toEqual(['A', 'D']);
+
+  const { alternatives } = findRoute(graph, ['A', 'D'], undefined, { alternativeCount: 2 });
+  expect(alternatives.map(alternative => alternative.path)).toEqual([['A', 'B', 'C', 'D'], ['A', 'D']]);
+  expect(alternatives[1]).toMatchObject({ jumps: 1, distance: 10 });
+});
+
+const gateway = (id, location, link, state = 'OPERATIONAL') => ({
+  GatewayId: id,
+  LocationNaturalId: location,
+  OutgoingLink: link,
+  OperationalState: state,
+  LinkStatus: link ? 'ESTABLISHED' : 'UNLINKED'
+});
+
+test('pairs linked gateways by system, including gateways on planets', () => {
+  const universeData = { A: [{ NaturalId: 'AA-001' }], B: [{ NaturalId: 'BB-002' }], C: [{ NaturalId: 'CC-003' }] };
+  const planetData = { B: [{ PlanetNaturalId: 'BB-002b' }] };
+  const gateways = [
+    gateway('g1', 'AA-001', 'g2'),
+    gateway('g2', 'BB-002b', 'g1'),
+    gateway('g3', 'CC-003', null)
+  ];
+
+  const pairs = processGateways(gateways, universeData, planetData);
+
+  expect(pairs).toHaveLength(1);
+  expect(pairs[0]).toMatchObject({ sourceSysId: 'A', targetSysId: 'B' });
+  expect(pairs[0].links.map(link => link.GatewayId)).toEqual(['g1', 'g2']);
+  expect(processGateways(gateways, universeData, {})).toEqual([]);
+});
+
+test('only turns fully operational gateway pairs into edges', () => {
+  const pairs = [
+    { sourceSysId: 'A', targetSysId: 'B', links: [gateway('g1', 'a', 'g2'), gateway('g2', 'b', 'g1')] },
+    { sourceSysId: 'C', targetSysId: 'D', links: [gateway('g3', 'c', 'g4'), gateway('g4', 'd', 'g3', 'UNDER_CONSTRUCTION')] },
+    { sourceSysId: 'A', targetSysId: 'E', links: [] }
+  ];
+
+  expect(getGatewayEdges(pairs, 0.5)).toEqual([{ start: 'A', end: 'B', distance: 0.5, gateway: true }]);
+});
+
+test('routes over planned gateways', () => {
+  const planned = getPlannedGatewayEdges([{ id: 'p1', sourceId: 'A', targetId: 'E' }], 1);
+
+  expect(planned).toEqual([{ id: 'p1', start: 'A', end: 'E', distance: 1, gateway: true, planned: true }]);
+  expect(findRoute(graph, ['B', 'E'], planned).path).toEqual(['B', 'A', 'E']);
+  expect(getPlannedGatewayEdges(undefined)).toEqual([]);
+});
@@ -0,0 +1,94 @@
+import { phaseMultiplier } from '../constants/phaseMultiplier';
+import { getCurrentCogcProgram } from './queryUtils';
+import { getWorkforceValue, ALL_TIERS } from './workforceUtils';
+
+// Weighted planet ranking for base site selection. Every criterion is normalized to 0..1
+// and the score is the weighted mean over the criteria that apply.
+
+export const SCORING_CRITERIA = [
+  { key: 'concentration', label: 'Concentration', description: 'Best concentration of the searched materials, relative to the richest planet' },
+  { key: 'tier', label: 'Planet Tier', description: 'Stars from the building requirements (3★ = 1)' },
+  { key: 'plots', label: 'Available Plots', description: 'Free plots relative to the best candidate' },
+  { key: 'cxJumps', label: 'CX Distance', description: 'Fewer FTL jumps to the chosen CX is better' },
+  { key: 'cogc', label: 'CoGC Program', description: 'Matches the chosen program (or has any program)' },
+  { key: 'facilities', label: 'Facilities', description: 'Share of the chosen local facilities present' },
+  { key: 'workforce', label: 'Workforce', description: 'Unemployed workers minus open jobs, relative to the best candidate' }
+];
+
+const getRawValues = (planet, systemId, ctx) => {
+  const targetResources = (planet.Resources || []).filter(resource => ctx.materialIds.includes(resource.MaterialId));
+  const population = ctx.populationData?.[planet.PlanetNaturalId];
+  const unemployed = getWorkforceValue(population, ALL_TIERS, 'unemployed');
+
+  return {
+    concentration: targetResources.reduce((best, resource) => {
+      const max = ctx.maxFactorPerMaterial[resource.MaterialId];
+      const relative = max ? (resource.Factor * phaseMultiplier[resource.ResourceType]) / max : 0;
+      return Math.max(best, relative);
+    }, 0),
+    tier: ctx.getPlanetTier(planet),
+    plots: ctx.plotsData?.[planet.PlanetNaturalId] ?? 0,
+    cxJumps: ctx.getCxJumps(systemId),
+    cogc: planet.HasChamberOfCommerce ? getCurrentCogcProgram(planet) : null,
+    facilities: ctx.facilityKeys.filter(key => planet[key]).length,
+    workforce: unemployed === null ? null : unemployed - getWorkforceValue(population, ALL_TIERS, 'openJobs')
+  };
+};
+
+/**
+ * Scores and ranks candidates ({ planet, systemId }) best first.
+ * ctx: { materialIds, maxFactorPerMaterial, getPlanetTier(planet), plotsData, getCxJumps(systemId),
+ *        maxCxJumps, cogcProgram, facilityKeys, populationData }
+ * Concentration only counts when materialIds is non-empty. Each entry carries `score` (0..1)
+ * and a `breakdown` of { key, raw, normalized, weight, contribution } per active criterion,
+ * where the contributions add up to the score.
+ */
+export const scorePlanets = (candidates, weights, ctx) => {
+  const rows = candidates.map(candidate => ({
+    ...candidate,
+    raw: getRawValues(candidate.planet, candidate.systemId, ctx)
+  }));
+
+  const maxPlots = Math.max(0, ...rows.map(row => row.raw.plots));
+  const maxWorkforce = Math.max(0, ...rows.map(row => row.raw.workforce ?? 0));
+
+  const normalize = {
+    concentration: raw => raw,
+    tier: raw => raw / 3,
+    plots: raw => (maxPlots > 0 ? raw / maxPlots : 0),
+    cxJumps: raw => (raw === Infinity ? 0 : Math.max(0, 1 - raw / ctx.maxCxJumps)),
+    cogc: raw => (ctx.cogcProgram ? (raw === ctx.cogcProgram ? 1 : 0) : (raw ? 1 : 0)),
+    facilities: raw => (ctx.facilityKeys.length > 0 ? raw / ctx.facilityKeys.length : 0),
+    workforce: raw => (raw !== null && maxWorkforce > 0 ? Math.max(0, raw) / maxWorkforce : 0)
+  };
+
+  const active = SCORING_CRITERIA.filter(criterion =>
+    weights[criterion.key] > 0 && (criterion.key !== 'concentration' || ctx.materialIds.length > 0));
+  const totalWeight = active.reduce((sum, criterion) => sum + weights[criterion.key], 0);
+
+  return rows
+    .map(({ raw, ...candidate }) => {
+      const breakdown = active.map(({ key }) => {
+        const normalized = normalize[key](raw[key]);
+        return {
+          key,
+          raw: raw[key],
+          normalized,
+          weight: weights[key],
+          contribution: (normalized * weights[key]) / totalWeight
+        };
+      });
+      return {
+        ...candidate,
+        score: breakdown.reduce((sum, item) => sum + item.contribution, 0),
+        breakdown
+      };
+    })
+    .sort((a, b) => b.score - a.score);
+};
+
+// Best planet score per system, for coloring the map.
+export const getSystemScores = (ranking) => ranking.reduce((scores, entry) => {
+  if (!(entry.systemId in scores) || entry.score > scores[entry.systemId]) scores[entry.systemId] = entry.score;
+  return scores;
+}, {});
@@ -0,0 +1,66 @@
+import { scorePlanets, getSystemScores } from './scoringUtils';
+import { phaseMultiplier } from '../constants/phaseMultiplier';
+
+const planet = (id, overrides) => ({
+  PlanetNaturalId: id,
+  Resources: [],
+  HasChamberOfCommerce: false,
+  COGCPrograms: [],
+  tier: 3,
+  ...overrides
+});
+
+const candidates = [
+  { systemId: 'S1', planet: planet('A', { Resources: [{ MaterialId: 'feo', Factor: 0.2, ResourceType: 'MINERAL' }], HasLocalMarket: true, tier: 1 }) },
+  { systemId: 'S1', planet: planet('B', { Resources: [{ MaterialId: 'feo', Factor: 0.4, ResourceType: 'MINERAL' }], tier: 3 }) },
+  { systemId: 'S2', planet: planet('C', { tier: 2 }) }
+];
+
+const ctx = {
+  materialIds: ['feo'],
+  maxFactorPerMaterial: { feo: 0.4 * phaseMultiplier.MINERAL },
+  getPlanetTier: p => p.tier,
+  plotsData: { A: 5, B: 10 },
+  getCxJumps: systemId => ({ S1: 3, S2: Infinity }[systemId]),
+  maxCxJumps: 12,
+  cogcProgram: null,
+  facilityKeys: ['HasLocalMarket', 'HasShipyard'],
+  populationData: {
+    A: { Workforce: { Pioneer: { Unemployed: 50, OpenJobs: 10 } } },
+    B: { Workforce: { Settler: { Unemployed: 0, OpenJobs: 30 } } }
+  }
+};
+
+const weights = { concentration: 2, tier: 1, plots: 1, cxJumps: 0, cogc: 0, facilities: 0, workforce: 0 };
+
+test('ranks planets by the weighted mean of normalized criteria', () => {
+  const ranking = scorePlanets(candidates, weights, ctx);
+
+  expect(ranking.map(entry => entry.planet.PlanetNaturalId)).toEqual(['B', 'A', 'C']);
+  expect(ranking[0].score).toBeCloseTo(1);
+  expect(ranking[1].score).toBeCloseTo((2 * 0.5 + 1 / 3 + 0.5) / 4);
+  expect(ranking[0].breakdown.map(item => item.key)).toEqual(['concentration', 'tier', 'plots']);
+  const contributions = ranking[1].breakdown.reduce((sum, item) => sum + item.contribution, 0);
+  expect(contributions).toBeCloseTo(ranking[1].score);
+});
+
+test('skips concentration without target materials and scores jumps, facilities and workforce', () => {
+  const ranking = scorePlanets(
+    candidates,
+    { concentration: 5, tier: 0, plots: 0, cxJumps: 1, cogc: 0, facilities: 1, workforce: 1 },
+    { ...ctx, materialIds: [] }
+  );
+  const byId = Object.fromEntries(ranking.map(entry => [entry.planet.PlanetNaturalId, entry]));
+
+  expect(byId.A.breakdown.map(item => item.key)).toEqual(['cxJumps', 'facilities', 'workforce']);
+  expect(byId.A.score).toBeCloseTo((0.75 + 0.5 + 1) / 3);
+  expect(byId.C.score).toBe(0);
+});
+
+test('keeps the best score per system', () => {
+  const ranking = scorePlanets(candidates, weights, ctx);
+  const scores = getSystemScores(ranking);
+
+  expect(scores.S1).toBeCloseTo(1);
+  expect(scores.S2).toBeCloseTo(ranking[2].score);
+});
@@ -2,6 +2,7 @@ import * as d3 from 'd3';
 import { resetGraphState } from '../utils/graphUtils';
 import { colors } from '../config/config';
 import { phaseMultiplier } from '../constants/phaseMultiplier';
+import { selectSystems } from './mapRenderer';
 
 export const clearHighlights = () => {
   d3.selectAll('.search-highlight')
@@ -70,10 +71,10 @@ export const highlightSearchResults = (searchResults, highestFactorLiquid, highe
 
       if (result.type === 'system') {
         systemId = result.id;
-        highlightSystemNode = d3.select(`#${CSS.escape(systemId)}`);
+        highlightSystemNode = selectSystems(g, [systemId]);
       } else if (result.type === 'planet') {
         systemId = result.systemId;
-        highlightSystemNode = d3.select(`#${CSS.escape(systemId)}`);
+        highlightSystemNode = selectSystems(g, [systemId]);
       } else if (result.type === 'material') {
         systemId = result.systemId;
         const bestForSystem = systemBestResource[systemId];
@@ -86,13 +87,13 @@ export const highlightSearchResults = (searchResults, highestFactorLiquid, highe
           } else {
             fillColor = colorScaleMineral(result.factor);
           }
-          highlightSystemNode = d3.select(`#${CSS.escape(systemId)}`);
+          highlightSystemNode = selectSystems(g, [systemId]);
         } else {
           return;
         }
       } else if (result.type === 'company_base') {
         systemId = result.systemId;
-        highlightSystemNode = d3.select(`#${CSS.escape(systemId)}`);
+        highlightSystemNode = selectSystems(g, [systemId]);
       }
 
       if (!highlightSystemNode.empty()) {
@@ -133,15 +134,10 @@ export const highlightSearchResults = (searchResults, highestFactorLiquid, highe
     Object.keys(systemAllMaterials).forEach(systemId => {
       // Order them logically from highest factor to lowest so the most important element is always first in the string sequence
       const mats = systemAllMaterials[systemId].sort((a, b) => toDisplayFactor(b) - toDisplayFactor(a));
-      const rect = d3.select(`#${CSS.escape(systemId)}`);
-      if (rect.empty()) return;
-
-      const x = parseFloat(rect.attr('x'));
-      const y = parseFloat(rect.attr('y'));
-      const width = parseFloat(rect.attr('width'));
-      const height = parseFloat(rect.attr('height'));
-      const cx = x + width / 2;
-      const cy = y + height / 2;
+      const [system] = selectSystems(g, [systemId]).data();
+      if (!system) return;
+
+      const { cx, cy } = system;
 
       // Map format: parseFloat dynamically drops ".0" so 14.0 becomes 14, keeping the map highly readable.
       const percText = mats.map(m => parseFloat((toDisplayFactor(m) * 100).toFixed(1)) + '%').join('/');
@@ -0,0 +1,9 @@
+// Writes a value to localStorage as JSON. A full or blocked storage (quota, private mode)
+// only costs persistence, so the failure is logged instead of thrown.
+export const saveToStorage = (key, value, description) => {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (error) {
+    console.warn(`Could not save ${description} to localStorage`, error);
+  }
+};
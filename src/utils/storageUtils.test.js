@@ -0,0 +1,22 @@
+import { saveToStorage } from './storageUtils';
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  localStorage.clear();
+});
+
+test('stores the value as JSON', () => {
+  saveToStorage('test-key', { a: 1 }, 'test settings');
+
+  expect(JSON.parse(localStorage.getItem('test-key'))).toEqual({ a: 1 });
+});
+
+test('warns instead of throwing when storage rejects the write', () => {
+  jest.spyOn(Storage.prototype, 'setItem').mockImplementation(() => {
+    throw new Error('QuotaExceededError');
+  });
+  const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+  expect(() => saveToStorage('test-key', [1], 'test settings')).not.toThrow();
+  expect(warn).toHaveBeenCalledWith('Could not save test settings to localStorage', expect.any(Error));
+});
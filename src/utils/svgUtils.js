@@ -6,6 +6,8 @@ import { colors } from '../config/config';
 import { calculate3DDistance } from './distanceUtils';
 import { MAP_MODES, GATEWAY_STRATEGIES } from '../contexts/MapModeContext';
 import { phaseMultiplier } from '../constants/phaseMultiplier';
+import { hasExplorersGrace } from './workforceUtils';
+import { selectSystems } from './mapRenderer';
 
 let universeData = null;
 let planetData = null;
@@ -99,7 +101,7 @@ const createPlanetTierIndicator = (starCount) => {
 };
 
 // Function to create and show the info panel
-const showInfoPanel = (rect, x, y, searchResults, materials, isRelativeThreshold, selectedCogcProgram, resourceTypeFilter = 'ALL') => {
+const showInfoPanel = (rect, x, y, searchResults, materials, isRelativeThreshold, selectedCogcProgram, resourceTypeFilter = 'ALL', populationData = null) => {
   const isPlanetInSearchResults = (planetId) => {
     return searchResults.some(result =>
       (result.type === 'planet' && result.planetId === planetId) ||
@@ -149,7 +151,7 @@ const showInfoPanel = (rect, x, y, searchResults, materials, isRelativeThreshold
   };
 
 
-  const systemId = rect.attr('id').replace('#', '');
+  const systemId = rect.datum().id;
   const system = universeData ? universeData[systemId] : null;
   const planets = planetData ? planetData[systemId] : null;
 
@@ -180,6 +182,7 @@ const showInfoPanel = (rect, x, y, searchResults, materials, isRelativeThreshold
         <div class="planet-name-tier">
           <span class="planet-name">${planet.PlanetName} (${planet.PlanetNaturalId})</span>
           ${createPlanetTierIndicator(planetTier)}
+          ${hasExplorersGrace(populationData, planet.PlanetNaturalId) ? '<span class="explorers-grace-badge">Grace</span>' : ''}
         </div>
         <div class="facility-indicators">
           ${createFacilityIndicator(planet.HasLocalMarket, BadgeCent)}
@@ -248,19 +251,14 @@ export const drawGatewayHover = (g, systemId, gatewayData, universeData) => {
     if (!targetSystem) return;
 
     const drawLine = (origin, cssClass) => {
-        const originNode = g.select(`#${CSS.escape(origin.SystemId)}`);
-        const targetNode = g.select(`#${CSS.escape(systemId)}`);
-
-        if (!originNode.empty() && !targetNode.empty()) {
-            const x1 = parseFloat(originNode.attr('x')) + parseFloat(originNode.attr('width'))/2;
-            const y1 = parseFloat(originNode.attr('y')) + parseFloat(originNode.attr('height'))/2;
-            const x2 = parseFloat(targetNode.attr('x')) + parseFloat(targetNode.attr('width'))/2;
-            const y2 = parseFloat(targetNode.attr('y')) + parseFloat(targetNode.attr('height'))/2;
+        const [originNode] = selectSystems(g, [origin.SystemId]).data();
+        const [targetNode] = selectSystems(g, [systemId]).data();
 
+        if (originNode && targetNode) {
             g.append('line')
             .attr('class', `rubber-band ${cssClass}`)
-            .attr('x1', x1).attr('y1', y1)
-            .attr('x2', x2).attr('y2', y2)
+            .attr('x1', originNode.cx).attr('y1', originNode.cy)
+            .attr('x2', targetNode.cx).attr('y2', targetNode.cy)
             .attr('stroke', '#fff')
             .attr('stroke-width', 1)
             .attr('stroke-dasharray', '3,3')
@@ -277,19 +275,17 @@ export const drawGatewayHover = (g, systemId, gatewayData, universeData) => {
     }
 };
 
-export const addMouseEvents = (g, searchResults, materials, isRelativeThreshold, selectedCogcProgram, activeMode, gatewayData, universeData, resourceTypeFilter = 'ALL') => {
-  g.selectAll('rect').each(function() {
+export const addMouseEvents = (g, searchResults, materials, isRelativeThreshold, selectedCogcProgram, activeMode, gatewayData, universeData, resourceTypeFilter = 'ALL', populationData = null) => {
+  selectSystems(g).each(function(system) {
     const rect = d3.select(this);
-    const rawId = rect.attr('id');
-    if (!rawId) return;
-    const systemId = rawId.replace('#', '');
-    const originalSize = { width: +rect.attr('width'), height: +rect.attr('height') };
-    const originalPos = { x: +rect.attr('x'), y: +rect.attr('y') };
+    const systemId = system.id;
+    const originalSize = { width: system.size, height: system.size };
+    const originalPos = { x: system.x, y: system.y };
     let hoverTimer;
     let overlayOriginalSize, overlayOriginalPos;
 
     rect.on('mouseover.system', function(event) {
-      if (rect.attr('id') === 'rect1' || d3.select(event.target).classed('data-overlay')) return;
+      if (d3.select(event.target).classed('data-overlay')) return;
 
       if (activeMode !== MAP_MODES.GATEWAY) {
           rect
@@ -360,13 +356,11 @@ export const addMouseEvents = (g, searchResults, materials, isRelativeThreshold,
       } else {
           hoverTimer = setTimeout(() => {
             const [x, y] = d3.pointer(event, document.body); 
-            showInfoPanel(rect, x, y, searchResults, materials, isRelativeThreshold, selectedCogcProgram, resourceTypeFilter);
+            showInfoPanel(rect, x, y, searchResults, materials, isRelativeThreshold, selectedCogcProgram, resourceTypeFilter, populationData);
           }, 400);
       }
 
     }).on('mouseout.system', function(event) {
-      if (rect.attr('id') === 'rect1') return;
-
       rect.transition().duration(200)
         .attr('width', originalSize.width)
         .attr('height', originalSize.height)
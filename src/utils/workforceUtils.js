@@ -0,0 +1,54 @@
+// Workforce figures from population_data.json, per tier or summed over every tier, and the
+// Explorer's Grace flag.
+
+export const WORKFORCE_TIERS = ['Pioneer', 'Settler', 'Technician', 'Engineer', 'Scientist'];
+
+// Sums over every tier when passed as the tier
+export const ALL_TIERS = 'ALL';
+
+export const WORKFORCE_METRICS = {
+  unemployed: { label: 'Unemployed', field: 'Unemployed' },
+  openJobs: { label: 'Open Jobs', field: 'OpenJobs' }
+};
+
+/**
+ * Unemployed workers or open jobs of one planet's population entry, for a single tier or
+ * ALL_TIERS. Returns null when the planet has no population data.
+ */
+export const getWorkforceValue = (population, tier, metric) => {
+  if (!population || !population.Workforce) return null;
+  const { field } = WORKFORCE_METRICS[metric];
+  const tiers = tier === ALL_TIERS ? WORKFORCE_TIERS : [tier];
+  return tiers.reduce((sum, name) => sum + (population.Workforce[name]?.[field] || 0), 0);
+};
+
+// Per-system totals over the planets that have population data.
+export const getSystemWorkforce = (planetData, populationData, tier, metric) => {
+  const totals = {};
+  Object.entries(planetData || {}).forEach(([systemId, planets]) => {
+    planets.forEach(planet => {
+      const value = getWorkforceValue(populationData?.[planet.PlanetNaturalId], tier, metric);
+      if (value === null) return;
+      totals[systemId] = (totals[systemId] || 0) + value;
+    });
+  });
+  return totals;
+};
+
+// Workforce overlay buckets, keyed into colors.workforce
+export const WORKFORCE_BUCKETS = [
+  { key: 'none', label: '0', max: 0 },
+  { key: 'low', label: '1 - 99', max: 99 },
+  { key: 'medium', label: '100 - 999', max: 999 },
+  { key: 'high', label: '1,000 - 9,999', max: 9999 },
+  { key: 'veryHigh', label: '10,000+', max: Infinity }
+];
+
+export const getWorkforceBucket = (value) => WORKFORCE_BUCKETS.find(bucket => value <= bucket.max).key;
+
+export const hasExplorersGrace = (populationData, planetId) => Boolean(populationData?.[planetId]?.ExplorersGrace);
+
+// Systems with at least one Explorer's Grace planet
+export const getGraceSystemIds = (planetData, populationData) => Object.entries(planetData || {})
+  .filter(([, planets]) => planets.some(planet => hasExplorersGrace(populationData, planet.PlanetNaturalId)))
+  .map(([systemId]) => systemId);
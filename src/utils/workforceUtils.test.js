@@ -0,0 +1,37 @@
+import { getWorkforceValue, getSystemWorkforce, getWorkforceBucket, getGraceSystemIds, hasExplorersGrace, ALL_TIERS } from './workforceUtils';
+
+const populationData = {
+  A: { Workforce: { Pioneer: { Unemployed: 120, OpenJobs: 0 }, Technician: { Unemployed: 30, OpenJobs: 5 } } },
+  B: { Workforce: { Technician: { Unemployed: 0, OpenJobs: 40 } } }
+};
+
+test('reads one tier or sums every tier', () => {
+  expect(getWorkforceValue(populationData.A, 'Technician', 'unemployed')).toBe(30);
+  expect(getWorkforceValue(populationData.A, ALL_TIERS, 'unemployed')).toBe(150);
+  expect(getWorkforceValue(populationData.A, 'Scientist', 'openJobs')).toBe(0);
+  expect(getWorkforceValue(undefined, ALL_TIERS, 'openJobs')).toBeNull();
+});
+
+test('totals systems and buckets the totals', () => {
+  const planetData = {
+    S1: [{ PlanetNaturalId: 'A' }, { PlanetNaturalId: 'B' }],
+    S2: [{ PlanetNaturalId: 'C' }]
+  };
+
+  expect(getSystemWorkforce(planetData, populationData, 'Technician', 'openJobs')).toEqual({ S1: 45 });
+  expect(getWorkforceBucket(0)).toBe('none');
+  expect(getWorkforceBucket(45)).toBe('low');
+  expect(getWorkforceBucket(12000)).toBe('veryHigh');
+});
+
+test('finds Explorer\'s Grace planets and their systems', () => {
+  const planetData = {
+    S1: [{ PlanetNaturalId: 'A' }, { PlanetNaturalId: 'B' }],
+    S2: [{ PlanetNaturalId: 'C' }]
+  };
+  const graceData = { ...populationData, B: { ...populationData.B, ExplorersGrace: true } };
+
+  expect(hasExplorersGrace(graceData, 'B')).toBe(true);
+  expect(hasExplorersGrace(graceData, 'C')).toBe(false);
+  expect(getGraceSystemIds(planetData, graceData)).toEqual(['S1']);
+});
@@ -0,0 +1,23 @@
+import { phaseMultiplier, extractionBuildings } from '../constants/phaseMultiplier';
+
+// Daily extraction estimates derived from the reference bases in constants/phaseMultiplier.
+
+export const RESOURCE_EXTRACTION_PROGRAM = 'ADVERTISING_RESOURCE_EXTRACTION';
+
+/**
+ * Units per day for `buildingCount` extraction buildings on a resource with the given Factor,
+ * with `bonusPercent` added on top (e.g. 10 for a +10% CoGC bonus).
+ * Returns { building, perBuilding, total }, or null for unknown resource types.
+ */
+export const estimateDailyYield = (factor, resourceType, buildingCount = 1, bonusPercent = 0) => {
+  const building = extractionBuildings[resourceType];
+  if (!building) return null;
+  const perBuilding = (factor * phaseMultiplier[resourceType] / building.referenceCount) * (1 + bonusPercent / 100);
+  return {
+    building: building.ticker,
+    perBuilding,
+    total: perBuilding * Math.max(0, buildingCount)
+  };
+};
+
+export const formatDailyYield = (units) => (units >= 100 ? units.toFixed(0) : units.toFixed(1));
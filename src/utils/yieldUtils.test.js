@@ -0,0 +1,20 @@
+import { estimateDailyYield, formatDailyYield } from './yieldUtils';
+
+test('reproduces the reference base output', () => {
+  // 15 EXT on AW-284f produce 1009.31 units per day
+  const estimate = estimateDailyYield(0.5989084839820862, 'MINERAL', 15);
+
+  expect(estimate.building).toBe('EXT');
+  expect(estimate.total).toBeCloseTo(1009.31);
+  expect(estimate.perBuilding).toBeCloseTo(1009.31 / 15);
+});
+
+test('scales with building count and bonus', () => {
+  const base = estimateDailyYield(0.2, 'GASEOUS', 1);
+  const boosted = estimateDailyYield(0.2, 'GASEOUS', 4, 25);
+
+  expect(boosted.total).toBeCloseTo(base.perBuilding * 4 * 1.25);
+  expect(estimateDailyYield(0.2, 'PLASMA', 1)).toBeNull();
+  expect(formatDailyYield(123.456)).toBe('123');
+  expect(formatDailyYield(12.345)).toBe('12.3');
+});